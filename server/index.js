@@ -4,14 +4,27 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const mongoose = require('mongoose');
+const { createRateLimiter } = require('./middleware/rateLimit');
 
 const marketDataRoutes = require('./routes/marketData');
+const corporateActionRoutes = require('./routes/corporateActions');
 const analysisRoutes = require('./routes/analysis');
 const portfolioRoutes = require('./routes/portfolio');
 const authRoutes = require('./routes/auth');
+const watchlistRoutes = require('./routes/watchlists');
+const userRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const alertRoutes = require('./routes/alerts');
+const notificationRoutes = require('./routes/notifications');
 
 const app = express();
 
+// Number of reverse proxies in front of the app, so req.ip (and rate
+// limiting) sees the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:4200',
@@ -20,12 +33,23 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
+app.use('/api', createRateLimiter({
+  prefix: 'api',
+  window: process.env.RATE_LIMIT_WINDOW || '15m',
+  max: parseInt(process.env.RATE_LIMIT_MAX) || 1000
+}));
 
 // API Routes
+app.use('/api/market-data/stocks/:symbol/actions', corporateActionRoutes);
 app.use('/api/market-data', marketDataRoutes);
 app.use('/api/analysis', analysisRoutes);
 app.use('/api/portfolio', portfolioRoutes);
+app.use('/api/auth/watchlists', watchlistRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (_req, res) => {
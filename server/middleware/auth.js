@@ -0,0 +1,276 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { hasPermission } = require('../utils/permissions');
+
+/**
+ * Authentication, permission and ownership middleware shared by the API routers
+ */
+
+// Secret used to sign and verify JWTs
+const getJwtSecret = () => {
+  return process.env.JWT_SECRET || 'default-secret-change-in-production';
+};
+
+// Send a JSON error body in the same shape as the rest of the API
+const sendError = (res, status, message) => {
+  return res.status(status).json({
+    error: {
+      message,
+      status
+    }
+  });
+};
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, tokenVersion: user.tokenVersion || 0 },
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+/**
+ * Sign a short-lived token proving the password step of a two-factor login
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT (not usable as an access token)
+ */
+const generateChallengeToken = (user) => {
+  return jwt.sign(
+    { sub: String(user._id), purpose: '2fa' },
+    getJwtSecret(),
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+  );
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Challenge token
+ * @returns {string|null} User id, or null if invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret());
+    return decoded.purpose === '2fa' ? decoded.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Methods a read-scoped API key may use
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Verify a Bearer JWT; resolves to the user or responds with 401
+const verifyJwt = async (token, res) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    sendError(res, 401, 'Invalid or expired token');
+    return null;
+  }
+
+  if (decoded.purpose) {
+    sendError(res, 401, 'Invalid or expired token');
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user || !user.isActive) {
+    sendError(res, 401, 'User not found or deactivated');
+    return null;
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    sendError(res, 401, 'Password changed, please log in again');
+    return null;
+  }
+
+  if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+    sendError(res, 401, 'Token has been revoked');
+    return null;
+  }
+
+  return user;
+};
+
+// Verify an X-API-Key header; resolves to { user, apiKey } or responds with 401
+const verifyApiKey = async (key, req, res) => {
+  const apiKey = await ApiKey.findByKey(key);
+
+  if (!apiKey || !apiKey.isActive) {
+    sendError(res, 401, 'Invalid, expired or revoked API key');
+    return null;
+  }
+
+  const user = await User.findById(apiKey.userId);
+
+  if (!user || !user.isActive) {
+    sendError(res, 401, 'User not found or deactivated');
+    return null;
+  }
+
+  await apiKey.recordUsage(req.ip);
+
+  return { user, apiKey };
+};
+
+/**
+ * Build authentication middleware. Accepts a Bearer JWT and, unless
+ * disabled, an X-API-Key header. Sets req.userId, req.user and
+ * req.auth ({ method: 'jwt' | 'apiKey', apiKey }).
+ * Responds 401 when credentials are missing or invalid, when the user is
+ * missing or deactivated, when the password changed after the JWT was
+ * issued, or when the user's sessions have been revoked. Responds 403 when
+ * a read-scoped API key is used for a write.
+ * @param {Object} options - Options
+ * @param {boolean} options.allowApiKey - Accept X-API-Key (default true)
+ * @param {boolean} options.readScopeAllowed - Let read-scoped keys use any
+ *   method, for routes that only compute results (default false)
+ * @returns {Function} Express middleware
+ */
+const createAuthenticator = (options = {}) => {
+  const { allowApiKey = true, readScopeAllowed = false } = options;
+
+  return async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    const [scheme, token] = (authHeader || '').split(' ');
+    const key = allowApiKey ? req.headers['x-api-key'] : null;
+
+    if (!key && (scheme !== 'Bearer' || !token)) {
+      return sendError(res, 401, allowApiKey ?
+        'Access token or API key is required' :
+        'Access token is required');
+    }
+
+    try {
+      let user;
+      let apiKey = null;
+
+      if (key) {
+        const result = await verifyApiKey(key, req, res);
+        if (!result) {
+          return;
+        }
+        ({ user, apiKey } = result);
+
+        if (apiKey.scope === 'read' && !readScopeAllowed && !READ_METHODS.includes(req.method)) {
+          return sendError(res, 403, 'API key scope does not allow write access');
+        }
+      } else {
+        user = await verifyJwt(token, res);
+        if (!user) {
+          return;
+        }
+      }
+
+      req.userId = String(user._id);
+      req.user = user;
+      req.auth = { method: apiKey ? 'apiKey' : 'jwt', apiKey };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Accepts a JWT or an API key
+const authenticateToken = createAuthenticator();
+
+// Accepts only a JWT, for account management routes
+const authenticateJwt = createAuthenticator({ allowApiKey: false });
+
+/**
+ * Build middleware that loads a document by route param and checks that it
+ * belongs to the authenticated user. The document is attached to req[key].
+ * Responds 404 when the document does not exist and 403 when it is owned
+ * by another user.
+ * @param {mongoose.Model} Model - Model to load from
+ * @param {Object} options - Options
+ * @param {string} options.key - Property on req to attach the document to
+ * @param {string} options.param - Route param holding the document id (default 'id')
+ * @param {string} options.ownerField - Field holding the owner's user id (default 'userId')
+ * @param {string} options.name - Resource name used in error messages
+ * @returns {Function} Express middleware
+ */
+const requireOwnership = (Model, options = {}) => {
+  const {
+    key,
+    param = 'id',
+    ownerField = 'userId',
+    name = Model.modelName
+  } = options;
+
+  return async (req, res, next) => {
+    try {
+      const doc = await Model.findById(req.params[param]);
+
+      if (!doc) {
+        return sendError(res, 404, `${name} not found`);
+      }
+
+      if (String(doc[ownerField]) !== String(req.userId)) {
+        return sendError(res, 403, `You do not have access to this ${name.toLowerCase()}`);
+      }
+
+      req[key || name.toLowerCase()] = doc;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Build middleware that requires the authenticated user's role to grant a
+ * permission. Must run after authenticateToken; the loaded user is attached
+ * to req.user. Responds 403 naming the missing permission when denied.
+ * @param {string} permission - Permission from utils/permissions
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const user = req.user || await User.findById(req.userId);
+
+      if (!user) {
+        return sendError(res, 401, 'User not found');
+      }
+
+      req.user = user;
+
+      if (!hasPermission(user.role, permission)) {
+        return res.status(403).json({
+          error: {
+            message: `Missing required permission: ${permission}`,
+            status: 403,
+            permission
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  getJwtSecret,
+  sendError,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createAuthenticator,
+  authenticateToken,
+  authenticateJwt,
+  requirePermission,
+  requireOwnership
+};
@@ -0,0 +1,115 @@
+const { parseDuration } = require('../utils/tokens');
+
+/**
+ * Fixed-window rate limiting middleware
+ * Counters live in a store. Any object implementing the same async
+ * increment(key, windowMs) / resetKey(key) interface as MemoryStore
+ * (e.g. one backed by Redis) can be passed in to share limits across
+ * server instances.
+ */
+
+/**
+ * In-process counter store. Expired windows are pruned lazily.
+ */
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    this.nextPrune = 0;
+  }
+
+  /**
+   * Count a hit for a key
+   * @param {string} key - Client key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<{ count: number, resetTime: Date }>} Hits in the current window
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this.prune(now, windowMs);
+
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetTime <= now) {
+      entry = { count: 0, resetTime: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    return { count: entry.count, resetTime: new Date(entry.resetTime) };
+  }
+
+  /**
+   * Forget the hits for a key
+   * @param {string} key - Client key
+   */
+  async resetKey(key) {
+    this.hits.delete(key);
+  }
+
+  // Drop expired windows at most once per window
+  prune(now, windowMs) {
+    if (now < this.nextPrune) {
+      return;
+    }
+    for (const [key, entry] of this.hits) {
+      if (entry.resetTime <= now) {
+        this.hits.delete(key);
+      }
+    }
+    this.nextPrune = now + windowMs;
+  }
+}
+
+/**
+ * Build rate limiting middleware
+ * @param {Object} options - Options
+ * @param {string|number} options.window - Window length, e.g. '15m' (default '15m')
+ * @param {number} options.max - Requests allowed per window per key (default 100)
+ * @param {Function} options.keyGenerator - (req) => key (default client IP)
+ * @param {Object} options.store - Counter store (default new MemoryStore)
+ * @param {string} options.message - Error message when limited
+ * @param {string} options.prefix - Prefix for store keys, so limiters can share a store
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = (options = {}) => {
+  const {
+    window = '15m',
+    max = 100,
+    keyGenerator = (req) => req.ip,
+    store = new MemoryStore(),
+    message = 'Too many requests, please try again later',
+    prefix = 'rl'
+  } = options;
+  const windowMs = parseDuration(window);
+
+  return async (req, res, next) => {
+    try {
+      const key = `${prefix}:${keyGenerator(req)}`;
+      const { count, resetTime } = await store.increment(key, windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((resetTime.getTime() - Date.now()) / 1000));
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          error: {
+            message,
+            status: 429,
+            retryAfter: resetSeconds
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  MemoryStore,
+  createRateLimiter
+};
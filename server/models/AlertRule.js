@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { ALERT_TYPES } = require('../utils/alerts');
+
+// Most recent triggers kept on each rule
+const MAX_TRIGGER_HISTORY = 100;
+
+const alertTriggerSchema = new mongoose.Schema({
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Date of the bar that fired the rule
+  barDate: Date,
+  price: Number,
+  value: Number,
+  message: String
+}, { _id: false });
+
+const alertRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ALERT_TYPES,
+    required: true
+  },
+  // Type specific parameters:
+  //   price_cross:  { level, direction: 'above' | 'below' }
+  //   percent_move: { percent, direction: 'up' | 'down' | 'either' }
+  //   rsi:          { period, threshold, direction: 'above' | 'below' }
+  //   sma_cross:    { fastPeriod, slowPeriod, direction: 'above' | 'below' }
+  params: {
+    level: Number,
+    percent: Number,
+    period: Number,
+    threshold: Number,
+    fastPeriod: Number,
+    slowPeriod: Number,
+    direction: String
+  },
+  // 'once' rules deactivate after firing; 'recurring' rules keep firing
+  mode: {
+    type: String,
+    enum: ['once', 'recurring'],
+    default: 'once'
+  },
+  cooldownMinutes: {
+    type: Number,
+    default: 60,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastTriggeredAt: Date,
+  triggerCount: {
+    type: Number,
+    default: 0
+  },
+  triggers: [alertTriggerSchema]
+}, {
+  timestamps: true
+});
+
+// Index for evaluating the active rules of a symbol
+alertRuleSchema.index({ symbol: 1, isActive: 1 });
+
+// Method to record that the rule fired
+alertRuleSchema.methods.recordTrigger = function(trigger) {
+  const now = new Date();
+
+  this.triggers.push({
+    triggeredAt: now,
+    barDate: trigger.bar.date,
+    price: trigger.bar.close,
+    value: trigger.value,
+    message: trigger.message
+  });
+  if (this.triggers.length > MAX_TRIGGER_HISTORY) {
+    this.triggers = this.triggers.slice(-MAX_TRIGGER_HISTORY);
+  }
+
+  this.lastTriggeredAt = now;
+  this.triggerCount += 1;
+  if (this.mode === 'once') {
+    this.isActive = false;
+  }
+
+  return this;
+};
+
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+
+module.exports = AlertRule;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+// Keys look like mq_<prefix>_<secret>; the prefix identifies a key in listings
+const KEY_PREFIX = 'mq';
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // 'read' keys may only read data; 'trade' keys may also write
+  scope: {
+    type: String,
+    enum: ['read', 'trade'],
+    default: 'read'
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  if (this.revokedAt) {
+    return false;
+  }
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+/**
+ * Create a key for a user
+ * @param {Object} attrs - { userId, name, scope, expiresAt }
+ * @returns {Promise<{ key: string, doc: Object }>} Raw key (shown once) and stored document
+ */
+apiKeySchema.statics.generate = async function(attrs) {
+  const prefix = generateRandomToken(4);
+  const key = `${KEY_PREFIX}_${prefix}_${generateRandomToken(24)}`;
+
+  const doc = await this.create({
+    ...attrs,
+    prefix,
+    keyHash: hashToken(key)
+  });
+
+  return { key, doc };
+};
+
+// Static method to find by raw key
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashToken(key) });
+};
+
+// Method to record a use of the key
+apiKeySchema.methods.recordUsage = function(ip) {
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: ip } }
+  );
+};
+
+// Remove the key hash when converting to JSON
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject({ virtuals: true });
+  delete apiKey.keyHash;
+  delete apiKey.id;
+  return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const auditEventSchema = new mongoose.Schema({
+  // Dotted action name, e.g. 'auth.login' or 'portfolio.update'
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  actorEmail: String,
+  authMethod: {
+    type: String,
+    enum: ['jwt', 'apiKey', 'password', 'none']
+  },
+  ip: String,
+  userAgent: String,
+  targetType: String,
+  targetId: String,
+  // Field level diff: { field: { before, after } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1 });
+
+// Audit events are append-only
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  auditEventSchema.pre(operation, rejectMutation);
+});
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
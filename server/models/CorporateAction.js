@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { CORPORATE_ACTION_TYPES } = require('../utils/corporateActions');
+
+const corporateActionSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: CORPORATE_ACTION_TYPES,
+    required: true
+  },
+  // First trading day without the entitlement; prices before it are adjusted
+  exDate: {
+    type: Date,
+    required: true
+  },
+  recordDate: Date,
+  payDate: Date,
+  // split: new shares per old share (2 for 2-for-1, 0.1 for 1-for-10)
+  // spin_off: shares of the new company per share held
+  ratio: Number,
+  // cash_dividend: cash per share, in the stock's currency
+  amount: Number,
+  // spin_off: fraction of the parent's value transferred to the new company
+  valueRatio: Number,
+  spinOffSymbol: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One action of each type per symbol and ex-date
+corporateActionSchema.index({ symbol: 1, exDate: 1, type: 1 }, { unique: true });
+
+const CorporateAction = mongoose.model('CorporateAction', corporateActionSchema);
+
+module.exports = CorporateAction;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_CATEGORIES } = require('../utils/notifications');
+
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'webhook'],
+    required: true
+  },
+  // Webhook the delivery went to (webhook channel only)
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  deliveredAt: Date
+}, { _id: false });
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: NOTIFICATION_CATEGORIES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  // Category specific details, e.g. the alert rule and bar that fired
+  data: mongoose.Schema.Types.Mixed,
+  // False when the user turned the in-app inbox off; the document is then
+  // kept only to track email and webhook deliveries
+  inbox: {
+    type: Boolean,
+    default: true
+  },
+  readAt: Date,
+  deliveries: [deliverySchema]
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's inbox
+notificationSchema.index({ userId: 1, inbox: 1, createdAt: -1 });
+
+// Virtual for whether the notification has been read
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+notificationSchema.set('toJSON', { virtuals: true });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -1,4 +1,70 @@
 const mongoose = require('mongoose');
+const { LOT_METHODS, selectLots, realizeLots } = require('../utils/taxLots');
+const {
+  TRANSACTION_TYPES,
+  CASH_TRANSACTION_TYPES,
+  getCashEffect,
+  getCashBalance
+} = require('../utils/ledger');
+
+// Decimal places kept in share counts rescaled by splits
+const SHARE_PRECISION = 1e8;
+
+const roundShares = (shares) => Math.round(shares * SHARE_PRECISION) / SHARE_PRECISION;
+
+// Cash differences smaller than this are rounding
+const CASH_EPSILON = 1e-6;
+
+// Fields a transaction is recorded from; the rest is derived when it is applied
+const LEDGER_FIELDS = ['_id', 'type', 'symbol', 'shares', 'price', 'ratio', 'amount', 'fees', 'date', 'notes', 'lotMethod', 'lotSelections'];
+
+// Cash transactions carry an amount instead of a symbol, shares and price
+const isCashTransaction = (transaction) => CASH_TRANSACTION_TYPES.includes(transaction.type);
+
+function requiredForSecurities() {
+  return !isCashTransaction(this);
+}
+
+// Shares bought together at one price
+const lotSchema = new mongoose.Schema({
+  shares: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  costPerShare: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Buy fees still attributed to the open shares; part of the cost basis
+  fees: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  acquiredAt: {
+    type: Date,
+    required: true
+  },
+  // Buy transaction that opened the lot
+  transactionId: mongoose.Schema.Types.ObjectId
+}, { _id: true });
+
+// Gain or loss on the shares of one lot closed by a sell
+const realizedLotSchema = new mongoose.Schema({
+  lotId: mongoose.Schema.Types.ObjectId,
+  buyTransactionId: mongoose.Schema.Types.ObjectId,
+  acquiredAt: Date,
+  shares: Number,
+  proceeds: Number,
+  costBasis: Number,
+  gain: Number,
+  term: {
+    type: String,
+    enum: ['short', 'long']
+  }
+}, { _id: false });
 
 const holdingSchema = new mongoose.Schema({
   symbol: {
@@ -20,28 +86,39 @@ const holdingSchema = new mongoose.Schema({
   purchaseDate: {
     type: Date,
     default: Date.now
-  }
+  },
+  // Open lots; holdings created before lots were tracked get a single lot
+  // at their average cost on their first sell
+  lots: [lotSchema]
 }, { _id: true });
 
 const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['buy', 'sell', 'dividend', 'split'],
+    enum: TRANSACTION_TYPES,
     required: true
   },
   symbol: {
     type: String,
-    required: true,
+    required: requiredForSecurities,
     uppercase: true,
     trim: true
   },
+  // For splits, the change in shares held (negative for a reverse split)
   shares: {
     type: Number,
-    required: true
+    required: requiredForSecurities
   },
   price: {
     type: Number,
-    required: true
+    required: requiredForSecurities
+  },
+  // Split ratio: new shares per old share (2 for 2-for-1, 0.1 for 1-for-10)
+  ratio: Number,
+  // Cash moved by a deposit, withdrawal, interest or fee (always positive)
+  amount: {
+    type: Number,
+    min: 0
   },
   fees: {
     type: Number,
@@ -51,9 +128,41 @@ const transactionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  notes: String
+  notes: String,
+  // Sells: relief method used, the lots named for SPECIFIC relief, and the
+  // gain realized on each lot closed
+  lotMethod: {
+    type: String,
+    enum: LOT_METHODS
+  },
+  lotSelections: [{
+    _id: false,
+    lotId: mongoose.Schema.Types.ObjectId,
+    shares: Number
+  }],
+  realizedLots: [realizedLotSchema]
 }, { _id: true });
 
+// Model weight of a symbol or of a sector, as a fraction of the value
+// invested after any cash reserve
+const targetWeightSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  sector: {
+    type: String,
+    trim: true
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  }
+}, { _id: false });
+
 const portfolioSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -74,6 +183,8 @@ const portfolioSchema = new mongoose.Schema({
     type: String,
     default: 'USD'
   },
+  // Sum of the cash effects of the transactions; maintained by
+  // addTransaction and replayTransactions, never set directly
   cashBalance: {
     type: Number,
     default: 0
@@ -84,6 +195,14 @@ const portfolioSchema = new mongoose.Schema({
     type: String,
     default: 'SPY'
   },
+  // Rebalancing targets: all per symbol or all per sector
+  targetWeights: [targetWeightSchema],
+  // Default relief method for sells that do not name one
+  lotMethod: {
+    type: String,
+    enum: LOT_METHODS.filter(m => m !== 'SPECIFIC'),
+    default: 'FIFO'
+  },
   isPublic: {
     type: Boolean,
     default: false
@@ -108,13 +227,62 @@ portfolioSchema.virtual('totalHoldings').get(function() {
 
 // Method to add a transaction and update holdings
 portfolioSchema.methods.addTransaction = function(transaction) {
-  this.transactions.push(transaction);
+  if (isCashTransaction(transaction)) {
+    if (typeof transaction.amount !== 'number' || !isFinite(transaction.amount) || transaction.amount <= 0) {
+      throw Object.assign(new Error(`${transaction.type} amount must be positive`), { status: 400 });
+    }
+    this.transactions.push(transaction);
+    this.cashBalance += getCashEffect(transaction);
+    return this;
+  }
 
-  const existingHolding = this.holdings.find(
-    h => h.symbol === transaction.symbol.toUpperCase()
-  );
+  const symbol = transaction.symbol.toUpperCase();
+  const existingHolding = this.holdings.find(h => h.symbol === symbol);
+
+  if (transaction.type === 'split') {
+    // Fill in the share change before recording the split
+    transaction = { ...transaction, ...this.applySplit(symbol, transaction.ratio), price: 0 };
+  }
+
+  // Pick the lots a sell closes before anything is recorded
+  let relief = [];
+  if (transaction.type === 'sell') {
+    if (!existingHolding) {
+      throw Object.assign(new Error(`${symbol} is not held in this portfolio`), { status: 400 });
+    }
+    if (existingHolding.lots.length === 0) {
+      existingHolding.lots.push({
+        shares: existingHolding.shares,
+        costPerShare: existingHolding.averageCost,
+        acquiredAt: existingHolding.purchaseDate
+      });
+    }
+
+    const selections = transaction.lotSelections || [];
+    const method = transaction.lotMethod || (selections.length > 0 ? 'SPECIFIC' : this.lotMethod);
+    relief = selectLots(existingHolding.lots, transaction.shares, { method, selections });
+    transaction = {
+      ...transaction,
+      lotMethod: method,
+      realizedLots: realizeLots(relief, { fees: 0, ...transaction })
+    };
+  }
+
+  this.transactions.push(transaction);
+  const recorded = this.transactions[this.transactions.length - 1];
 
   if (transaction.type === 'buy') {
+    // A buy opens exactly one lot, which shares its id so that lot ids stay
+    // the same when the ledger is replayed
+    const lot = {
+      _id: recorded._id,
+      shares: transaction.shares,
+      costPerShare: transaction.price,
+      fees: transaction.fees || 0,
+      acquiredAt: transaction.date,
+      transactionId: recorded._id
+    };
+
     if (existingHolding) {
       // Update average cost
       const totalShares = existingHolding.shares + transaction.shares;
@@ -122,48 +290,233 @@ portfolioSchema.methods.addTransaction = function(transaction) {
         (transaction.shares * transaction.price);
       existingHolding.averageCost = totalCost / totalShares;
       existingHolding.shares = totalShares;
+      existingHolding.lots.push(lot);
     } else {
       this.holdings.push({
-        symbol: transaction.symbol.toUpperCase(),
+        symbol,
         shares: transaction.shares,
         averageCost: transaction.price,
-        purchaseDate: transaction.date
+        purchaseDate: transaction.date,
+        lots: [lot]
       });
     }
-    this.cashBalance -= (transaction.shares * transaction.price + transaction.fees);
   } else if (transaction.type === 'sell') {
-    if (existingHolding) {
-      existingHolding.shares -= transaction.shares;
-      if (existingHolding.shares <= 0) {
-        this.holdings = this.holdings.filter(
-          h => h.symbol !== transaction.symbol.toUpperCase()
-        );
-      }
+    relief.forEach(({ lot, shares }) => {
+      const remaining = roundShares(lot.shares - shares);
+      lot.fees = lot.shares > 0 ? (lot.fees || 0) * remaining / lot.shares : 0;
+      lot.shares = remaining;
+    });
+    existingHolding.lots = existingHolding.lots.filter(lot => lot.shares > 0);
+    existingHolding.shares = roundShares(existingHolding.shares - transaction.shares);
+    if (existingHolding.shares <= 0) {
+      this.holdings = this.holdings.filter(h => h.symbol !== symbol);
     }
-    this.cashBalance += (transaction.shares * transaction.price - transaction.fees);
-  } else if (transaction.type === 'dividend') {
-    this.cashBalance += transaction.shares * transaction.price;
   }
 
+  this.cashBalance += getCashEffect(transaction);
   return this;
 };
 
-// Method to calculate portfolio allocation
-portfolioSchema.methods.getAllocation = function() {
-  const totalValue = this.holdings.reduce((sum, h) => {
-    return sum + (h.shares * h.averageCost);
-  }, 0) + this.cashBalance;
+/**
+ * Rescale a holding and its open lots for a split. Cost basis is unchanged:
+ * shares are multiplied by the ratio and per-share costs divided by it.
+ * @param {string} symbol - Stock symbol
+ * @param {number} ratio - New shares per old share
+ * @returns {{ shares: number, ratio: number }} Change in shares held and the ratio
+ */
+portfolioSchema.methods.applySplit = function(symbol, ratio) {
+  if (typeof ratio !== 'number' || !isFinite(ratio) || ratio <= 0 || ratio === 1) {
+    throw Object.assign(
+      new Error('split ratio must be a positive number other than 1'),
+      { status: 400 }
+    );
+  }
+
+  const holding = this.holdings.find(h => h.symbol === symbol.toUpperCase());
+  if (!holding) {
+    throw Object.assign(
+      new Error(`${symbol.toUpperCase()} is not held in this portfolio`),
+      { status: 400 }
+    );
+  }
+
+  const sharesBefore = holding.shares;
+  holding.shares = roundShares(holding.shares * ratio);
+  holding.averageCost /= ratio;
+  holding.lots.forEach(lot => {
+    lot.shares = roundShares(lot.shares * ratio);
+    lot.costPerShare /= ratio;
+  });
+
+  return { shares: roundShares(holding.shares - sharesBefore), ratio };
+};
+
+/**
+ * Record split transactions for split corporate actions of held symbols.
+ * A split is only generated when it is newer than every transaction in the
+ * symbol and falls on or after the first purchase, so it can be applied to
+ * the current holding; anything else is reported as skipped.
+ * @param {Object[]} actions - Split corporate actions ({ _id, symbol, exDate, ratio })
+ * @returns {{ applied: Object[], skipped: Object[] }} Actions applied, and skipped with a reason
+ */
+portfolioSchema.methods.applySplitActions = function(actions) {
+  const applied = [];
+  const skipped = [];
+  const sorted = [...actions].sort((a, b) => new Date(a.exDate) - new Date(b.exDate));
 
-  const allocation = this.holdings.map(h => ({
-    symbol: h.symbol,
-    value: h.shares * h.averageCost,
-    percentage: ((h.shares * h.averageCost) / totalValue) * 100
+  for (const action of sorted) {
+    const exTime = new Date(action.exDate).getTime();
+    const symbolTransactions = this.transactions.filter(t => t.symbol === action.symbol);
+    const skip = (reason) => skipped.push({ actionId: action._id, symbol: action.symbol, exDate: action.exDate, reason });
+
+    if (symbolTransactions.some(t => t.type === 'split' && new Date(t.date).getTime() === exTime)) {
+      skip('already recorded');
+    } else if (!this.holdings.some(h => h.symbol === action.symbol)) {
+      skip('not held');
+    } else if (!symbolTransactions.some(t => t.type === 'buy' && new Date(t.date).getTime() <= exTime)) {
+      skip('no purchase before the ex-date');
+    } else if (symbolTransactions.some(t => new Date(t.date).getTime() > exTime)) {
+      skip('transactions after the ex-date already recorded');
+    } else {
+      this.addTransaction({
+        type: 'split',
+        symbol: action.symbol,
+        ratio: action.ratio,
+        date: new Date(action.exDate),
+        notes: 'Generated from corporate action'
+      });
+      applied.push({ actionId: action._id, symbol: action.symbol, exDate: action.exDate, ratio: action.ratio });
+    }
+  }
+
+  return { applied, skipped };
+};
+
+/**
+ * Record cash no transaction accounts for (set before the balance was derived
+ * from the ledger) as an opening deposit or withdrawal at the start of the
+ * ledger
+ * @returns {Object|null} The opening transaction, or null if the ledger
+ *   already explains the balance
+ */
+portfolioSchema.methods.recordOpeningBalance = function() {
+  const untracked = this.cashBalance - getCashBalance(this.transactions);
+  if (Math.abs(untracked) < CASH_EPSILON) {
+    return null;
+  }
+
+  const first = this.transactions.reduce(
+    (min, t) => Math.min(min, new Date(t.date).getTime()),
+    this.createdAt ? this.createdAt.getTime() : Date.now()
+  );
+  this.transactions.unshift({
+    type: untracked > 0 ? 'deposit' : 'withdrawal',
+    amount: Math.abs(untracked),
+    date: new Date(first),
+    notes: 'Opening balance'
+  });
+
+  return this.transactions[0];
+};
+
+/**
+ * Rebuild holdings, lots and cash by applying a ledger in date order
+ * (transactions on the same date keep their order). Cash no transaction
+ * accounts for is first recorded as an opening balance. Throws a 400 error,
+ * leaving the portfolio unusable, if the ledger sells or splits shares that
+ * are not held at that point.
+ * @param {Object[]} transactions - Full ledger
+ * @returns {Object} The portfolio
+ */
+portfolioSchema.methods.replayTransactions = function(transactions) {
+  const opening = this.recordOpeningBalance();
+  if (opening) {
+    transactions = [opening, ...transactions];
+  }
+
+  // Lots opened before lot ids matched their buy are named by old ids
+  const lotBuys = new Map();
+  this.holdings.forEach(h => h.lots.forEach(lot => {
+    if (lot.transactionId) {
+      lotBuys.set(String(lot._id), lot.transactionId);
+    }
   }));
+  this.transactions.forEach(t => (t.realizedLots || []).forEach(realized => {
+    if (realized.buyTransactionId) {
+      lotBuys.set(String(realized.lotId), realized.buyTransactionId);
+    }
+  }));
+
+  const ledger = transactions
+    .map((t, index) => ({ t: typeof t.toObject === 'function' ? t.toObject() : t, index }))
+    .sort((a, b) => new Date(a.t.date) - new Date(b.t.date) || a.index - b.index)
+    .map(({ t }) => {
+      const entry = {};
+      LEDGER_FIELDS.forEach(field => {
+        if (t[field] !== undefined) {
+          entry[field] = t[field];
+        }
+      });
+      if (entry.lotSelections) {
+        entry.lotSelections = entry.lotSelections.map(s => ({
+          lotId: lotBuys.get(String(s.lotId)) || s.lotId,
+          shares: s.shares
+        }));
+      }
+      return entry;
+    });
+
+  this.holdings = [];
+  this.transactions = [];
+  this.cashBalance = 0;
+
+  ledger.forEach(entry => {
+    try {
+      this.addTransaction(entry);
+    } catch (error) {
+      const day = new Date(entry.date).toISOString().slice(0, 10);
+      const subject = entry.symbol ? `${entry.type} of ${entry.symbol}` : entry.type;
+      throw Object.assign(
+        new Error(`${subject} on ${day}: ${error.message}`),
+        { status: error.status || 400 }
+      );
+    }
+  });
+
+  return this;
+};
+
+/**
+ * Allocation of the portfolio at market prices. A holding without a price
+ * is valued at its average cost and flagged stale.
+ * @param {Map<string, Object>} prices - Latest { price, date } per symbol
+ * @returns {Object[]} { symbol, shares, price, priceDate, priceSource, stale,
+ *   value, percentage } per holding, then the cash
+ */
+portfolioSchema.methods.getAllocation = function(prices = new Map()) {
+  const positions = this.holdings.map(h => {
+    const quote = prices.get(h.symbol);
+    const price = quote ? quote.price : h.averageCost;
+
+    return {
+      symbol: h.symbol,
+      shares: h.shares,
+      price,
+      priceDate: quote ? quote.date : null,
+      priceSource: quote ? 'market' : 'cost',
+      stale: !quote,
+      value: h.shares * price
+    };
+  });
+
+  const totalValue = positions.reduce((sum, p) => sum + p.value, 0) + this.cashBalance;
+  const percentage = (value) => (totalValue !== 0 ? (value / totalValue) * 100 : 0);
 
+  const allocation = positions.map(p => ({ ...p, percentage: percentage(p.value) }));
   allocation.push({
     symbol: 'CASH',
     value: this.cashBalance,
-    percentage: (this.cashBalance / totalValue) * 100
+    percentage: percentage(this.cashBalance)
   });
 
   return allocation;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const snapshotPositionSchema = new mongoose.Schema({
+  symbol: String,
+  shares: Number,
+  // Price the position was valued at (the last known close)
+  price: Number
+}, { _id: false });
+
+/**
+ * Value of a portfolio at the close of one trading day. Snapshots are a cache
+ * of the valuation of the transaction ledger: they are extended on read and
+ * deleted from the first affected day whenever a transaction or price
+ * changes. Each snapshot keeps the positions and prices it was valued with,
+ * so the curve can be extended from the latest snapshot.
+ */
+const portfolioSnapshotSchema = new mongoose.Schema({
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  holdingsValue: Number,
+  cash: Number,
+  value: Number,
+  // Deposits less withdrawals made that day
+  netFlow: Number,
+  positions: [snapshotPositionSchema]
+}, {
+  versionKey: false
+});
+
+portfolioSnapshotSchema.index({ portfolioId: 1, date: 1 }, { unique: true });
+
+const PortfolioSnapshot = mongoose.model('PortfolioSnapshot', portfolioSnapshotSchema);
+
+module.exports = PortfolioSnapshot;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Daily price bars, one document per symbol and date, stored in a MongoDB
+ * time-series collection with the symbol as the meta field. Time-series
+ * collections cannot enforce unique indexes, so callers go through
+ * services/priceHistory.js, which skips dates that are already stored.
+ */
+const priceBarSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  open: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  close: {
+    type: Number,
+    required: true
+  },
+  adjustedClose: {
+    type: Number,
+    required: true
+  },
+  volume: {
+    type: Number,
+    required: true
+  }
+}, {
+  timeseries: {
+    timeField: 'date',
+    metaField: 'symbol',
+    granularity: 'hours'
+  },
+  autoCreate: true,
+  versionKey: false
+});
+
+// Index for ranged and last-N queries per symbol
+priceBarSchema.index({ symbol: 1, date: -1 });
+
+const PriceBar = mongoose.model('PriceBar', priceBarSchema);
+
+module.exports = PriceBar;
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken, parseDuration } = require('../utils/tokens');
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens produced by rotating the same login share a family
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  replacedBy: String,
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the token can still be used
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Lifetime of a refresh token in milliseconds
+const getRefreshTokenTtl = () => {
+  return parseDuration(process.env.REFRESH_TOKEN_EXPIRES_IN || '30d');
+};
+
+/**
+ * Issue a new refresh token for a user
+ * @param {ObjectId} userId - Owner of the token
+ * @param {Object} meta - Request metadata ({ ip, userAgent })
+ * @param {string} family - Rotation family (a new one is started if omitted)
+ * @returns {Promise<{ token: string, doc: Object }>} Raw token and stored document
+ */
+refreshTokenSchema.statics.issue = async function(userId, meta = {}, family = null) {
+  const token = generateRandomToken();
+
+  const doc = await this.create({
+    userId,
+    tokenHash: hashToken(token),
+    family: family || generateRandomToken(16),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtl()),
+    createdByIp: meta.ip,
+    userAgent: meta.userAgent
+  });
+
+  return { token, doc };
+};
+
+// Static method to find by raw token
+refreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * Presenting an already rotated token revokes the whole family, since it
+ * means the token was copied.
+ * @param {string} token - Raw refresh token
+ * @param {Object} meta - Request metadata ({ ip, userAgent })
+ * @returns {Promise<{ token: string, doc: Object }|null>} New token, or null if invalid
+ */
+refreshTokenSchema.statics.rotate = async function(token, meta = {}) {
+  const current = await this.findByToken(token);
+
+  if (!current) {
+    return null;
+  }
+
+  if (current.revokedAt) {
+    if (current.replacedBy) {
+      await this.revokeFamily(current.family);
+    }
+    return null;
+  }
+
+  if (current.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const next = await this.issue(current.userId, meta, current.family);
+
+  current.revokedAt = new Date();
+  current.replacedBy = next.doc.tokenHash;
+  await current.save();
+
+  return next;
+};
+
+// Static method to revoke every active token in a rotation family
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Static method to revoke every active token for a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken, parseDuration } = require('../utils/tokens');
+const totp = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -35,17 +37,37 @@ const userSchema = new mongoose.Schema({
       type: String,
       default: 'UTC'
     },
+    // Channels (inApp, email, webhooks) and categories (priceAlerts, jobs,
+    // security) can each be switched off; a notification is delivered on a
+    // channel only when both flags allow it
     notifications: {
+      inApp: {
+        type: Boolean,
+        default: true
+      },
       email: {
         type: Boolean,
         default: true
       },
+      webhooks: {
+        type: Boolean,
+        default: true
+      },
       priceAlerts: {
         type: Boolean,
         default: true
+      },
+      jobs: {
+        type: Boolean,
+        default: true
+      },
+      security: {
+        type: Boolean,
+        default: true
       }
     }
   },
+  // Legacy flat watchlist; only used to seed the default Watchlist
   watchlist: [{
     type: String,
     uppercase: true,
@@ -58,6 +80,49 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated by setup, promoted to secret once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Consecutive failed password or two-factor attempts
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Number of lockouts since the last successful login, for backoff
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  passwordChangedAt: Date,
+  // Bumped to invalidate every access token issued before it
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   passwordResetToken: String,
   passwordResetExpires: Date
 }, {
@@ -73,6 +138,10 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      // Backdate slightly so a token issued right after the change stays valid
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -84,39 +153,172 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to update last login
+// Virtual for whether the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Method to update last login and clear failed attempts
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = undefined;
   return this.save();
 };
 
-// Method to add symbol to watchlist
-userSchema.methods.addToWatchlist = function(symbol) {
-  const upperSymbol = symbol.toUpperCase();
-  if (!this.watchlist.includes(upperSymbol)) {
-    this.watchlist.push(upperSymbol);
+// Method to record a failed login attempt. After LOGIN_MAX_ATTEMPTS
+// consecutive failures the account is locked; each further lockout doubles
+// the duration, up to LOGIN_LOCKOUT_MAX.
+userSchema.methods.registerFailedLogin = function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const baseLockout = parseDuration(process.env.LOGIN_LOCKOUT_BASE || '1m');
+  const maxLockout = parseDuration(process.env.LOGIN_LOCKOUT_MAX || '1h');
+
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  if (this.failedLoginAttempts >= maxAttempts) {
+    const duration = Math.min(baseLockout * Math.pow(2, this.lockoutCount || 0), maxLockout);
+    this.lockUntil = new Date(Date.now() + duration);
+    this.lockoutCount = (this.lockoutCount || 0) + 1;
+    this.failedLoginAttempts = 0;
   }
+
   return this.save();
 };
 
-// Method to remove symbol from watchlist
-userSchema.methods.removeFromWatchlist = function(symbol) {
-  const upperSymbol = symbol.toUpperCase();
-  this.watchlist = this.watchlist.filter(s => s !== upperSymbol);
+// Method to check whether the password changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function(issuedAtSeconds) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return issuedAtSeconds * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Method to invalidate all access tokens issued so far
+userSchema.methods.invalidateSessions = function() {
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
   return this.save();
 };
 
+// Method to create a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateRandomToken(32);
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(
+    Date.now() + parseDuration(process.env.PASSWORD_RESET_EXPIRES_IN || '1h')
+  );
+  return token;
+};
+
+// Method to clear a pending password reset
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+};
+
+// Method to start two-factor enrollment; returns the new secret
+userSchema.methods.startTwoFactorSetup = function() {
+  const secret = totp.generateSecret();
+  this.twoFactor.pendingSecret = secret;
+  return secret;
+};
+
+// Method to replace the recovery codes; returns the raw codes
+userSchema.methods.regenerateRecoveryCodes = function() {
+  const codes = totp.generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = codes.map(c => hashToken(totp.normalizeRecoveryCode(c)));
+  return codes;
+};
+
+// Method to finish enrollment once a code from the pending secret checks out
+// (requires +twoFactor.pendingSecret)
+userSchema.methods.confirmTwoFactorSetup = function(code) {
+  if (!this.twoFactor.pendingSecret) {
+    return false;
+  }
+
+  const step = totp.verifyTOTP(this.twoFactor.pendingSecret, code);
+  if (step === null) {
+    return false;
+  }
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabledAt = new Date();
+  return true;
+};
+
+// Method to turn off two-factor authentication
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = undefined;
+  this.twoFactor.lastUsedStep = undefined;
+  this.twoFactor.enabledAt = undefined;
+};
+
+// Method to check a TOTP code, rejecting replays of an already used step
+// (requires +twoFactor.secret +twoFactor.lastUsedStep)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret) {
+    return false;
+  }
+
+  const step = totp.verifyTOTP(this.twoFactor.secret, code);
+  if (step === null || (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to consume a recovery code (requires +twoFactor.recoveryCodes)
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashToken(totp.normalizeRecoveryCode(code));
+  const codes = this.twoFactor.recoveryCodes || [];
+
+  if (!codes.includes(hash)) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes = codes.filter(c => c !== hash);
+  return true;
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find the user holding an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
 // Remove sensitive fields when converting to JSON
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.passwordResetToken;
   delete user.passwordResetExpires;
+  delete user.tokenVersion;
+  delete user.failedLoginAttempts;
+  delete user.lockoutCount;
+  delete user.lockUntil;
+  if (user.twoFactor) {
+    user.twoFactor = {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt
+    };
+  }
   return user;
 };
 
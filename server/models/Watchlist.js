@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const watchlistItemSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  targetPrice: {
+    type: Number,
+    min: 0
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const watchlistSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // The default list backs the legacy /api/auth/watchlist routes
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Position among the user's watchlists
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Items are kept in display order
+  items: [watchlistItemSchema]
+}, {
+  timestamps: true
+});
+
+watchlistSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Virtual for the symbols in display order
+watchlistSchema.virtual('symbols').get(function() {
+  return this.items.map(item => item.symbol);
+});
+
+// Method to add a symbol (or update its details if already present)
+watchlistSchema.methods.addItem = function(symbol, details = {}) {
+  const upperSymbol = symbol.toUpperCase();
+  const existing = this.items.find(item => item.symbol === upperSymbol);
+
+  if (existing) {
+    if (details.notes !== undefined) {
+      existing.notes = details.notes;
+    }
+    if (details.targetPrice !== undefined) {
+      existing.targetPrice = details.targetPrice;
+    }
+    return existing;
+  }
+
+  this.items.push({
+    symbol: upperSymbol,
+    notes: details.notes,
+    targetPrice: details.targetPrice
+  });
+  return this.items[this.items.length - 1];
+};
+
+// Method to remove a symbol; returns false if it was not in the list
+watchlistSchema.methods.removeItem = function(symbol) {
+  const upperSymbol = symbol.toUpperCase();
+  const count = this.items.length;
+  this.items = this.items.filter(item => item.symbol !== upperSymbol);
+  return this.items.length < count;
+};
+
+// Method to reorder items; symbols must list every item exactly once
+watchlistSchema.methods.reorder = function(symbols) {
+  const order = symbols.map(s => s.toUpperCase());
+  const current = this.items.map(item => item.symbol);
+
+  if (order.length !== current.length ||
+    new Set(order).size !== order.length ||
+    !order.every(s => current.includes(s))) {
+    throw Object.assign(
+      new Error('symbols must list every symbol in the watchlist exactly once'),
+      { status: 400 }
+    );
+  }
+
+  this.items = order.map(s => this.items.find(item => item.symbol === s).toObject());
+  return this;
+};
+
+/**
+ * Get the user's default watchlist, creating it on first use. A new default
+ * list is seeded from the legacy User.watchlist array.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Watchlist document
+ */
+watchlistSchema.statics.findOrCreateDefault = async function(user) {
+  const existing = await this.findOne({ userId: user._id, isDefault: true });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await this.create({
+      userId: user._id,
+      name: 'Default',
+      isDefault: true,
+      items: (user.watchlist || []).map(symbol => ({ symbol }))
+    });
+  } catch (error) {
+    // A concurrent request created it, or the user already has a list
+    // named 'Default': use that list as the default
+    if (error.code === 11000) {
+      return this.findOneAndUpdate(
+        { userId: user._id, name: 'Default' },
+        { $set: { isDefault: true } },
+        { new: true }
+      );
+    }
+    throw error;
+  }
+};
+
+watchlistSchema.set('toJSON', { virtuals: true });
+
+const Watchlist = mongoose.model('Watchlist', watchlistSchema);
+
+module.exports = Watchlist;
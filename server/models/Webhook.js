@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { generateRandomToken } = require('../utils/tokens');
+const { NOTIFICATION_CATEGORIES } = require('../utils/notifications');
+
+const webhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Categories delivered to this endpoint; empty means all of them
+  categories: [{
+    type: String,
+    enum: NOTIFICATION_CATEGORIES
+  }],
+  // Signing secret; kept in the clear because every delivery is signed with it
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['delivered', 'failed']
+  },
+  lastError: String,
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check whether a category should be sent to this endpoint
+webhookSchema.methods.accepts = function(category) {
+  return this.isActive && (this.categories.length === 0 || this.categories.includes(category));
+};
+
+// Method to replace the signing secret; returns the new secret
+webhookSchema.methods.rotateSecret = function() {
+  this.secret = `whsec_${generateRandomToken(24)}`;
+  return this.secret;
+};
+
+// Give new webhooks a secret
+webhookSchema.pre('validate', function(next) {
+  if (this.isNew && !this.secret) {
+    this.rotateSecret();
+  }
+  next();
+});
+
+// Method to hide the secret in API responses
+webhookSchema.methods.toJSON = function() {
+  const webhook = this.toObject();
+  delete webhook.secret;
+  return webhook;
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
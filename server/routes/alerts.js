@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const AlertRule = require('../models/AlertRule');
+const { authenticateToken, requireOwnership } = require('../middleware/auth');
+const { ALERT_TYPES, validateAlertParams } = require('../utils/alerts');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Maximum number of alert rules per user
+const MAX_ALERTS = 200;
+
+// Load the alert named by :id and check it belongs to the current user
+const loadAlert = requireOwnership(AlertRule, { key: 'alert', name: 'Alert' });
+
+// Respond 400 when the params do not fit the alert type
+const sendInvalidParams = (res, message) => {
+  return res.status(400).json({
+    error: {
+      message,
+      status: 400
+    }
+  });
+};
+
+router.use(authenticateToken);
+
+/**
+ * GET /api/alerts
+ * List the current user's alert rules
+ */
+router.get('/', [
+  query('symbol').optional().isString(),
+  query('isActive').optional().isBoolean()
+], validate, async (req, res, next) => {
+  try {
+    const filter = { userId: req.userId };
+    if (req.query.symbol) {
+      filter.symbol = req.query.symbol.toUpperCase();
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const alerts = await AlertRule.find(filter)
+      .select('-triggers')
+      .sort({ createdAt: -1 });
+
+    res.json({ data: alerts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts
+ * Create an alert rule
+ */
+router.post('/', [
+  body('symbol').isString().isLength({ min: 1, max: 10 }),
+  body('name').optional().isString().isLength({ max: 100 }),
+  body('type').isIn(ALERT_TYPES),
+  body('params').isObject(),
+  body('mode').optional().isIn(['once', 'recurring']),
+  body('cooldownMinutes').optional().isInt({ min: 0, max: 525600 })
+], validate, async (req, res, next) => {
+  try {
+    const { symbol, name, type, params, mode, cooldownMinutes } = req.body;
+
+    const paramsError = validateAlertParams(type, params);
+    if (paramsError) {
+      return sendInvalidParams(res, paramsError);
+    }
+
+    const count = await AlertRule.countDocuments({ userId: req.userId });
+    if (count >= MAX_ALERTS) {
+      return res.status(400).json({
+        error: {
+          message: `A user can have at most ${MAX_ALERTS} alerts`,
+          status: 400
+        }
+      });
+    }
+
+    const alert = new AlertRule({
+      userId: req.userId,
+      symbol: symbol.toUpperCase(),
+      name,
+      type,
+      params,
+      mode,
+      cooldownMinutes
+    });
+
+    await alert.save();
+
+    res.status(201).json({ data: alert });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/alerts/:id
+ * Get an alert rule with its trigger history
+ */
+router.get('/:id', [
+  param('id').isMongoId()
+], validate, loadAlert, (req, res) => {
+  res.json({ data: req.alert });
+});
+
+/**
+ * PUT /api/alerts/:id
+ * Update an alert rule. Setting isActive re-arms a fired one-shot rule.
+ */
+router.put('/:id', [
+  param('id').isMongoId(),
+  body('name').optional().isString().isLength({ max: 100 }),
+  body('params').optional().isObject(),
+  body('mode').optional().isIn(['once', 'recurring']),
+  body('cooldownMinutes').optional().isInt({ min: 0, max: 525600 }),
+  body('isActive').optional().isBoolean()
+], validate, loadAlert, async (req, res, next) => {
+  try {
+    const { name, params, mode, cooldownMinutes, isActive } = req.body;
+    const { alert } = req;
+
+    if (params) {
+      // Fields that are not sent keep their current values
+      const merged = { ...alert.toObject().params, ...params };
+      const paramsError = validateAlertParams(alert.type, merged);
+      if (paramsError) {
+        return sendInvalidParams(res, paramsError);
+      }
+      alert.params = merged;
+    }
+    if (name !== undefined) {
+      alert.name = name;
+    }
+    if (mode) {
+      alert.mode = mode;
+    }
+    if (cooldownMinutes !== undefined) {
+      alert.cooldownMinutes = cooldownMinutes;
+    }
+    if (isActive !== undefined) {
+      alert.isActive = isActive;
+    }
+
+    await alert.save();
+
+    res.json({ data: alert });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/alerts/:id
+ * Delete an alert rule
+ */
+router.delete('/:id', [
+  param('id').isMongoId()
+], validate, loadAlert, async (req, res, next) => {
+  try {
+    await req.alert.deleteOne();
+
+    res.json({ message: 'Alert deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
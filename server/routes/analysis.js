@@ -2,7 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { param, query, body, validationResult } = require('express-validator');
 const Stock = require('../models/Stock');
+const priceHistory = require('../services/priceHistory');
 const quantAnalysis = require('../utils/quantAnalysis');
+const { createAuthenticator } = require('../middleware/auth');
+
+// POST routes here only compute results, so read-scoped API keys may use them
+const authenticateRead = createAuthenticator({ readScopeAllowed: true });
 
 // Validation middleware
 const validate = (req, res, next) => {
@@ -38,8 +43,7 @@ router.get('/stats/:symbol', [
     }
 
     // Get price data
-    const priceData = stock.priceHistory
-      .slice(-parseInt(period))
+    const priceData = (await priceHistory.getLastBars(stock.symbol, period))
       .map(p => p.adjustedClose);
 
     if (priceData.length < 30) {
@@ -56,8 +60,7 @@ router.get('/stats/:symbol', [
     const benchmarkStock = await Stock.findBySymbol(benchmark);
 
     if (benchmarkStock) {
-      benchmarkPrices = benchmarkStock.priceHistory
-        .slice(-parseInt(period))
+      benchmarkPrices = (await priceHistory.getLastBars(benchmarkStock.symbol, period))
         .map(p => p.adjustedClose);
     }
 
@@ -99,7 +102,7 @@ router.get('/returns/:symbol', [
       });
     }
 
-    const priceData = stock.priceHistory.slice(-parseInt(period));
+    const priceData = await priceHistory.getLastBars(stock.symbol, period);
     const prices = priceData.map(p => p.adjustedClose);
 
     let returns;
@@ -160,7 +163,7 @@ router.get('/indicators/:symbol', [
 
     // Get enough price data for the calculation
     const dataNeeded = parseInt(limit) + parseInt(period) * 2;
-    const priceData = stock.priceHistory.slice(-dataNeeded);
+    const priceData = await priceHistory.getLastBars(stock.symbol, dataNeeded);
     const prices = priceData.map(p => p.adjustedClose);
     const dates = priceData.map(p => p.date);
 
@@ -239,7 +242,7 @@ router.get('/indicators/:symbol', [
  * POST /api/analysis/correlation
  * Calculate correlation between multiple stocks
  */
-router.post('/correlation', [
+router.post('/correlation', authenticateRead, [
   body('symbols').isArray({ min: 2, max: 20 }),
   body('symbols.*').isString().isLength({ min: 1, max: 10 }),
   body('period').optional().isInt({ min: 30, max: 1000 })
@@ -264,11 +267,10 @@ router.post('/correlation', [
     }
 
     // Calculate returns for each stock
+    const barsBySymbol = await priceHistory.getLastBarsBySymbol(stocks.map(s => s.symbol), period);
     const stockReturns = {};
     stocks.forEach(stock => {
-      const prices = stock.priceHistory
-        .slice(-parseInt(period))
-        .map(p => p.adjustedClose);
+      const prices = barsBySymbol.get(stock.symbol).map(p => p.adjustedClose);
       stockReturns[stock.symbol] = quantAnalysis.calculateReturns(prices);
     });
 
@@ -304,7 +306,7 @@ router.post('/correlation', [
  * POST /api/analysis/risk
  * Calculate risk metrics for a portfolio or stock
  */
-router.post('/risk', [
+router.post('/risk', authenticateRead, [
   body('symbols').isArray({ min: 1, max: 20 }),
   body('symbols.*').isString().isLength({ min: 1, max: 10 }),
   body('weights').optional().isArray(),
@@ -351,10 +353,9 @@ router.post('/risk', [
     }
 
     // Calculate portfolio returns
+    const barsBySymbol = await priceHistory.getLastBarsBySymbol(stocks.map(s => s.symbol), period);
     const stockReturns = stocks.map(stock => {
-      const prices = stock.priceHistory
-        .slice(-parseInt(period))
-        .map(p => p.adjustedClose);
+      const prices = barsBySymbol.get(stock.symbol).map(p => p.adjustedClose);
       return quantAnalysis.calculateReturns(prices);
     });
 
@@ -425,10 +426,9 @@ router.get('/compare', [
       symbol: { $in: symbolList }
     });
 
+    const barsBySymbol = await priceHistory.getLastBarsBySymbol(stocks.map(s => s.symbol), period);
     const comparison = stocks.map(stock => {
-      const prices = stock.priceHistory
-        .slice(-parseInt(period))
-        .map(p => p.adjustedClose);
+      const prices = barsBySymbol.get(stock.symbol).map(p => p.adjustedClose);
       const returns = quantAnalysis.calculateReturns(prices);
 
       return {
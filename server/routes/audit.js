@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const AuditEvent = require('../models/AuditEvent');
+const { authenticateJwt } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+router.use(authenticateJwt);
+
+/**
+ * GET /api/audit
+ * Query audit events. Users see their own events; users with the
+ * audit:read permission see everyone's and may filter by actor.
+ */
+router.get('/', [
+  query('action').optional().isString(),
+  query('targetType').optional().isString(),
+  query('targetId').optional().isString(),
+  query('actorId').optional().isMongoId(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('skip').optional().isInt({ min: 0 })
+], validate, async (req, res, next) => {
+  try {
+    const {
+      action,
+      targetType,
+      targetId,
+      actorId,
+      from,
+      to,
+      limit = 50,
+      skip = 0
+    } = req.query;
+
+    const canReadAll = hasPermission(req.user.role, PERMISSIONS.AUDIT_READ);
+
+    if (actorId && !canReadAll && actorId !== req.userId) {
+      return res.status(403).json({
+        error: {
+          message: `Missing required permission: ${PERMISSIONS.AUDIT_READ}`,
+          status: 403,
+          permission: PERMISSIONS.AUDIT_READ
+        }
+      });
+    }
+
+    const filter = {};
+    if (!canReadAll) {
+      filter.actorId = req.userId;
+    } else if (actorId) {
+      filter.actorId = actorId;
+    }
+    if (action) {
+      // A trailing '.*' matches a whole namespace, e.g. 'auth.*'
+      filter.action = action.endsWith('.*') ?
+        { $regex: `^${action.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` } :
+        action;
+    }
+    if (targetType) {
+      filter.targetType = targetType;
+    }
+    if (targetId) {
+      filter.targetId = targetId;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        filter.createdAt.$lte = new Date(to);
+      }
+    }
+
+    const events = await AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await AuditEvent.countDocuments(filter);
+
+    res.json({
+      data: events,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: parseInt(skip) + events.length < total
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const Watchlist = require('../models/Watchlist');
+const {
+  authenticateToken,
+  authenticateJwt,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  requireOwnership
+} = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const totp = require('../utils/totp');
+const { recordAuditEvent, snapshot } = require('../services/audit');
+const mailer = require('../services/mailer');
+const { notify } = require('../services/notifications');
 
 // Validation middleware
 const validate = (req, res, next) => {
@@ -13,20 +28,64 @@ const validate = (req, res, next) => {
   next();
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'default-secret-change-in-production',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+// Request metadata recorded with refresh tokens
+const requestMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// Tell a user about a security relevant change to their account
+const notifySecurityEvent = (req, user, title, message) => {
+  return notify(user, {
+    category: 'security',
+    title,
+    message: `${message} If this was not you, change your password and review your account.`,
+    data: requestMeta(req)
+  });
+};
+
+// Respond to a login attempt against a temporarily locked account
+const sendLocked = (res, user) => {
+  const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    error: {
+      message: 'Account temporarily locked due to repeated failed login attempts',
+      status: 423,
+      retryAfter
+    }
+  });
+};
+
+// Per-IP limits for credential endpoints
+const authLimiter = createRateLimiter({
+  prefix: 'auth',
+  window: process.env.AUTH_RATE_LIMIT_WINDOW || '15m',
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20,
+  message: 'Too many authentication attempts, please try again later'
+});
+
+const registerLimiter = createRateLimiter({
+  prefix: 'register',
+  window: process.env.REGISTER_RATE_LIMIT_WINDOW || '1h',
+  max: parseInt(process.env.REGISTER_RATE_LIMIT_MAX) || 5,
+  message: 'Too many accounts created from this IP, please try again later'
+});
+
+// Issue an access token and a new refresh token family for a user
+const issueTokens = async (user, req) => {
+  const { token: refreshToken } = await RefreshToken.issue(user._id, requestMeta(req));
+  return {
+    token: generateAccessToken(user),
+    refreshToken
+  };
 };
 
 /**
  * POST /api/auth/register
  * Register a new user
  */
-router.post('/register', [
+router.post('/register', registerLimiter, [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
   body('name').isString().isLength({ min: 1, max: 100 }).trim()
@@ -53,15 +112,20 @@ router.post('/register', [
     });
 
     await user.save();
+    await recordAuditEvent(req, {
+      action: 'auth.register',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id
+    });
 
-    // Generate token
-    const token = generateToken(user._id);
+    const tokens = await issueTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       data: {
         user: user.toJSON(),
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -73,7 +137,7 @@ router.post('/register', [
  * POST /api/auth/login
  * Login user
  */
-router.post('/login', [
+router.post('/login', authLimiter, [
   body('email').isEmail().normalizeEmail(),
   body('password').isString().notEmpty()
 ], validate, async (req, res, next) => {
@@ -84,6 +148,10 @@ router.post('/login', [
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await recordAuditEvent(req, {
+        action: 'auth.login_failed',
+        metadata: { email, reason: 'unknown_email' }
+      });
       return res.status(401).json({
         error: {
           message: 'Invalid email or password',
@@ -92,9 +160,26 @@ router.post('/login', [
       });
     }
 
+    if (user.isLocked) {
+      return sendLocked(res, user);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await user.registerFailedLogin();
+      await recordAuditEvent(req, {
+        action: 'auth.login_failed',
+        actor: user,
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { reason: 'invalid_password', locked: user.isLocked }
+      });
+      if (user.isLocked) {
+        await notifySecurityEvent(req, user, 'Account temporarily locked',
+          'Your account was locked after repeated failed sign-in attempts.');
+        return sendLocked(res, user);
+      }
       return res.status(401).json({
         error: {
           message: 'Invalid email or password',
@@ -103,17 +188,131 @@ router.post('/login', [
       });
     }
 
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: {
+          message: 'Account is deactivated',
+          status: 403
+        }
+      });
+    }
+
+    // Second step required; no tokens until a code is verified
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user)
+        }
+      });
+    }
+
     // Update last login
     await user.updateLastLogin();
+    await recordAuditEvent(req, {
+      action: 'auth.login',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    const tokens = await issueTokens(user, req);
+
+    res.json({
+      message: 'Login successful',
+      data: {
+        user: user.toJSON(),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Complete a two-factor login with a TOTP code or a recovery code
+ */
+router.post('/login/2fa', authLimiter, [
+  body('challengeToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], validate, async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        error: {
+          message: 'Either code or recoveryCode is required',
+          status: 400
+        }
+      });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    const user = userId && await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        error: {
+          message: 'Invalid or expired challenge token',
+          status: 401
+        }
+      });
+    }
+
+    if (user.isLocked) {
+      return sendLocked(res, user);
+    }
+
+    const verified = code ?
+      user.verifyTwoFactorCode(code) :
+      user.useRecoveryCode(recoveryCode);
+
+    if (!verified) {
+      await user.registerFailedLogin();
+      await recordAuditEvent(req, {
+        action: 'auth.login_failed',
+        actor: user,
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { reason: 'invalid_two_factor_code', locked: user.isLocked }
+      });
+      if (user.isLocked) {
+        await notifySecurityEvent(req, user, 'Account temporarily locked',
+          'Your account was locked after repeated failed two-factor codes.');
+        return sendLocked(res, user);
+      }
+      return res.status(401).json({
+        error: {
+          message: 'Invalid two-factor authentication code',
+          status: 401
+        }
+      });
+    }
+
+    // Persists the consumed step or recovery code along with lastLogin
+    await user.updateLastLogin();
+    await recordAuditEvent(req, {
+      action: 'auth.login',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { twoFactor: code ? 'totp' : 'recovery_code' }
+    });
 
-    // Generate token
-    const token = generateToken(user._id);
+    const tokens = await issueTokens(user, req);
 
     res.json({
       message: 'Login successful',
       data: {
         user: user.toJSON(),
-        token
+        ...tokens,
+        recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length
       }
     });
   } catch (error) {
@@ -122,37 +321,180 @@ router.post('/login', [
 });
 
 /**
- * Middleware to verify JWT token
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
  */
-const authenticateToken = async (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-  if (!token) {
-    return res.status(401).json({
-      error: {
-        message: 'Access token is required',
-        status: 401
+router.post('/refresh', authLimiter, [
+  body('refreshToken').isString().notEmpty()
+], validate, async (req, res, next) => {
+  try {
+    const rotated = await RefreshToken.rotate(req.body.refreshToken, requestMeta(req));
+
+    if (!rotated) {
+      return res.status(401).json({
+        error: {
+          message: 'Invalid or expired refresh token',
+          status: 401
+        }
+      });
+    }
+
+    const user = await User.findById(rotated.doc.userId);
+
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeAllForUser(rotated.doc.userId);
+      return res.status(401).json({
+        error: {
+          message: 'User not found or deactivated',
+          status: 401
+        }
+      });
+    }
+
+    res.json({
+      data: {
+        token: generateAccessToken(user),
+        refreshToken: rotated.token
       }
     });
+  } catch (error) {
+    next(error);
   }
+});
 
+/**
+ * POST /api/auth/logout
+ * Revoke a refresh token
+ */
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty()
+], validate, async (req, res, next) => {
   try {
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'default-secret-change-in-production'
-    );
-    req.userId = decoded.userId;
-    next();
+    const refreshToken = await RefreshToken.findByToken(req.body.refreshToken);
+
+    if (refreshToken && !refreshToken.revokedAt) {
+      refreshToken.revokedAt = new Date();
+      await refreshToken.save();
+    }
+
+    res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    return res.status(403).json({
-      error: {
-        message: 'Invalid or expired token',
-        status: 403
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke every refresh token and access token of the current user
+ */
+router.post('/logout-all', authenticateJwt, async (req, res, next) => {
+  try {
+    await RefreshToken.revokeAllForUser(req.user._id);
+    await req.user.invalidateSessions();
+    await recordAuditEvent(req, {
+      action: 'auth.logout_all',
+      targetType: 'User',
+      targetId: req.user._id
+    });
+
+    res.json({ message: 'All sessions logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link. Always responds the same way so the
+ * endpoint cannot be used to discover registered emails.
+ */
+router.post('/forgot-password', authLimiter, [
+  body('email').isEmail().normalizeEmail()
+], validate, async (req, res, next) => {
+  try {
+    const user = await User.findByEmail(req.body.email);
+
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      await recordAuditEvent(req, {
+        action: 'auth.password_reset_requested',
+        actor: user,
+        targetType: 'User',
+        targetId: user._id
+      });
+
+      const appUrl = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:4200';
+      const resetUrl = `${appUrl}/reset-password?token=${token}`;
+
+      try {
+        await mailer.sendMail({
+          to: user.email,
+          subject: 'Reset your MEAN-QUANT password',
+          text: [
+            `Hi ${user.name},`,
+            '',
+            'Use the link below to choose a new password:',
+            resetUrl,
+            '',
+            `This link expires at ${user.passwordResetExpires.toISOString()} and can only be used once.`,
+            'If you did not request a password reset you can ignore this email.'
+          ].join('\n')
+        });
+      } catch (error) {
+        user.clearPasswordResetToken();
+        await user.save();
+        throw error;
       }
+    }
+
+    res.json({
+      message: 'If an account exists for that email, a password reset link has been sent'
     });
+  } catch (error) {
+    next(error);
   }
-};
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using a reset token
+ */
+router.post('/reset-password', authLimiter, [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], validate, async (req, res, next) => {
+  try {
+    const user = await User.findByPasswordResetToken(req.body.token);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid or expired password reset token',
+          status: 400
+        }
+      });
+    }
+
+    // Tokens are single use; existing sessions are ended
+    user.password = req.body.password;
+    user.clearPasswordResetToken();
+    await user.save();
+    await RefreshToken.revokeAllForUser(user._id);
+    await recordAuditEvent(req, {
+      action: 'auth.password_reset',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id
+    });
+    await notifySecurityEvent(req, user, 'Password reset',
+      'Your password was reset and all sessions were signed out.');
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
  * GET /api/auth/me
@@ -179,11 +521,14 @@ router.get('/me', authenticateToken, async (req, res, next) => {
 
 /**
  * PUT /api/auth/me
- * Update current user profile
+ * Update current user profile. Notification preferences are changed only
+ * through PUT /api/notifications/preferences, which merges and audits them.
  */
-router.put('/me', authenticateToken, [
+router.put('/me', authenticateJwt, [
   body('name').optional().isString().isLength({ min: 1, max: 100 }).trim(),
-  body('preferences').optional().isObject()
+  body('preferences').optional().isObject(),
+  body('preferences.notifications').not().exists()
+    .withMessage('Update notification preferences through /api/notifications/preferences')
 ], validate, async (req, res, next) => {
   try {
     const { name, preferences } = req.body;
@@ -221,7 +566,7 @@ router.put('/me', authenticateToken, [
  * PUT /api/auth/password
  * Change password
  */
-router.put('/password', authenticateToken, [
+router.put('/password', authenticateJwt, [
   body('currentPassword').isString().notEmpty(),
   body('newPassword').isLength({ min: 8 })
 ], validate, async (req, res, next) => {
@@ -250,11 +595,24 @@ router.put('/password', authenticateToken, [
       });
     }
 
-    // Update password
+    // Update password; access tokens issued before now stop working
     user.password = newPassword;
     await user.save();
+    await RefreshToken.revokeAllForUser(user._id);
+    await recordAuditEvent(req, {
+      action: 'auth.password_change',
+      targetType: 'User',
+      targetId: user._id
+    });
+    await notifySecurityEvent(req, user, 'Password changed',
+      'Your password was changed and other sessions were signed out.');
+
+    const tokens = await issueTokens(user, req);
 
-    res.json({ message: 'Password updated successfully' });
+    res.json({
+      message: 'Password updated successfully',
+      data: tokens
+    });
   } catch (error) {
     next(error);
   }
@@ -262,28 +620,86 @@ router.put('/password', authenticateToken, [
 
 /**
  * POST /api/auth/watchlist/:symbol
- * Add symbol to watchlist
+ * Add symbol to the default watchlist
  */
 router.post('/watchlist/:symbol', authenticateToken, async (req, res, next) => {
   try {
     const { symbol } = req.params;
 
-    const user = await User.findById(req.userId);
+    const watchlist = await Watchlist.findOrCreateDefault(req.user);
+    watchlist.addItem(symbol);
+    await watchlist.save();
 
-    if (!user) {
-      return res.status(404).json({
+    res.json({
+      message: `${symbol.toUpperCase()} added to watchlist`,
+      watchlist: watchlist.symbols
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/watchlist/:symbol
+ * Remove symbol from the default watchlist
+ */
+router.delete('/watchlist/:symbol', authenticateToken, async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+
+    const watchlist = await Watchlist.findOrCreateDefault(req.user);
+    watchlist.removeItem(symbol);
+    await watchlist.save();
+
+    res.json({
+      message: `${symbol.toUpperCase()} removed from watchlist`,
+      watchlist: watchlist.symbols
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/watchlist
+ * Get the symbols of the default watchlist
+ */
+router.get('/watchlist', authenticateToken, async (req, res, next) => {
+  try {
+    const watchlist = await Watchlist.findOrCreateDefault(req.user);
+
+    res.json({ watchlist: watchlist.symbols });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start two-factor enrollment by generating a new secret
+ */
+router.post('/2fa/setup', authenticateJwt, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
         error: {
-          message: 'User not found',
-          status: 404
+          message: 'Two-factor authentication is already enabled',
+          status: 409
         }
       });
     }
 
-    await user.addToWatchlist(symbol);
+    const secret = user.startTwoFactorSetup();
+    await user.save();
 
     res.json({
-      message: `${symbol.toUpperCase()} added to watchlist`,
-      watchlist: user.watchlist
+      message: 'Scan the otpauth URI and confirm with a code to finish enrollment',
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.email })
+      }
     });
   } catch (error) {
     next(error);
@@ -291,29 +707,47 @@ router.post('/watchlist/:symbol', authenticateToken, async (req, res, next) => {
 });
 
 /**
- * DELETE /api/auth/watchlist/:symbol
- * Remove symbol from watchlist
+ * POST /api/auth/2fa/confirm
+ * Confirm enrollment with a code from the authenticator app
  */
-router.delete('/watchlist/:symbol', authenticateToken, async (req, res, next) => {
+router.post('/2fa/confirm', authenticateJwt, [
+  body('code').isString().notEmpty()
+], validate, async (req, res, next) => {
   try {
-    const { symbol } = req.params;
+    const user = await User.findById(req.userId)
+      .select('+twoFactor.pendingSecret +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
 
-    const user = await User.findById(req.userId);
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        error: {
+          message: 'Two-factor authentication is already enabled',
+          status: 409
+        }
+      });
+    }
 
-    if (!user) {
-      return res.status(404).json({
+    if (!user.confirmTwoFactorSetup(req.body.code)) {
+      return res.status(400).json({
         error: {
-          message: 'User not found',
-          status: 404
+          message: 'Invalid code or two-factor setup not started',
+          status: 400
         }
       });
     }
 
-    await user.removeFromWatchlist(symbol);
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save();
+    await recordAuditEvent(req, {
+      action: 'auth.2fa_enabled',
+      targetType: 'User',
+      targetId: user._id
+    });
+    await notifySecurityEvent(req, user, 'Two-factor authentication enabled',
+      'Two-factor authentication was turned on for your account.');
 
     res.json({
-      message: `${symbol.toUpperCase()} removed from watchlist`,
-      watchlist: user.watchlist
+      message: 'Two-factor authentication enabled. Store the recovery codes now, they will not be shown again',
+      data: { recoveryCodes }
     });
   } catch (error) {
     next(error);
@@ -321,28 +755,237 @@ router.delete('/watchlist/:symbol', authenticateToken, async (req, res, next) =>
 });
 
 /**
- * GET /api/auth/watchlist
- * Get user's watchlist
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (requires a current code)
  */
-router.get('/watchlist', authenticateToken, async (req, res, next) => {
+router.post('/2fa/recovery-codes', authenticateJwt, [
+  body('code').isString().notEmpty()
+], validate, async (req, res, next) => {
   try {
-    const user = await User.findById(req.userId);
+    const user = await User.findById(req.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
 
-    if (!user) {
-      return res.status(404).json({
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({
         error: {
-          message: 'User not found',
-          status: 404
+          message: 'Invalid two-factor authentication code',
+          status: 401
+        }
+      });
+    }
+
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save();
+
+    res.json({ data: { recoveryCodes } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off two-factor authentication (requires the password and a code)
+ */
+router.post('/2fa/disable', authenticateJwt, [
+  body('password').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], validate, async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.userId)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: {
+          message: 'Two-factor authentication is not enabled',
+          status: 400
+        }
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    const verified = code ?
+      user.verifyTwoFactorCode(code) :
+      Boolean(recoveryCode) && user.useRecoveryCode(recoveryCode);
+
+    if (!isPasswordValid || !verified) {
+      return res.status(401).json({
+        error: {
+          message: 'Invalid password or two-factor authentication code',
+          status: 401
+        }
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+    await recordAuditEvent(req, {
+      action: 'auth.2fa_disabled',
+      targetType: 'User',
+      targetId: user._id
+    });
+    await notifySecurityEvent(req, user, 'Two-factor authentication disabled',
+      'Two-factor authentication was turned off for your account.');
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Maximum number of active API keys per user
+const MAX_API_KEYS = 25;
+
+// Load the API key named by :id and check it belongs to the current user
+const loadApiKey = requireOwnership(ApiKey, { key: 'apiKey', name: 'API key' });
+
+/**
+ * GET /api/auth/api-keys
+ * List the current user's API keys
+ */
+router.get('/api-keys', authenticateJwt, async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.userId, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({ data: apiKeys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/api-keys
+ * Create an API key. The key is only returned in this response.
+ */
+router.post('/api-keys', authenticateJwt, [
+  body('name').isString().isLength({ min: 1, max: 100 }).trim(),
+  body('scope').optional().isIn(['read', 'trade']),
+  body('expiresAt').optional().isISO8601()
+], validate, async (req, res, next) => {
+  try {
+    const { name, scope, expiresAt } = req.body;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        error: {
+          message: 'expiresAt must be in the future',
+          status: 400
+        }
+      });
+    }
+
+    const activeCount = await ApiKey.countDocuments({ userId: req.userId, revokedAt: null });
+    if (activeCount >= MAX_API_KEYS) {
+      return res.status(400).json({
+        error: {
+          message: `A user can have at most ${MAX_API_KEYS} active API keys`,
+          status: 400
         }
       });
     }
 
-    res.json({ watchlist: user.watchlist });
+    const { key, doc } = await ApiKey.generate({
+      userId: req.userId,
+      name,
+      scope: scope || 'read',
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined
+    });
+    await recordAuditEvent(req, {
+      action: 'apikey.create',
+      targetType: 'ApiKey',
+      targetId: doc._id,
+      after: { name: doc.name, scope: doc.scope, prefix: doc.prefix }
+    });
+    await notifySecurityEvent(req, req.user, 'API key created',
+      `A ${doc.scope} API key named "${doc.name}" was created.`);
+
+    res.status(201).json({
+      message: 'API key created. Store it now, it will not be shown again',
+      data: {
+        ...doc.toJSON(),
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/auth/api-keys/:id
+ * Rename or change the scope of an API key
+ */
+router.put('/api-keys/:id', authenticateJwt, [
+  param('id').isMongoId(),
+  body('name').optional().isString().isLength({ min: 1, max: 100 }).trim(),
+  body('scope').optional().isIn(['read', 'trade'])
+], validate, loadApiKey, async (req, res, next) => {
+  try {
+    const { name, scope } = req.body;
+    const { apiKey } = req;
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        error: {
+          message: 'API key has been revoked',
+          status: 400
+        }
+      });
+    }
+
+    const before = snapshot(apiKey, ['name', 'scope']);
+
+    if (name) {
+      apiKey.name = name;
+    }
+    if (scope) {
+      apiKey.scope = scope;
+    }
+
+    await apiKey.save();
+    await recordAuditEvent(req, {
+      action: 'apikey.update',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      before,
+      after: snapshot(apiKey, ['name', 'scope'])
+    });
+
+    res.json({ data: apiKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * Revoke an API key
+ */
+router.delete('/api-keys/:id', authenticateJwt, [
+  param('id').isMongoId()
+], validate, loadApiKey, async (req, res, next) => {
+  try {
+    const { apiKey } = req;
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      await recordAuditEvent(req, {
+        action: 'apikey.revoke',
+        targetType: 'ApiKey',
+        targetId: apiKey._id
+      });
+    }
+
+    res.json({ message: 'API key revoked successfully' });
   } catch (error) {
     next(error);
   }
 });
 
-// Export router and middleware
 module.exports = router;
-module.exports.authenticateToken = authenticateToken;
@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, query, validationResult } = require('express-validator');
+const Stock = require('../models/Stock');
+const CorporateAction = require('../models/CorporateAction');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { CORPORATE_ACTION_TYPES, validateCorporateAction } = require('../utils/corporateActions');
+const { recordAuditEvent, snapshot } = require('../services/audit');
+const { recomputeAdjustedCloses } = require('../services/corporateActions');
+
+// Corporate action fields that may be set through the API
+const EDITABLE_FIELDS = ['type', 'exDate', 'recordDate', 'payDate', 'ratio', 'amount', 'valueRatio', 'spinOffSymbol', 'notes'];
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const requireWrite = [authenticateToken, requirePermission(PERMISSIONS.MARKETDATA_WRITE)];
+
+const actionValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('type').isIn(CORPORATE_ACTION_TYPES),
+    field('exDate').isISO8601(),
+    body('recordDate').optional({ nullable: true }).isISO8601(),
+    body('payDate').optional({ nullable: true }).isISO8601(),
+    body('ratio').optional({ nullable: true }).isFloat({ gt: 0 }).toFloat(),
+    body('amount').optional({ nullable: true }).isFloat({ gt: 0 }).toFloat(),
+    body('valueRatio').optional({ nullable: true }).isFloat({ gt: 0, lt: 1 }).toFloat(),
+    body('spinOffSymbol').optional({ nullable: true }).isString().isLength({ min: 1, max: 10 }),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 })
+  ];
+};
+
+// Respond 404 for an unknown stock or action
+const sendNotFound = (res, message) => {
+  return res.status(404).json({
+    error: {
+      message,
+      status: 404
+    }
+  });
+};
+
+// Respond 409 when the stock already has this action on the ex-date
+const sendDuplicate = (res, action) => {
+  return res.status(409).json({
+    error: {
+      message: `A ${action.type} with ex-date ${action.exDate.toISOString().slice(0, 10)} already exists`,
+      status: 409
+    }
+  });
+};
+
+// Load the stock named by :symbol
+const loadStock = async (req, res, next) => {
+  try {
+    req.stock = await Stock.findBySymbol(req.params.symbol);
+    if (!req.stock) {
+      return sendNotFound(res, `Stock with symbol ${req.params.symbol} not found`);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load the action named by :actionId, scoped to the stock
+const loadAction = async (req, res, next) => {
+  try {
+    req.action = await CorporateAction.findOne({
+      _id: req.params.actionId,
+      symbol: req.params.symbol.toUpperCase()
+    });
+    if (!req.action) {
+      return sendNotFound(res, 'Corporate action not found');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/market-data/stocks/:symbol/actions
+ * List the corporate actions of a stock, oldest first
+ */
+router.get('/', [
+  param('symbol').isString().isLength({ min: 1, max: 10 }),
+  query('type').optional().isIn(CORPORATE_ACTION_TYPES)
+], validate, loadStock, async (req, res, next) => {
+  try {
+    const filter = { symbol: req.stock.symbol };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const actions = await CorporateAction.find(filter).sort({ exDate: 1 });
+
+    res.json({
+      symbol: req.stock.symbol,
+      data: actions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/market-data/stocks/:symbol/actions/:actionId
+ * Get a corporate action
+ */
+router.get('/:actionId', [
+  param('symbol').isString().isLength({ min: 1, max: 10 }),
+  param('actionId').isMongoId()
+], validate, loadAction, (req, res) => {
+  res.json({ data: req.action });
+});
+
+/**
+ * POST /api/market-data/stocks/:symbol/actions
+ * Record a corporate action and re-adjust the price history
+ */
+router.post('/', requireWrite, [
+  param('symbol').isString().isLength({ min: 1, max: 10 }),
+  ...actionValidators(false)
+], validate, loadStock, async (req, res, next) => {
+  try {
+    const attrs = { symbol: req.stock.symbol };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined && req.body[field] !== null) {
+        attrs[field] = req.body[field];
+      }
+    });
+
+    const validationError = validateCorporateAction(attrs);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError,
+          status: 400
+        }
+      });
+    }
+
+    const action = new CorporateAction(attrs);
+    try {
+      await action.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendDuplicate(res, action);
+      }
+      throw error;
+    }
+
+    const adjustment = await recomputeAdjustedCloses(action.symbol);
+    await recordAuditEvent(req, {
+      action: 'marketdata.corporate_action_create',
+      targetType: 'CorporateAction',
+      targetId: action._id,
+      after: snapshot(action, EDITABLE_FIELDS),
+      metadata: { symbol: action.symbol, barsUpdated: adjustment.updated }
+    });
+
+    res.status(201).json({
+      data: action,
+      adjustment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/market-data/stocks/:symbol/actions/:actionId
+ * Edit a corporate action and re-adjust the price history
+ */
+router.put('/:actionId', requireWrite, [
+  param('symbol').isString().isLength({ min: 1, max: 10 }),
+  param('actionId').isMongoId(),
+  ...actionValidators(true)
+], validate, loadAction, async (req, res, next) => {
+  try {
+    const { action } = req;
+    const before = snapshot(action, EDITABLE_FIELDS);
+
+    // null clears an optional field
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        action[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    });
+
+    const validationError = validateCorporateAction(action.toObject());
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError,
+          status: 400
+        }
+      });
+    }
+
+    try {
+      await action.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendDuplicate(res, action);
+      }
+      throw error;
+    }
+
+    const adjustment = await recomputeAdjustedCloses(action.symbol);
+    await recordAuditEvent(req, {
+      action: 'marketdata.corporate_action_update',
+      targetType: 'CorporateAction',
+      targetId: action._id,
+      before,
+      after: snapshot(action, EDITABLE_FIELDS),
+      metadata: { symbol: action.symbol, barsUpdated: adjustment.updated }
+    });
+
+    res.json({
+      data: action,
+      adjustment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/market-data/stocks/:symbol/actions/:actionId
+ * Delete a corporate action and re-adjust the price history
+ */
+router.delete('/:actionId', requireWrite, [
+  param('symbol').isString().isLength({ min: 1, max: 10 }),
+  param('actionId').isMongoId()
+], validate, loadAction, async (req, res, next) => {
+  try {
+    const { action } = req;
+
+    await action.deleteOne();
+    const adjustment = await recomputeAdjustedCloses(action.symbol);
+    await recordAuditEvent(req, {
+      action: 'marketdata.corporate_action_delete',
+      targetType: 'CorporateAction',
+      targetId: action._id,
+      before: snapshot(action, EDITABLE_FIELDS),
+      metadata: { symbol: action.symbol, barsUpdated: adjustment.updated }
+    });
+
+    res.json({
+      message: 'Corporate action deleted successfully',
+      adjustment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,21 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const Stock = require('../models/Stock');
+const CorporateAction = require('../models/CorporateAction');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { recordAuditEvent, snapshot } = require('../services/audit');
+const { evaluateAlertsForSymbol } = require('../services/alerts');
+const { refreshAdjustedCloses } = require('../services/corporateActions');
+const { refreshSnapshotsForSymbol } = require('../services/portfolioValuation');
+const priceHistory = require('../services/priceHistory');
+const { importPriceCsv } = require('../services/priceImport');
+const { notify } = require('../services/notifications');
+const { getMultipartBoundary, createMultipartFileStream } = require('../utils/csv');
+const { DATE_FORMATS } = require('../utils/priceImport');
+
+// Stock fields captured in audit diffs
+const AUDITED_FIELDS = ['name', 'exchange', 'sector', 'industry'];
 
 // Validation middleware
 const validate = (req, res, next) => {
@@ -34,7 +49,6 @@ router.get('/stocks', [
     }
 
     const stocks = await Stock.find(filter)
-      .select('-priceHistory')
       .limit(parseInt(limit))
       .skip(parseInt(skip))
       .sort({ symbol: 1 });
@@ -107,26 +121,13 @@ router.get('/stocks/:symbol/prices', [
       });
     }
 
-    let prices = stock.priceHistory;
-
-    // Filter by date range if provided
-    if (startDate || endDate) {
-      prices = prices.filter(price => {
-        const priceDate = new Date(price.date);
-        if (startDate && priceDate < new Date(startDate)) {
-          return false;
-        }
-        if (endDate && priceDate > new Date(endDate)) {
-          return false;
-        }
-        return true;
-      });
-    }
-
-    // Sort by date descending and limit
-    prices = prices
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, parseInt(limit));
+    // Most recent bars in the range first
+    const prices = await priceHistory.getBars(stock.symbol, {
+      start: startDate,
+      end: endDate,
+      limit,
+      order: 'desc'
+    });
 
     res.json({
       symbol: stock.symbol,
@@ -143,7 +144,7 @@ router.get('/stocks/:symbol/prices', [
  * POST /api/market-data/stocks
  * Create or update a stock
  */
-router.post('/stocks', [
+router.post('/stocks', authenticateToken, requirePermission(PERMISSIONS.MARKETDATA_WRITE), [
   body('symbol').isString().isLength({ min: 1, max: 10 }).toUpperCase(),
   body('name').isString().isLength({ min: 1, max: 200 }),
   body('exchange').optional().isString(),
@@ -154,6 +155,7 @@ router.post('/stocks', [
     const { symbol, name, exchange, sector, industry } = req.body;
 
     let stock = await Stock.findBySymbol(symbol);
+    const before = stock ? snapshot(stock, AUDITED_FIELDS) : null;
 
     if (stock) {
       // Update existing stock
@@ -181,6 +183,14 @@ router.post('/stocks', [
       await stock.save();
     }
 
+    await recordAuditEvent(req, {
+      action: before ? 'marketdata.stock_update' : 'marketdata.stock_create',
+      targetType: 'Stock',
+      targetId: stock.symbol,
+      before,
+      after: snapshot(stock, AUDITED_FIELDS)
+    });
+
     res.status(201).json({ data: stock });
   } catch (error) {
     next(error);
@@ -191,7 +201,7 @@ router.post('/stocks', [
  * POST /api/market-data/stocks/:symbol/prices
  * Add price data to a stock
  */
-router.post('/stocks/:symbol/prices', [
+router.post('/stocks/:symbol/prices', authenticateToken, requirePermission(PERMISSIONS.MARKETDATA_WRITE), [
   param('symbol').isString().isLength({ min: 1, max: 10 }),
   body('prices').isArray({ min: 1 }),
   body('prices.*.date').isISO8601(),
@@ -228,25 +238,158 @@ router.post('/stocks/:symbol/prices', [
       volume: parseInt(p.volume)
     }));
 
-    // Add new prices and remove duplicates by date
-    const existingDates = new Set(stock.priceHistory.map(p => p.date.toISOString()));
-    const uniqueNewPrices = newPrices.filter(p => !existingDates.has(p.date.toISOString()));
+    // Add new prices, skipping dates that already have a bar
+    const uniqueNewPrices = await priceHistory.addBars(stock.symbol, newPrices);
+    if (uniqueNewPrices.length > 0) {
+      // Re-derive adjusted closes before alerts read them
+      await refreshAdjustedCloses(stock.symbol);
+      await refreshSnapshotsForSymbol(
+        stock.symbol,
+        new Date(Math.min(...uniqueNewPrices.map(p => p.date)))
+      );
+    }
 
-    stock.priceHistory.push(...uniqueNewPrices);
-    stock.priceHistory.sort((a, b) => new Date(a.date) - new Date(b.date));
     stock.lastUpdated = new Date();
-
     await stock.save();
+    await recordAuditEvent(req, {
+      action: 'marketdata.prices_add',
+      targetType: 'Stock',
+      targetId: stock.symbol,
+      metadata: {
+        submitted: newPrices.length,
+        added: uniqueNewPrices.length
+      }
+    });
+
+    // A failing alert rule must not fail the price upload
+    let alertsTriggered = 0;
+    try {
+      const triggered = await evaluateAlertsForSymbol(
+        stock.symbol,
+        uniqueNewPrices.map(p => p.date)
+      );
+      alertsTriggered = triggered.length;
+    } catch (error) {
+      console.error('Failed to evaluate alerts:', error.message);
+    }
 
     res.status(201).json({
       message: `Added ${uniqueNewPrices.length} price records`,
-      totalRecords: stock.priceHistory.length
+      totalRecords: await priceHistory.countBars(stock.symbol),
+      alertsTriggered
     });
   } catch (error) {
     next(error);
   }
 });
 
+// Query options accepted by the CSV import endpoints
+const importValidators = [
+  query('columns').optional().isObject(),
+  query('header').optional().isBoolean(),
+  query('dateFormat').optional().isIn(DATE_FORMATS),
+  query('delimiter').optional().isIn([',', ';', '\t', '|']),
+  query('createMissing').optional().isBoolean(),
+  query('report').optional().isIn(['full', 'errors'])
+];
+
+/**
+ * Stream a CSV upload into the price history. The body is either the raw
+ * CSV (Content-Type: text/csv) or multipart/form-data with a "file" field.
+ * Imported bars are history, so they do not trigger alerts.
+ */
+const importPrices = async (req, res, next) => {
+  try {
+    const contentType = req.get('content-type') || '';
+    let input = req;
+
+    if (/^multipart\/form-data/i.test(contentType)) {
+      const boundary = getMultipartBoundary(contentType);
+      if (!boundary) {
+        return res.status(400).json({
+          error: {
+            message: 'Multipart boundary is missing',
+            status: 400
+          }
+        });
+      }
+      input = req.pipe(createMultipartFileStream(boundary));
+      req.on('error', error => input.destroy(error));
+    } else if (!/^text\/(csv|plain)/i.test(contentType)) {
+      return res.status(415).json({
+        error: {
+          message: 'Upload CSV as text/csv or multipart/form-data',
+          status: 415
+        }
+      });
+    }
+
+    const symbol = req.params.symbol || req.query.symbol;
+    const report = await importPriceCsv(input, {
+      symbol: symbol ? symbol.toUpperCase() : undefined,
+      columns: req.query.columns,
+      header: req.query.header !== 'false',
+      dateFormat: req.query.dateFormat,
+      delimiter: req.query.delimiter,
+      createMissing: req.query.createMissing !== 'false',
+      errorsOnly: req.query.report !== 'full'
+    });
+
+    for (const [importedSymbol, counts] of Object.entries(report.symbols)) {
+      if (counts.accepted > 0) {
+        await refreshAdjustedCloses(importedSymbol);
+        await refreshSnapshotsForSymbol(importedSymbol);
+      }
+    }
+
+    const summary = {
+      totalRows: report.totalRows,
+      accepted: report.accepted,
+      duplicates: report.duplicates,
+      rejected: report.rejected,
+      createdStocks: report.createdStocks
+    };
+    await recordAuditEvent(req, {
+      action: 'marketdata.prices_import',
+      targetType: 'Stock',
+      targetId: Object.keys(report.symbols).join(',') || symbol,
+      metadata: summary
+    });
+    await notify(req.user, {
+      category: 'job',
+      title: 'Price import finished',
+      message: `Imported ${report.accepted} of ${report.totalRows} rows ` +
+        `(${report.duplicates} duplicate, ${report.rejected} rejected).`,
+      data: summary
+    });
+
+    res.status(201).json({
+      message: `Imported ${report.accepted} price records`,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/market-data/import
+ * Import price history for several symbols from one CSV file
+ */
+router.post('/import', authenticateToken, requirePermission(PERMISSIONS.MARKETDATA_WRITE), [
+  query('symbol').optional().isString().isLength({ min: 1, max: 10 }),
+  ...importValidators
+], validate, importPrices);
+
+/**
+ * POST /api/market-data/stocks/:symbol/prices/import
+ * Import price history for one symbol from a CSV file
+ */
+router.post('/stocks/:symbol/prices/import', authenticateToken, requirePermission(PERMISSIONS.MARKETDATA_WRITE), [
+  param('symbol').isString().isLength({ min: 1, max: 10 }),
+  ...importValidators
+], validate, importPrices);
+
 /**
  * GET /api/market-data/search
  * Search stocks by name or symbol
@@ -277,15 +420,15 @@ router.get('/search', [
  * DELETE /api/market-data/stocks/:symbol
  * Delete a stock
  */
-router.delete('/stocks/:symbol', [
+router.delete('/stocks/:symbol', authenticateToken, requirePermission(PERMISSIONS.MARKETDATA_DELETE), [
   param('symbol').isString().isLength({ min: 1, max: 10 })
 ], validate, async (req, res, next) => {
   try {
     const { symbol } = req.params;
 
-    const result = await Stock.deleteOne({ symbol: symbol.toUpperCase() });
+    const stock = await Stock.findOneAndDelete({ symbol: symbol.toUpperCase() });
 
-    if (result.deletedCount === 0) {
+    if (!stock) {
       return res.status(404).json({
         error: {
           message: `Stock with symbol ${symbol} not found`,
@@ -294,6 +437,17 @@ router.delete('/stocks/:symbol', [
       });
     }
 
+    const barsDeleted = await priceHistory.deleteBars(stock.symbol);
+    const { deletedCount: actionsDeleted } = await CorporateAction.deleteMany({ symbol: stock.symbol });
+    await refreshSnapshotsForSymbol(stock.symbol);
+    await recordAuditEvent(req, {
+      action: 'marketdata.stock_delete',
+      targetType: 'Stock',
+      targetId: stock.symbol,
+      before: snapshot(stock, AUDITED_FIELDS),
+      metadata: { barsDeleted, actionsDeleted }
+    });
+
     res.json({ message: `Stock ${symbol} deleted successfully` });
   } catch (error) {
     next(error);
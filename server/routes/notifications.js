@@ -0,0 +1,363 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const Webhook = require('../models/Webhook');
+const { authenticateToken, authenticateJwt, requireOwnership } = require('../middleware/auth');
+const { recordAuditEvent, snapshot } = require('../services/audit');
+const { deliverWebhook } = require('../services/notifications');
+const { NOTIFICATION_CATEGORIES, isPublicWebhookUrl } = require('../utils/notifications');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Maximum number of webhooks per user
+const MAX_WEBHOOKS = 10;
+
+// Preference flags accepted by PUT /preferences
+const PREFERENCE_FLAGS = ['inApp', 'email', 'webhooks', 'priceAlerts', 'jobs', 'security'];
+
+// Load the notification named by :id and check it belongs to the current user
+const loadNotification = requireOwnership(Notification, { key: 'notification' });
+
+// Load the webhook named by :id and check it belongs to the current user
+const loadWebhook = requireOwnership(Webhook, { key: 'webhook' });
+
+// Webhook URLs must be http(s) and name a public host
+const webhookUrl = (field) => field
+  .isURL({ protocols: ['http', 'https'], require_protocol: true })
+  .bail()
+  .custom(isPublicWebhookUrl)
+  .withMessage('Webhook URL must point to a public host');
+
+/**
+ * GET /api/notifications
+ * List the current user's inbox, newest first
+ */
+router.get('/', authenticateToken, [
+  query('unread').optional().isBoolean(),
+  query('category').optional().isIn(NOTIFICATION_CATEGORIES),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('skip').optional().isInt({ min: 0 })
+], validate, async (req, res, next) => {
+  try {
+    const { unread, category, limit = 50, skip = 0 } = req.query;
+
+    const filter = { userId: req.userId, inbox: true };
+    if (unread !== undefined) {
+      filter.readAt = unread === 'true' ? null : { $ne: null };
+    }
+    if (category) {
+      filter.category = category;
+    }
+
+    const notifications = await Notification.find(filter)
+      .select('-deliveries')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: req.userId, inbox: true, readAt: null })
+    ]);
+
+    res.json({
+      data: notifications,
+      unreadCount,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: parseInt(skip) + notifications.length < total
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/notifications/read-all
+ * Mark every unread notification as read
+ */
+router.put('/read-all', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.userId, inbox: true, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/notifications/preferences
+ * Get the current user's notification preferences
+ */
+router.get('/preferences', authenticateToken, (req, res) => {
+  res.json({ data: req.user.preferences.notifications });
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Switch notification channels and categories on or off
+ */
+router.put('/preferences', authenticateJwt, [
+  ...PREFERENCE_FLAGS.map(flag => body(flag).optional().isBoolean())
+], validate, async (req, res, next) => {
+  try {
+    const { user } = req;
+    const before = snapshot(user.preferences.notifications, PREFERENCE_FLAGS);
+
+    PREFERENCE_FLAGS.forEach(flag => {
+      if (req.body[flag] !== undefined) {
+        user.preferences.notifications[flag] = req.body[flag];
+      }
+    });
+
+    await user.save();
+    await recordAuditEvent(req, {
+      action: 'notifications.preferences_update',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: snapshot(user.preferences.notifications, PREFERENCE_FLAGS)
+    });
+
+    res.json({ data: user.preferences.notifications });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/notifications/webhooks
+ * List the current user's webhooks
+ */
+router.get('/webhooks', authenticateJwt, async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find({ userId: req.userId })
+      .sort({ createdAt: -1 });
+
+    res.json({ data: webhooks });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notifications/webhooks
+ * Register a webhook. The signing secret is only returned in this response.
+ */
+router.post('/webhooks', authenticateJwt, [
+  webhookUrl(body('url')),
+  body('description').optional().isString().isLength({ max: 200 }).trim(),
+  body('categories').optional().isArray(),
+  body('categories.*').isIn(NOTIFICATION_CATEGORIES)
+], validate, async (req, res, next) => {
+  try {
+    const { url, description, categories = [] } = req.body;
+
+    const count = await Webhook.countDocuments({ userId: req.userId });
+    if (count >= MAX_WEBHOOKS) {
+      return res.status(400).json({
+        error: {
+          message: `A user can have at most ${MAX_WEBHOOKS} webhooks`,
+          status: 400
+        }
+      });
+    }
+
+    const webhook = new Webhook({
+      userId: req.userId,
+      url,
+      description,
+      categories
+    });
+    await webhook.save();
+    await recordAuditEvent(req, {
+      action: 'webhook.create',
+      targetType: 'Webhook',
+      targetId: webhook._id,
+      after: snapshot(webhook, ['url', 'categories'])
+    });
+
+    res.status(201).json({
+      message: 'Webhook created. Store the secret now, it will not be shown again',
+      data: {
+        ...webhook.toJSON(),
+        secret: webhook.secret
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/notifications/webhooks/:id
+ * Update a webhook; rotateSecret returns a new signing secret
+ */
+router.put('/webhooks/:id', authenticateJwt, [
+  param('id').isMongoId(),
+  webhookUrl(body('url').optional()),
+  body('description').optional().isString().isLength({ max: 200 }).trim(),
+  body('categories').optional().isArray(),
+  body('categories.*').isIn(NOTIFICATION_CATEGORIES),
+  body('isActive').optional().isBoolean(),
+  body('rotateSecret').optional().isBoolean()
+], validate, loadWebhook, async (req, res, next) => {
+  try {
+    const { url, description, categories, isActive, rotateSecret } = req.body;
+    const { webhook } = req;
+    const before = snapshot(webhook, ['url', 'categories', 'isActive']);
+
+    if (url) {
+      webhook.url = url;
+    }
+    if (description !== undefined) {
+      webhook.description = description;
+    }
+    if (categories) {
+      webhook.categories = categories;
+    }
+    if (isActive !== undefined) {
+      webhook.isActive = isActive;
+      if (isActive) {
+        webhook.consecutiveFailures = 0;
+      }
+    }
+    const secret = rotateSecret ? webhook.rotateSecret() : undefined;
+
+    await webhook.save();
+    await recordAuditEvent(req, {
+      action: 'webhook.update',
+      targetType: 'Webhook',
+      targetId: webhook._id,
+      before,
+      after: snapshot(webhook, ['url', 'categories', 'isActive']),
+      metadata: rotateSecret ? { secretRotated: true } : undefined
+    });
+
+    res.json({
+      data: secret ? { ...webhook.toJSON(), secret } : webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/notifications/webhooks/:id
+ * Delete a webhook
+ */
+router.delete('/webhooks/:id', authenticateJwt, [
+  param('id').isMongoId()
+], validate, loadWebhook, async (req, res, next) => {
+  try {
+    await req.webhook.deleteOne();
+    await recordAuditEvent(req, {
+      action: 'webhook.delete',
+      targetType: 'Webhook',
+      targetId: req.webhook._id,
+      before: snapshot(req.webhook, ['url', 'categories'])
+    });
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notifications/webhooks/:id/test
+ * Send a signed test event once, without retries, and report only whether
+ * it was delivered
+ */
+router.post('/webhooks/:id/test', authenticateJwt, [
+  param('id').isMongoId()
+], validate, loadWebhook, async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.webhook._id).select('+secret');
+
+    const result = await deliverWebhook(webhook, {
+      id: `test-${Date.now()}`,
+      category: 'test',
+      title: 'Test notification',
+      message: 'This is a test event from MEAN-QUANT',
+      createdAt: new Date()
+    }, { maxAttempts: 1 });
+
+    res.json({ data: { status: result.status } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/notifications/:id/read
+ * Mark a notification as read
+ */
+router.put('/:id/read', authenticateToken, [
+  param('id').isMongoId()
+], validate, loadNotification, async (req, res, next) => {
+  try {
+    const { notification } = req;
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({ data: notification });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/notifications/:id/unread
+ * Mark a notification as unread
+ */
+router.put('/:id/unread', authenticateToken, [
+  param('id').isMongoId()
+], validate, loadNotification, async (req, res, next) => {
+  try {
+    const { notification } = req;
+
+    notification.readAt = undefined;
+    await notification.save();
+
+    res.json({ data: notification });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/notifications/:id
+ * Delete a notification from the inbox
+ */
+router.delete('/:id', authenticateToken, [
+  param('id').isMongoId()
+], validate, loadNotification, async (req, res, next) => {
+  try {
+    await req.notification.deleteOne();
+
+    res.json({ message: 'Notification deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
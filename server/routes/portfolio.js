@@ -1,9 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Portfolio = require('../models/Portfolio');
 const Stock = require('../models/Stock');
+const CorporateAction = require('../models/CorporateAction');
+const priceHistory = require('../services/priceHistory');
 const quantAnalysis = require('../utils/quantAnalysis');
+const { LOT_METHODS, buildRealizedGainsReport, buildTaxReport } = require('../utils/taxLots');
+const { formatCsv } = require('../utils/csv');
+const { TRANSACTION_TYPES, CASH_TRANSACTION_TYPES } = require('../utils/ledger');
+const { PERFORMANCE_PERIODS, calculatePeriodReturns, getPeriodStart } = require('../utils/performance');
+const { buildBenchmarkComparison } = require('../utils/benchmark');
+const { buildSectorAttribution } = require('../utils/attribution');
+const { ALLOCATION_GROUPS, groupAllocation } = require('../utils/allocation');
+const { validateTargetWeights, proposeRebalance } = require('../utils/rebalance');
+const {
+  getDailyValuations,
+  getLatestPrices,
+  invalidateSnapshots,
+  refreshSnapshots
+} = require('../services/portfolioValuation');
+const { authenticateToken, requireOwnership } = require('../middleware/auth');
+const { recordAuditEvent, snapshot } = require('../services/audit');
 
 // Validation middleware
 const validate = (req, res, next) => {
@@ -14,15 +32,61 @@ const validate = (req, res, next) => {
   next();
 };
 
-// Temporary auth middleware (replace with proper JWT auth)
-const tempAuth = (req, _res, next) => {
-  // For demo purposes, use a fixed user ID
-  // In production, this would be extracted from JWT token
-  req.userId = req.headers['x-user-id'] || '000000000000000000000001';
-  next();
+// Portfolio fields captured in audit diffs
+const AUDITED_FIELDS = ['name', 'description', 'cashBalance', 'benchmarkSymbol', 'lotMethod', 'isPublic'];
+
+// Relief methods a portfolio can default to (SPECIFIC is chosen per sell)
+const DEFAULT_LOT_METHODS = LOT_METHODS.filter(m => m !== 'SPECIFIC');
+
+// Columns of the CSV tax report, one row per closed lot
+const TAX_REPORT_COLUMNS = [
+  { key: 'description', header: 'Description' },
+  { key: 'portfolioName', header: 'Portfolio' },
+  { key: 'acquiredAt', header: 'Date Acquired' },
+  { key: 'soldAt', header: 'Date Sold' },
+  { key: 'proceeds', header: 'Proceeds' },
+  { key: 'costBasis', header: 'Cost Basis' },
+  { key: 'code', header: 'Adjustment Code' },
+  { key: 'washSaleDisallowed', header: 'Adjustment Amount' },
+  { key: 'gain', header: 'Gain or Loss' },
+  { key: 'term', header: 'Term' }
+];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Ways to weight a benchmark constituent list given without weights
+const BENCHMARK_WEIGHTINGS = ['equal', 'marketCap'];
+
+// Bars of each symbol from the last close before start to end, oldest first
+const getBarsSince = async (symbols, start, end) => {
+  const bars = await Promise.all(symbols.map(async symbol => [
+    ...await priceHistory.getLastBars(symbol, 1, { before: start }),
+    ...await priceHistory.getBars(symbol, { start, end })
+  ]));
+  return new Map(symbols.map((symbol, i) => [symbol, bars[i]]));
+};
+
+// Transaction fields captured in audit diffs
+const TRANSACTION_FIELDS = ['type', 'symbol', 'shares', 'price', 'ratio', 'amount', 'fees', 'date', 'notes', 'lotMethod'];
+
+// Find the transaction named by :txId, or respond 404
+const findTransaction = (req, res) => {
+  const transaction = req.portfolio.transactions.id(req.params.txId);
+  if (!transaction) {
+    res.status(404).json({
+      error: {
+        message: 'Transaction not found',
+        status: 404
+      }
+    });
+  }
+  return transaction;
 };
 
-router.use(tempAuth);
+// Load the portfolio named by :id and check it belongs to the current user
+const loadPortfolio = requireOwnership(Portfolio, { key: 'portfolio' });
+
+router.use(authenticateToken);
 
 /**
  * GET /api/portfolio
@@ -40,27 +104,59 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/portfolio/tax-report
+ * Per-trade tax schedule for a year across all of the user's portfolios,
+ * with wash sales applied (JSON, or CSV with format=csv)
+ */
+router.get('/tax-report', [
+  query('year').optional().isInt({ min: 1900, max: 2200 }).toInt(),
+  query('format').optional().isIn(['json', 'csv'])
+], validate, async (req, res, next) => {
+  try {
+    const year = req.query.year || new Date().getUTCFullYear();
+    const portfolios = await Portfolio.find({ userId: req.userId })
+      .select('name transactions')
+      .lean();
+
+    const report = buildTaxReport(portfolios, year);
+
+    if (req.query.format === 'csv') {
+      const rows = report.trades.map(trade => ({
+        ...trade,
+        description: `${trade.shares} sh. ${trade.symbol}`,
+        proceeds: roundCents(trade.proceeds),
+        costBasis: roundCents(trade.costBasis),
+        code: trade.washSaleDisallowed > 0 ? 'W' : '',
+        washSaleDisallowed: trade.washSaleDisallowed > 0 ? roundCents(trade.washSaleDisallowed) : '',
+        gain: roundCents(trade.gain)
+      }));
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="tax-report-${year}.csv"`);
+      return res.send(formatCsv(rows, TAX_REPORT_COLUMNS));
+    }
+
+    res.json({
+      year,
+      totals: report.totals,
+      trades: report.trades,
+      adjustments: report.adjustments
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/portfolio/:id
  * Get a specific portfolio by ID
  */
 router.get('/:id', [
   param('id').isMongoId()
-], validate, async (req, res, next) => {
+], validate, loadPortfolio, async (req, res, next) => {
   try {
-    const portfolio = await Portfolio.findOne({
-      _id: req.params.id,
-      userId: req.userId
-    });
-
-    if (!portfolio) {
-      return res.status(404).json({
-        error: {
-          message: 'Portfolio not found',
-          status: 404
-        }
-      });
-    }
+    const { portfolio } = req;
 
     res.json({ data: portfolio });
   } catch (error) {
@@ -76,22 +172,33 @@ router.post('/', [
   body('name').isString().isLength({ min: 1, max: 100 }),
   body('description').optional().isString().isLength({ max: 500 }),
   body('currency').optional().isString().isLength({ min: 3, max: 3 }),
-  body('cashBalance').optional().isFloat({ min: 0 }),
-  body('benchmarkSymbol').optional().isString()
+  body('cashBalance').optional().isFloat({ min: 0 }).toFloat(),
+  body('benchmarkSymbol').optional().isString(),
+  body('lotMethod').optional().isIn(DEFAULT_LOT_METHODS)
 ], validate, async (req, res, next) => {
   try {
-    const { name, description, currency, cashBalance, benchmarkSymbol } = req.body;
+    const { name, description, currency, cashBalance, benchmarkSymbol, lotMethod } = req.body;
 
     const portfolio = new Portfolio({
       userId: req.userId,
       name,
       description,
       currency: currency || 'USD',
-      cashBalance: cashBalance || 0,
-      benchmarkSymbol: benchmarkSymbol || 'SPY'
+      benchmarkSymbol: benchmarkSymbol || 'SPY',
+      lotMethod: lotMethod || 'FIFO'
     });
+    // Starting cash is recorded as the first deposit of the ledger
+    if (cashBalance > 0) {
+      portfolio.addTransaction({ type: 'deposit', amount: cashBalance, date: new Date(), notes: 'Opening balance' });
+    }
 
     await portfolio.save();
+    await recordAuditEvent(req, {
+      action: 'portfolio.create',
+      targetType: 'Portfolio',
+      targetId: portfolio._id,
+      after: snapshot(portfolio, AUDITED_FIELDS)
+    });
 
     res.status(201).json({ data: portfolio });
   } catch (error) {
@@ -101,29 +208,27 @@ router.post('/', [
 
 /**
  * PUT /api/portfolio/:id
- * Update a portfolio
+ * Update a portfolio (cash changes go through deposit and withdrawal
+ * transactions)
  */
 router.put('/:id', [
   param('id').isMongoId(),
   body('name').optional().isString().isLength({ min: 1, max: 100 }),
   body('description').optional().isString().isLength({ max: 500 }),
-  body('cashBalance').optional().isFloat({ min: 0 }),
   body('benchmarkSymbol').optional().isString(),
+  body('lotMethod').optional().isIn(DEFAULT_LOT_METHODS),
   body('isPublic').optional().isBoolean()
-], validate, async (req, res, next) => {
+], validate, loadPortfolio, async (req, res, next) => {
   try {
-    const { name, description, cashBalance, benchmarkSymbol, isPublic } = req.body;
-
-    const portfolio = await Portfolio.findOne({
-      _id: req.params.id,
-      userId: req.userId
-    });
+    const { name, description, benchmarkSymbol, lotMethod, isPublic } = req.body;
+    const { portfolio } = req;
+    const before = snapshot(portfolio, AUDITED_FIELDS);
 
-    if (!portfolio) {
-      return res.status(404).json({
+    if (req.body.cashBalance !== undefined) {
+      return res.status(400).json({
         error: {
-          message: 'Portfolio not found',
-          status: 404
+          message: 'cashBalance is derived from transactions; record a deposit or withdrawal instead',
+          status: 400
         }
       });
     }
@@ -134,17 +239,24 @@ router.put('/:id', [
     if (description !== undefined) {
       portfolio.description = description;
     }
-    if (cashBalance !== undefined) {
-      portfolio.cashBalance = cashBalance;
-    }
     if (benchmarkSymbol) {
       portfolio.benchmarkSymbol = benchmarkSymbol;
     }
+    if (lotMethod) {
+      portfolio.lotMethod = lotMethod;
+    }
     if (isPublic !== undefined) {
       portfolio.isPublic = isPublic;
     }
 
     await portfolio.save();
+    await recordAuditEvent(req, {
+      action: 'portfolio.update',
+      targetType: 'Portfolio',
+      targetId: portfolio._id,
+      before,
+      after: snapshot(portfolio, AUDITED_FIELDS)
+    });
 
     res.json({ data: portfolio });
   } catch (error) {
@@ -158,22 +270,17 @@ router.put('/:id', [
  */
 router.delete('/:id', [
   param('id').isMongoId()
-], validate, async (req, res, next) => {
+], validate, loadPortfolio, async (req, res, next) => {
   try {
-    const result = await Portfolio.deleteOne({
-      _id: req.params.id,
-      userId: req.userId
+    await req.portfolio.deleteOne();
+    await invalidateSnapshots(req.portfolio._id);
+    await recordAuditEvent(req, {
+      action: 'portfolio.delete',
+      targetType: 'Portfolio',
+      targetId: req.portfolio._id,
+      before: snapshot(req.portfolio, AUDITED_FIELDS)
     });
 
-    if (result.deletedCount === 0) {
-      return res.status(404).json({
-        error: {
-          message: 'Portfolio not found',
-          status: 404
-        }
-      });
-    }
-
     res.json({ message: 'Portfolio deleted successfully' });
   } catch (error) {
     next(error);
@@ -182,45 +289,67 @@ router.delete('/:id', [
 
 /**
  * POST /api/portfolio/:id/transaction
- * Add a transaction to a portfolio
+ * Add a transaction to a portfolio. Splits take a ratio instead of shares
+ * and price, and rescale the holding and its open lots. Sells close lots by
+ * the portfolio's relief method unless they name a method or specific lots.
+ * Deposits, withdrawals, interest and fees take an amount instead.
  */
 router.post('/:id/transaction', [
   param('id').isMongoId(),
-  body('type').isIn(['buy', 'sell', 'dividend', 'split']),
-  body('symbol').isString().isLength({ min: 1, max: 10 }),
-  body('shares').isFloat({ min: 0.0001 }),
-  body('price').isFloat({ min: 0 }),
-  body('fees').optional().isFloat({ min: 0 }),
+  body('type').isIn(TRANSACTION_TYPES),
+  body('symbol').if(body('type').not().isIn(CASH_TRANSACTION_TYPES)).isString().isLength({ min: 1, max: 10 }),
+  body('shares').if(body('type').isIn(['buy', 'sell', 'dividend'])).isFloat({ min: 0.0001 }).toFloat(),
+  body('price').if(body('type').isIn(['buy', 'sell', 'dividend'])).isFloat({ min: 0 }).toFloat(),
+  body('ratio').if(body('type').equals('split')).isFloat({ gt: 0 }).toFloat(),
+  body('amount').if(body('type').isIn(CASH_TRANSACTION_TYPES)).isFloat({ gt: 0 }).toFloat(),
+  body('lotMethod').if(body('type').equals('sell')).optional().isIn(LOT_METHODS),
+  body('lots').if(body('type').equals('sell')).optional().isArray({ min: 1 }),
+  body('lots.*.lotId').isMongoId(),
+  body('lots.*.shares').isFloat({ gt: 0 }).toFloat(),
+  body('fees').optional().isFloat({ min: 0 }).toFloat(),
   body('date').optional().isISO8601(),
   body('notes').optional().isString().isLength({ max: 500 })
-], validate, async (req, res, next) => {
+], validate, loadPortfolio, async (req, res, next) => {
   try {
-    const portfolio = await Portfolio.findOne({
-      _id: req.params.id,
-      userId: req.userId
-    });
-
-    if (!portfolio) {
-      return res.status(404).json({
-        error: {
-          message: 'Portfolio not found',
-          status: 404
-        }
-      });
-    }
+    const { portfolio } = req;
 
-    const transaction = {
+    const isCash = CASH_TRANSACTION_TYPES.includes(req.body.type);
+    const transaction = isCash ? {
+      type: req.body.type,
+      amount: req.body.amount,
+      date: req.body.date ? new Date(req.body.date) : new Date(),
+      notes: req.body.notes
+    } : {
       type: req.body.type,
       symbol: req.body.symbol.toUpperCase(),
       shares: req.body.shares,
       price: req.body.price,
+      ratio: req.body.type === 'split' ? req.body.ratio : undefined,
+      lotMethod: req.body.type === 'sell' ? req.body.lotMethod : undefined,
+      lotSelections: req.body.type === 'sell' ? req.body.lots : undefined,
       fees: req.body.fees || 0,
       date: req.body.date ? new Date(req.body.date) : new Date(),
       notes: req.body.notes
     };
 
+    const cashBefore = portfolio.cashBalance;
     portfolio.addTransaction(transaction);
     await portfolio.save();
+    await refreshSnapshots(portfolio, transaction.date);
+    const recorded = portfolio.transactions[portfolio.transactions.length - 1];
+    await recordAuditEvent(req, {
+      action: 'portfolio.transaction',
+      targetType: 'Portfolio',
+      targetId: portfolio._id,
+      before: { cashBalance: cashBefore },
+      after: { cashBalance: portfolio.cashBalance },
+      metadata: {
+        transactionId: recorded._id,
+        ...transaction,
+        shares: recorded.shares,
+        price: recorded.price
+      }
+    });
 
     res.status(201).json({
       message: 'Transaction added successfully',
@@ -232,33 +361,154 @@ router.post('/:id/transaction', [
 });
 
 /**
- * GET /api/portfolio/:id/allocation
- * Get portfolio allocation
+ * PUT /api/portfolio/:id/transaction/:txId
+ * Edit a transaction and rebuild holdings and cash from the ledger
  */
-router.get('/:id/allocation', [
-  param('id').isMongoId()
-], validate, async (req, res, next) => {
+router.put('/:id/transaction/:txId', [
+  param('id').isMongoId(),
+  param('txId').isMongoId(),
+  body('type').optional().isIn(TRANSACTION_TYPES),
+  body('symbol').optional().isString().isLength({ min: 1, max: 10 }),
+  body('shares').optional().isFloat({ min: 0.0001 }).toFloat(),
+  body('price').optional().isFloat({ min: 0 }).toFloat(),
+  body('ratio').optional().isFloat({ gt: 0 }).toFloat(),
+  body('amount').optional().isFloat({ gt: 0 }).toFloat(),
+  body('lotMethod').optional({ nullable: true }).isIn(LOT_METHODS),
+  body('lots').optional({ nullable: true }).isArray({ min: 1 }),
+  body('lots.*.lotId').isMongoId(),
+  body('lots.*.shares').isFloat({ gt: 0 }).toFloat(),
+  body('fees').optional().isFloat({ min: 0 }).toFloat(),
+  body('date').optional().isISO8601(),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 500 })
+], validate, loadPortfolio, async (req, res, next) => {
   try {
-    const portfolio = await Portfolio.findOne({
-      _id: req.params.id,
-      userId: req.userId
+    const { portfolio } = req;
+    const existing = findTransaction(req, res);
+    if (!existing) {
+      return;
+    }
+
+    const before = { ...snapshot(existing, TRANSACTION_FIELDS), cashBalance: portfolio.cashBalance };
+    const edited = existing.toObject();
+    ['type', 'shares', 'price', 'ratio', 'amount', 'fees', 'lotMethod'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        edited[field] = req.body[field] === null ? undefined : req.body[field];
+      }
     });
+    if (req.body.symbol) {
+      edited.symbol = req.body.symbol.toUpperCase();
+    }
+    if (req.body.date) {
+      edited.date = new Date(req.body.date);
+    }
+    if (req.body.notes !== undefined) {
+      edited.notes = req.body.notes === null ? undefined : req.body.notes;
+    }
+    if (req.body.lots !== undefined) {
+      edited.lotSelections = req.body.lots || [];
+    }
+    if (edited.type !== 'sell') {
+      edited.lotMethod = undefined;
+      edited.lotSelections = [];
+    }
+    if (CASH_TRANSACTION_TYPES.includes(edited.type)) {
+      ['symbol', 'shares', 'price', 'ratio'].forEach(field => {
+        edited[field] = undefined;
+      });
+    }
 
-    if (!portfolio) {
-      return res.status(404).json({
+    const missing = CASH_TRANSACTION_TYPES.includes(edited.type) ? ['amount']
+      : edited.type === 'split' ? ['symbol', 'ratio'] : ['symbol', 'shares', 'price'];
+    if (missing.some(field => edited[field] === undefined || edited[field] === null)) {
+      return res.status(400).json({
         error: {
-          message: 'Portfolio not found',
-          status: 404
+          message: `${edited.type} transactions require ${missing.join(', ')}`,
+          status: 400
         }
       });
     }
 
-    const allocation = portfolio.getAllocation();
+    const ledger = portfolio.transactions.map(t => (String(t._id) === String(existing._id) ? edited : t));
+    portfolio.replayTransactions(ledger);
+    await portfolio.save();
+    await refreshSnapshots(portfolio, new Date(Math.min(existing.date, new Date(edited.date))));
+
+    const updated = portfolio.transactions.id(existing._id);
+    await recordAuditEvent(req, {
+      action: 'portfolio.transaction_update',
+      targetType: 'Portfolio',
+      targetId: portfolio._id,
+      before,
+      after: { ...snapshot(updated, TRANSACTION_FIELDS), cashBalance: portfolio.cashBalance },
+      metadata: { transactionId: existing._id }
+    });
+
+    res.json({
+      message: 'Transaction updated successfully',
+      data: portfolio
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/portfolio/:id/transaction/:txId
+ * Delete a transaction and rebuild holdings and cash from the ledger
+ */
+router.delete('/:id/transaction/:txId', [
+  param('id').isMongoId(),
+  param('txId').isMongoId()
+], validate, loadPortfolio, async (req, res, next) => {
+  try {
+    const { portfolio } = req;
+    const existing = findTransaction(req, res);
+    if (!existing) {
+      return;
+    }
+
+    const before = { ...snapshot(existing, TRANSACTION_FIELDS), cashBalance: portfolio.cashBalance };
+    portfolio.replayTransactions(portfolio.transactions.filter(t => String(t._id) !== String(existing._id)));
+    await portfolio.save();
+    await refreshSnapshots(portfolio, existing.date);
+    await recordAuditEvent(req, {
+      action: 'portfolio.transaction_delete',
+      targetType: 'Portfolio',
+      targetId: portfolio._id,
+      before,
+      after: { cashBalance: portfolio.cashBalance },
+      metadata: { transactionId: existing._id }
+    });
+
+    res.json({
+      message: 'Transaction deleted successfully',
+      data: portfolio
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/realized-gains
+ * Gain or loss on every lot closed by a sell in a calendar year
+ */
+router.get('/:id/realized-gains', [
+  param('id').isMongoId(),
+  query('year').optional().isInt({ min: 1900, max: 2200 }).toInt()
+], validate, loadPortfolio, async (req, res, next) => {
+  try {
+    const { portfolio } = req;
+    const year = req.query.year || new Date().getUTCFullYear();
+
+    const report = buildRealizedGainsReport(portfolio.transactions, year);
 
     res.json({
       portfolioId: portfolio._id,
       portfolioName: portfolio.name,
-      allocation
+      year,
+      totals: report.totals,
+      lots: report.lots
     });
   } catch (error) {
     next(error);
@@ -266,44 +516,241 @@ router.get('/:id/allocation', [
 });
 
 /**
- * GET /api/portfolio/:id/performance
- * Get portfolio performance metrics
+ * POST /api/portfolio/:id/splits/sync
+ * Record split transactions from the corporate actions of held stocks
  */
-router.get('/:id/performance', [
+router.post('/:id/splits/sync', [
   param('id').isMongoId()
-], validate, async (req, res, next) => {
+], validate, loadPortfolio, async (req, res, next) => {
   try {
-    const portfolio = await Portfolio.findOne({
-      _id: req.params.id,
-      userId: req.userId
+    const { portfolio } = req;
+    const symbols = portfolio.holdings.map(h => h.symbol);
+
+    const actions = await CorporateAction.find({
+      symbol: { $in: symbols },
+      type: 'split',
+      exDate: { $lte: new Date() }
+    }).lean();
+
+    const result = portfolio.applySplitActions(actions);
+
+    if (result.applied.length > 0) {
+      await portfolio.save();
+      await refreshSnapshots(portfolio, new Date(Math.min(...result.applied.map(a => new Date(a.exDate)))));
+      await recordAuditEvent(req, {
+        action: 'portfolio.splits_sync',
+        targetType: 'Portfolio',
+        targetId: portfolio._id,
+        metadata: { applied: result.applied }
+      });
+    }
+
+    res.json({
+      message: `Recorded ${result.applied.length} split transactions`,
+      applied: result.applied,
+      skipped: result.skipped,
+      data: portfolio
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!portfolio) {
-      return res.status(404).json({
+/**
+ * PUT /api/portfolio/:id/targets
+ * Replace the portfolio's target weights (an empty list clears them)
+ */
+router.put('/:id/targets', [
+  param('id').isMongoId(),
+  body('targets').isArray({ max: 500 }),
+  body('targets.*.symbol').optional().isString().isLength({ min: 1, max: 10 }),
+  body('targets.*.sector').optional().isString().isLength({ min: 1, max: 100 }),
+  body('targets.*.weight').isFloat({ min: 0, max: 1 }).toFloat()
+], validate, loadPortfolio, async (req, res, next) => {
+  try {
+    const { portfolio } = req;
+    const targets = req.body.targets.map(t => ({
+      symbol: t.symbol ? t.symbol.toUpperCase() : undefined,
+      sector: t.sector || undefined,
+      weight: t.weight
+    }));
+
+    const validationError = validateTargetWeights(targets);
+    if (validationError) {
+      return res.status(400).json({
         error: {
-          message: 'Portfolio not found',
-          status: 404
+          message: validationError,
+          status: 400
         }
       });
     }
 
-    // Get current prices for holdings
-    const symbols = portfolio.holdings.map(h => h.symbol);
-    const stocks = await Stock.find({ symbol: { $in: symbols } });
+    const before = snapshot(portfolio, ['targetWeights']);
+    portfolio.targetWeights = targets;
+    await portfolio.save();
+    await recordAuditEvent(req, {
+      action: 'portfolio.targets_update',
+      targetType: 'Portfolio',
+      targetId: portfolio._id,
+      before,
+      after: snapshot(portfolio, ['targetWeights'])
+    });
 
-    const stockPrices = {};
-    stocks.forEach(stock => {
-      if (stock.priceHistory.length > 0) {
-        const latestPrice = stock.priceHistory[stock.priceHistory.length - 1];
-        stockPrices[stock.symbol] = latestPrice.adjustedClose;
+    res.json({ data: portfolio });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/portfolio/:id/rebalance
+ * Propose the trades that bring the portfolio back to its target weights at
+ * the latest prices, and optionally record them as transactions
+ */
+router.post('/:id/rebalance', [
+  param('id').isMongoId(),
+  body('band').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+  body('relativeBand').optional().isFloat({ min: 0 }).toFloat(),
+  body('minTradeValue').optional().isFloat({ min: 0 }).toFloat(),
+  body('wholeShares').optional().isBoolean().toBoolean(),
+  body('cashReserve').optional().isFloat({ min: 0, max: 0.99 }).toFloat(),
+  body('feePerTrade').optional().isFloat({ min: 0 }).toFloat(),
+  body('feeRate').optional().isFloat({ min: 0, max: 0.1 }).toFloat(),
+  body('apply').optional().isBoolean().toBoolean()
+], validate, loadPortfolio, async (req, res, next) => {
+  try {
+    const { portfolio } = req;
+    const targets = portfolio.targetWeights.map(t => ({ symbol: t.symbol, sector: t.sector, weight: t.weight }));
+
+    if (targets.length === 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Portfolio has no target weights; set them with PUT /api/portfolio/:id/targets',
+          status: 400
+        }
+      });
+    }
+
+    const bySector = !targets[0].symbol;
+    const symbols = [...new Set([
+      ...portfolio.holdings.map(h => h.symbol),
+      ...(bySector ? [] : targets.map(t => t.symbol))
+    ])];
+    const [prices, stocks] = await Promise.all([
+      getLatestPrices(symbols),
+      bySector ? Stock.find({ symbol: { $in: symbols } }, { symbol: 1, sector: 1 }) : []
+    ]);
+
+    const proposal = proposeRebalance(
+      { holdings: portfolio.holdings, cash: portfolio.cashBalance },
+      targets,
+      prices,
+      {
+        sectorBySymbol: new Map(stocks.filter(s => s.sector).map(s => [s.symbol, s.sector])),
+        band: req.body.band,
+        relativeBand: req.body.relativeBand,
+        minTradeValue: req.body.minTradeValue,
+        wholeShares: req.body.wholeShares,
+        cashReserve: req.body.cashReserve,
+        feePerTrade: req.body.feePerTrade,
+        feeRate: req.body.feeRate
       }
+    );
+
+    const apply = req.body.apply === true && proposal.trades.length > 0;
+    if (apply) {
+      const cashBefore = portfolio.cashBalance;
+      const date = new Date();
+      proposal.trades.forEach(trade => portfolio.addTransaction({
+        type: trade.type,
+        symbol: trade.symbol,
+        shares: trade.shares,
+        price: trade.price,
+        fees: trade.fees,
+        date,
+        notes: 'Rebalance'
+      }));
+      await portfolio.save();
+      await refreshSnapshots(portfolio, date);
+      await recordAuditEvent(req, {
+        action: 'portfolio.rebalance',
+        targetType: 'Portfolio',
+        targetId: portfolio._id,
+        before: { cashBalance: cashBefore },
+        after: { cashBalance: portfolio.cashBalance },
+        metadata: { trades: proposal.trades }
+      });
+    }
+
+    res.json({
+      portfolioId: portfolio._id,
+      portfolioName: portfolio.name,
+      applied: apply,
+      ...proposal,
+      data: apply ? portfolio : undefined
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/allocation
+ * Get portfolio allocation at the latest prices, optionally grouped by a
+ * stock field
+ */
+router.get('/:id/allocation', [
+  param('id').isMongoId(),
+  query('groupBy').optional().isIn(ALLOCATION_GROUPS)
+], validate, loadPortfolio, async (req, res, next) => {
+  try {
+    const { portfolio } = req;
+    const { groupBy } = req.query;
+    const symbols = portfolio.holdings.map(h => h.symbol);
+
+    const [prices, stocks] = await Promise.all([
+      getLatestPrices(symbols),
+      groupBy ? Stock.find({ symbol: { $in: symbols } }) : []
+    ]);
+    const allocation = portfolio.getAllocation(prices);
+
+    res.json({
+      portfolioId: portfolio._id,
+      portfolioName: portfolio.name,
+      totalValue: allocation.reduce((sum, a) => sum + a.value, 0),
+      stale: allocation.some(a => a.stale),
+      allocation,
+      groupBy: groupBy || undefined,
+      groups: groupBy ? groupAllocation(allocation, new Map(stocks.map(s => [s.symbol, s])), groupBy) : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/performance
+ * Get portfolio performance metrics: unrealized gains of the holdings, and
+ * time- and money-weighted returns of the ledger over each period
+ */
+router.get('/:id/performance', [
+  param('id').isMongoId(),
+  query('period').optional().isIn(PERFORMANCE_PERIODS)
+], validate, loadPortfolio, async (req, res, next) => {
+  try {
+    const { portfolio } = req;
+    const periods = req.query.period ? [req.query.period] : PERFORMANCE_PERIODS;
+
+    // Price holdings at their latest close, as the allocation does; holdings
+    // without a price are valued at cost and flagged stale
+    const prices = await getLatestPrices(portfolio.holdings.map(h => h.symbol));
 
     // Calculate portfolio value and returns
     let totalCost = 0;
     let totalValue = 0;
     const holdingsDetails = portfolio.holdings.map(holding => {
-      const currentPrice = stockPrices[holding.symbol] || holding.averageCost;
+      const quote = prices.get(holding.symbol);
+      const currentPrice = quote ? quote.price : holding.averageCost;
       const cost = holding.shares * holding.averageCost;
       const value = holding.shares * currentPrice;
       const gain = value - cost;
@@ -317,6 +764,9 @@ router.get('/:id/performance', [
         shares: holding.shares,
         averageCost: holding.averageCost,
         currentPrice,
+        priceDate: quote ? quote.date : null,
+        priceSource: quote ? 'market' : 'cost',
+        stale: !quote,
         cost,
         value,
         gain,
@@ -328,6 +778,12 @@ router.get('/:id/performance', [
     const totalGain = totalValue - totalCost;
     const totalGainPercent = totalCost > 0 ? (totalGain / totalCost) * 100 : 0;
 
+    const valuations = await getDailyValuations(portfolio);
+    const returns = {};
+    periods.forEach(period => {
+      returns[period] = calculatePeriodReturns(valuations, period);
+    });
+
     res.json({
       portfolioId: portfolio._id,
       portfolioName: portfolio.name,
@@ -337,8 +793,10 @@ router.get('/:id/performance', [
         cashBalance: portfolio.cashBalance,
         totalValueWithCash,
         totalGain,
-        totalGainPercent
+        totalGainPercent,
+        stale: holdingsDetails.some(h => h.stale)
       },
+      returns,
       holdings: holdingsDetails
     });
   } catch (error) {
@@ -347,27 +805,229 @@ router.get('/:id/performance', [
 });
 
 /**
- * GET /api/portfolio/:id/risk
- * Get portfolio risk analysis
+ * GET /api/portfolio/:id/history
+ * Daily equity curve of the portfolio: holdings value, cash and external
+ * flows at each close, rebuilt from the ledger and price history
  */
-router.get('/:id/risk', [
-  param('id').isMongoId()
-], validate, async (req, res, next) => {
+router.get('/:id/history', [
+  param('id').isMongoId(),
+  query('start').optional().isISO8601(),
+  query('end').optional().isISO8601()
+], validate, loadPortfolio, async (req, res, next) => {
   try {
-    const portfolio = await Portfolio.findOne({
-      _id: req.params.id,
-      userId: req.userId
+    const { portfolio } = req;
+    const start = req.query.start ? new Date(req.query.start) : null;
+    const end = req.query.end ? new Date(req.query.end) : new Date();
+
+    const valuations = await getDailyValuations(portfolio, { end });
+
+    res.json({
+      portfolioId: portfolio._id,
+      portfolioName: portfolio.name,
+      data: valuations
+        .filter(v => !start || v.date >= start)
+        .map(({ date, holdingsValue, cash, value, netFlow }) => ({ date, holdingsValue, cash, value, netFlow }))
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!portfolio) {
+/**
+ * GET /api/portfolio/:id/benchmark
+ * Compare the portfolio with its benchmark (or the one named by the
+ * benchmark query): equity curves, relative risk statistics and active
+ * return by period
+ */
+router.get('/:id/benchmark', [
+  param('id').isMongoId(),
+  query('benchmark').optional().isString().isLength({ min: 1, max: 10 }),
+  query('start').optional().isISO8601(),
+  query('end').optional().isISO8601(),
+  query('period').optional().isIn(PERFORMANCE_PERIODS)
+], validate, loadPortfolio, async (req, res, next) => {
+  try {
+    const { portfolio } = req;
+    const benchmark = (req.query.benchmark || portfolio.benchmarkSymbol).toUpperCase();
+    const start = req.query.start ? new Date(req.query.start) : null;
+    const end = req.query.end ? new Date(req.query.end) : new Date();
+
+    const valuations = await getDailyValuations(portfolio, { end });
+    if (valuations.length === 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Portfolio has no transactions to compare',
+          status: 400
+        }
+      });
+    }
+
+    // The close before the first valuation prices the first day's return
+    const first = valuations[0].date;
+    const bars = (await getBarsSince([benchmark], first, end)).get(benchmark);
+    if (!bars.some(bar => bar.date >= first)) {
+      return res.status(400).json({
+        error: {
+          message: `No price history for benchmark ${benchmark} since ${first.toISOString().slice(0, 10)}`,
+          status: 400
+        }
+      });
+    }
+
+    const comparison = buildBenchmarkComparison(valuations, bars, {
+      start,
+      periods: req.query.period ? [req.query.period] : PERFORMANCE_PERIODS
+    });
+
+    res.json({
+      portfolioId: portfolio._id,
+      portfolioName: portfolio.name,
+      benchmark,
+      statistics: comparison.statistics,
+      periods: comparison.periods,
+      data: comparison.curve
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/portfolio/:id/attribution
+ * Brinson-Fachler attribution of the portfolio's return against a benchmark
+ * by sector. The benchmark is a list of constituents with weights, or
+ * weighted equally or by market cap.
+ */
+router.post('/:id/attribution', [
+  param('id').isMongoId(),
+  body('symbols').isArray({ min: 1, max: 500 }),
+  body('symbols.*').isString().isLength({ min: 1, max: 10 }),
+  body('weights').optional().isArray(),
+  body('weights.*').optional().isFloat({ min: 0 }),
+  body('weighting').optional().isIn(BENCHMARK_WEIGHTINGS),
+  body('period').optional().isIn(PERFORMANCE_PERIODS),
+  body('start').optional().isISO8601(),
+  body('end').optional().isISO8601()
+], validate, loadPortfolio, async (req, res, next) => {
+  try {
+    const { portfolio } = req;
+    const { weights, weighting = 'equal', period = 'YTD' } = req.body;
+    const symbols = req.body.symbols.map(s => s.toUpperCase());
+    const end = req.body.end ? new Date(req.body.end) : new Date();
+
+    if (new Set(symbols).size !== symbols.length) {
+      return res.status(400).json({
+        error: {
+          message: 'Benchmark symbols must be unique',
+          status: 400
+        }
+      });
+    }
+    if (weights && weights.length !== symbols.length) {
+      return res.status(400).json({
+        error: {
+          message: 'Number of weights must match number of symbols',
+          status: 400
+        }
+      });
+    }
+
+    const stocks = await Stock.find({ symbol: { $in: symbols } }, { symbol: 1, marketCap: 1 });
+    if (stocks.length !== symbols.length) {
+      const foundSymbols = stocks.map(s => s.symbol);
+      const missingSymbols = symbols.filter(s => !foundSymbols.includes(s));
       return res.status(404).json({
         error: {
-          message: 'Portfolio not found',
+          message: `Stocks not found: ${missingSymbols.join(', ')}`,
           status: 404
         }
       });
     }
 
+    let benchmarkWeights;
+    if (weights) {
+      benchmarkWeights = new Map(symbols.map((symbol, i) => [symbol, weights[i]]));
+    } else if (weighting === 'marketCap') {
+      const unknown = stocks.filter(s => !s.marketCap).map(s => s.symbol);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: {
+            message: `Market cap is missing for ${unknown.join(', ')}`,
+            status: 400
+          }
+        });
+      }
+      benchmarkWeights = new Map(stocks.map(s => [s.symbol, s.marketCap]));
+    } else {
+      benchmarkWeights = new Map(symbols.map(symbol => [symbol, 1]));
+    }
+    const totalWeight = [...benchmarkWeights.values()].reduce((sum, w) => sum + w, 0);
+    if (totalWeight <= 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Benchmark weights must not all be zero',
+          status: 400
+        }
+      });
+    }
+
+    const valuations = await getDailyValuations(portfolio, { end });
+    const asOf = valuations.length > 0 ? valuations[valuations.length - 1].date : end;
+    const start = req.body.start
+      ? new Date(req.body.start)
+      : getPeriodStart(period, asOf, valuations.length > 0 ? valuations[0].date : asOf);
+
+    // Attribution starts from the holdings at the close before the period
+    const inPeriod = valuations.filter(v => v.date >= start);
+    const before = valuations.filter(v => v.date < start);
+    const window = [...before.slice(-1), ...inPeriod];
+    if (window.length < 2) {
+      return res.status(400).json({
+        error: {
+          message: 'Portfolio has no holdings to attribute in this period',
+          status: 400
+        }
+      });
+    }
+
+    const allSymbols = [...new Set([
+      ...symbols,
+      ...window.flatMap(v => v.positions.map(p => p.symbol))
+    ])];
+    const [barsBySymbol, sectorStocks] = await Promise.all([
+      getBarsSince(allSymbols, window[0].date, end),
+      Stock.find({ symbol: { $in: allSymbols } }, { symbol: 1, sector: 1 })
+    ]);
+
+    const attribution = buildSectorAttribution(window, {
+      benchmarkWeights,
+      barsBySymbol,
+      sectorBySymbol: new Map(sectorStocks.filter(s => s.sector).map(s => [s.symbol, s.sector]))
+    });
+
+    res.json({
+      portfolioId: portfolio._id,
+      portfolioName: portfolio.name,
+      start: window[1].date,
+      end: window[window.length - 1].date,
+      benchmark: symbols.map(symbol => ({ symbol, weight: benchmarkWeights.get(symbol) / totalWeight })),
+      ...attribution
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/risk
+ * Get portfolio risk analysis
+ */
+router.get('/:id/risk', [
+  param('id').isMongoId()
+], validate, loadPortfolio, async (req, res, next) => {
+  try {
+    const { portfolio } = req;
+
     if (portfolio.holdings.length === 0) {
       return res.status(400).json({
         error: {
@@ -378,24 +1038,24 @@ router.get('/:id/risk', [
     }
 
     const symbols = portfolio.holdings.map(h => h.symbol);
-    const stocks = await Stock.find({ symbol: { $in: symbols } });
+    const [barsBySymbol, latestPrices] = await Promise.all([
+      priceHistory.getLastBarsBySymbol(symbols, 252),
+      getLatestPrices(symbols)
+    ]);
 
-    // Calculate weights based on current allocation
-    const allocation = portfolio.getAllocation();
+    // Calculate weights based on current allocation at market prices
+    const allocation = portfolio.getAllocation(latestPrices);
     const totalValue = allocation.reduce((sum, a) => sum + a.value, 0);
-    const weights = portfolio.holdings.map(h => {
-      const alloc = allocation.find(a => a.symbol === h.symbol);
-      return alloc ? alloc.value / totalValue : 0;
-    });
 
-    // Get returns for each stock
+    // Get returns and weight for each stock with enough history
     const stockReturns = [];
-    stocks.forEach(stock => {
-      if (stock.priceHistory.length > 30) {
-        const prices = stock.priceHistory
-          .slice(-252)
-          .map(p => p.adjustedClose);
+    const weights = [];
+    allocation.filter(a => a.symbol !== 'CASH').forEach(alloc => {
+      const bars = barsBySymbol.get(alloc.symbol) || [];
+      if (bars.length > 30) {
+        const prices = bars.map(p => p.adjustedClose);
         stockReturns.push(quantAnalysis.calculateReturns(prices));
+        weights.push(totalValue !== 0 ? alloc.value / totalValue : 0);
       }
     });
 
@@ -430,6 +1090,7 @@ router.get('/:id/risk', [
       portfolioId: portfolio._id,
       portfolioName: portfolio.name,
       period: minLength,
+      staleSymbols: allocation.filter(a => a.stale).map(a => a.symbol),
       riskMetrics: {
         volatility: quantAnalysis.calculateVolatility(portfolioReturns),
         sharpeRatio: quantAnalysis.calculateSharpeRatio(portfolioReturns),
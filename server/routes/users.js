@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { authenticateJwt, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { recordAuditEvent } = require('../services/audit');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+router.use(authenticateJwt);
+
+/**
+ * GET /api/users
+ * List users (admin)
+ */
+router.get('/', requirePermission(PERMISSIONS.USERS_READ), [
+  query('role').optional().isIn(['user', 'admin']),
+  query('isActive').optional().isBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('skip').optional().isInt({ min: 0 })
+], validate, async (req, res, next) => {
+  try {
+    const { role, isActive, limit = 50, skip = 0 } = req.query;
+
+    const filter = {};
+    if (role) {
+      filter.role = role;
+    }
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const users = await User.find(filter)
+      .limit(parseInt(limit))
+      .skip(parseInt(skip))
+      .sort({ createdAt: -1 });
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      data: users,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: parseInt(skip) + users.length < total
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/users/:id
+ * Get a user by ID (admin)
+ */
+router.get('/:id', requirePermission(PERMISSIONS.USERS_READ), [
+  param('id').isMongoId()
+], validate, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ data: user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Set a user's isActive flag
+ * @param {boolean} isActive - New value
+ * @returns {Function} Route handler
+ */
+const setActive = (isActive) => async (req, res, next) => {
+  try {
+    if (!isActive && String(req.params.id) === String(req.userId)) {
+      return res.status(400).json({
+        error: {
+          message: 'You cannot deactivate your own account',
+          status: 400
+        }
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    const wasActive = user.isActive;
+    user.isActive = isActive;
+    await user.save();
+    await recordAuditEvent(req, {
+      action: isActive ? 'user.activate' : 'user.deactivate',
+      targetType: 'User',
+      targetId: user._id,
+      before: { isActive: wasActive },
+      after: { isActive }
+    });
+
+    if (!isActive) {
+      await RefreshToken.revokeAllForUser(user._id);
+    }
+
+    res.json({
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/users/:id/deactivate
+ * Deactivate a user account (admin)
+ */
+router.put('/:id/deactivate', requirePermission(PERMISSIONS.USERS_MANAGE), [
+  param('id').isMongoId()
+], validate, setActive(false));
+
+/**
+ * PUT /api/users/:id/activate
+ * Reactivate a user account (admin)
+ */
+router.put('/:id/activate', requirePermission(PERMISSIONS.USERS_MANAGE), [
+  param('id').isMongoId()
+], validate, setActive(true));
+
+module.exports = router;
@@ -0,0 +1,334 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const Watchlist = require('../models/Watchlist');
+const Stock = require('../models/Stock');
+const priceHistory = require('../services/priceHistory');
+const { authenticateToken, requireOwnership } = require('../middleware/auth');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Load the watchlist named by :id and check it belongs to the current user
+const loadWatchlist = requireOwnership(Watchlist, { key: 'watchlist' });
+
+// Respond 409 when a watchlist name is already taken by the user
+const sendDuplicateName = (res, name) => {
+  return res.status(409).json({
+    error: {
+      message: `A watchlist named ${name} already exists`,
+      status: 409
+    }
+  });
+};
+
+router.use(authenticateToken);
+
+/**
+ * GET /api/auth/watchlists
+ * List the current user's watchlists
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    await Watchlist.findOrCreateDefault(req.user);
+
+    const watchlists = await Watchlist.find({ userId: req.userId })
+      .sort({ sortOrder: 1, createdAt: 1 });
+
+    res.json({ data: watchlists });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/watchlists
+ * Create a watchlist
+ */
+router.post('/', [
+  body('name').isString().isLength({ min: 1, max: 100 }).trim(),
+  body('symbols').optional().isArray({ max: 500 }),
+  body('symbols.*').isString().isLength({ min: 1, max: 10 }),
+  body('sortOrder').optional().isInt()
+], validate, async (req, res, next) => {
+  try {
+    const { name, symbols = [], sortOrder } = req.body;
+
+    if (await Watchlist.exists({ userId: req.userId, name })) {
+      return sendDuplicateName(res, name);
+    }
+
+    const watchlist = new Watchlist({
+      userId: req.userId,
+      name,
+      sortOrder: sortOrder !== undefined ? sortOrder : await Watchlist.countDocuments({ userId: req.userId })
+    });
+    symbols.forEach(symbol => watchlist.addItem(symbol));
+
+    await watchlist.save();
+
+    res.status(201).json({ data: watchlist });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/watchlists/:id
+ * Get a watchlist
+ */
+router.get('/:id', [
+  param('id').isMongoId()
+], validate, loadWatchlist, (req, res) => {
+  res.json({ data: req.watchlist });
+});
+
+/**
+ * PUT /api/auth/watchlists/:id
+ * Rename a watchlist, move it, or make it the default
+ */
+router.put('/:id', [
+  param('id').isMongoId(),
+  body('name').optional().isString().isLength({ min: 1, max: 100 }).trim(),
+  body('sortOrder').optional().isInt(),
+  body('isDefault').optional().isBoolean()
+], validate, loadWatchlist, async (req, res, next) => {
+  try {
+    const { name, sortOrder, isDefault } = req.body;
+    const { watchlist } = req;
+
+    if (name && name !== watchlist.name) {
+      if (await Watchlist.exists({ userId: req.userId, name })) {
+        return sendDuplicateName(res, name);
+      }
+      watchlist.name = name;
+    }
+    if (sortOrder !== undefined) {
+      watchlist.sortOrder = sortOrder;
+    }
+    if (isDefault === false && watchlist.isDefault) {
+      return res.status(400).json({
+        error: {
+          message: 'Make another watchlist the default instead',
+          status: 400
+        }
+      });
+    }
+    if (isDefault === true && !watchlist.isDefault) {
+      await Watchlist.updateMany(
+        { userId: req.userId, isDefault: true },
+        { $set: { isDefault: false } }
+      );
+      watchlist.isDefault = true;
+    }
+
+    await watchlist.save();
+
+    res.json({ data: watchlist });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/watchlists/:id
+ * Delete a watchlist (the default list cannot be deleted)
+ */
+router.delete('/:id', [
+  param('id').isMongoId()
+], validate, loadWatchlist, async (req, res, next) => {
+  try {
+    if (req.watchlist.isDefault) {
+      return res.status(400).json({
+        error: {
+          message: 'The default watchlist cannot be deleted',
+          status: 400
+        }
+      });
+    }
+
+    await req.watchlist.deleteOne();
+
+    res.json({ message: 'Watchlist deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/watchlists/:id/items
+ * Add a symbol to a watchlist (updates notes and target price if present)
+ */
+router.post('/:id/items', [
+  param('id').isMongoId(),
+  body('symbol').isString().isLength({ min: 1, max: 10 }),
+  body('notes').optional().isString().isLength({ max: 1000 }),
+  body('targetPrice').optional().isFloat({ min: 0 })
+], validate, loadWatchlist, async (req, res, next) => {
+  try {
+    const { symbol, notes, targetPrice } = req.body;
+    const { watchlist } = req;
+
+    watchlist.addItem(symbol, { notes, targetPrice });
+    await watchlist.save();
+
+    res.status(201).json({ data: watchlist });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/auth/watchlists/:id/items/:symbol
+ * Update the notes or target price of a symbol
+ */
+router.put('/:id/items/:symbol', [
+  param('id').isMongoId(),
+  param('symbol').isString().isLength({ min: 1, max: 10 }),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+  body('targetPrice').optional({ nullable: true }).isFloat({ min: 0 })
+], validate, loadWatchlist, async (req, res, next) => {
+  try {
+    const { watchlist } = req;
+    const item = watchlist.items.find(i => i.symbol === req.params.symbol.toUpperCase());
+
+    if (!item) {
+      return res.status(404).json({
+        error: {
+          message: `${req.params.symbol.toUpperCase()} is not in this watchlist`,
+          status: 404
+        }
+      });
+    }
+
+    // null clears a field
+    if (req.body.notes !== undefined) {
+      item.notes = req.body.notes === null ? undefined : req.body.notes;
+    }
+    if (req.body.targetPrice !== undefined) {
+      item.targetPrice = req.body.targetPrice === null ? undefined : req.body.targetPrice;
+    }
+
+    await watchlist.save();
+
+    res.json({ data: watchlist });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/watchlists/:id/items/:symbol
+ * Remove a symbol from a watchlist
+ */
+router.delete('/:id/items/:symbol', [
+  param('id').isMongoId(),
+  param('symbol').isString().isLength({ min: 1, max: 10 })
+], validate, loadWatchlist, async (req, res, next) => {
+  try {
+    const { watchlist } = req;
+
+    if (!watchlist.removeItem(req.params.symbol)) {
+      return res.status(404).json({
+        error: {
+          message: `${req.params.symbol.toUpperCase()} is not in this watchlist`,
+          status: 404
+        }
+      });
+    }
+
+    await watchlist.save();
+
+    res.json({ data: watchlist });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/auth/watchlists/:id/order
+ * Reorder the symbols of a watchlist
+ */
+router.put('/:id/order', [
+  param('id').isMongoId(),
+  body('symbols').isArray(),
+  body('symbols.*').isString().isLength({ min: 1, max: 10 })
+], validate, loadWatchlist, async (req, res, next) => {
+  try {
+    const { watchlist } = req;
+
+    watchlist.reorder(req.body.symbols);
+    await watchlist.save();
+
+    res.json({ data: watchlist });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/watchlists/:id/summary
+ * Get each symbol with its latest price and day change
+ */
+router.get('/:id/summary', [
+  param('id').isMongoId()
+], validate, loadWatchlist, async (req, res, next) => {
+  try {
+    const { watchlist } = req;
+
+    // Only the last two bars are needed for the day change
+    const [stocks, barsBySymbol] = await Promise.all([
+      Stock.find({ symbol: { $in: watchlist.symbols } }, { symbol: 1, name: 1 }),
+      priceHistory.getLastBarsBySymbol(watchlist.symbols, 2)
+    ]);
+    const stocksBySymbol = new Map(stocks.map(s => [s.symbol, s]));
+
+    const items = watchlist.items.map(item => {
+      const stock = stocksBySymbol.get(item.symbol);
+      const bars = barsBySymbol.get(item.symbol) || [];
+      const latest = bars[bars.length - 1];
+      const previous = bars.length > 1 ? bars[bars.length - 2] : null;
+
+      const summary = {
+        symbol: item.symbol,
+        name: stock ? stock.name : null,
+        notes: item.notes,
+        targetPrice: item.targetPrice,
+        price: latest ? latest.close : null,
+        date: latest ? latest.date : null,
+        dayChange: null,
+        dayChangePercent: null,
+        distanceToTargetPercent: null
+      };
+
+      if (latest && previous) {
+        // Restate the previous close on the latest bar's basis so a split or
+        // dividend does not show up as a price move
+        const previousClose = previous.adjustedClose * latest.close / latest.adjustedClose;
+        summary.dayChange = latest.close - previousClose;
+        summary.dayChangePercent = (latest.close / previousClose - 1) * 100;
+      }
+      if (latest && item.targetPrice) {
+        summary.distanceToTargetPercent = (item.targetPrice / latest.close - 1) * 100;
+      }
+
+      return summary;
+    });
+
+    res.json({
+      watchlistId: watchlist._id,
+      name: watchlist.name,
+      data: items
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Portfolio = require('../models/Portfolio');
+const { refreshSnapshots } = require('../services/portfolioValuation');
+
+/**
+ * Migration: record the cash of each portfolio that no transaction accounts
+ * for (balances set directly before cash was derived from the ledger) as an
+ * opening deposit or withdrawal.
+ *
+ * Portfolios whose ledger already explains their balance are left alone, so
+ * the script can be re-run safely.
+ *
+ * Usage: npm run migrate:cash -- [--dry-run]
+ *   --dry-run  Report what would be recorded without writing anything
+ */
+
+async function migrate({ dryRun = false } = {}) {
+  const totals = { portfolios: 0, recorded: 0 };
+
+  for await (const portfolio of Portfolio.find().cursor()) {
+    totals.portfolios += 1;
+
+    const opening = portfolio.recordOpeningBalance();
+    if (!opening) {
+      continue;
+    }
+
+    if (!dryRun) {
+      await portfolio.save();
+      await refreshSnapshots(portfolio);
+    }
+
+    totals.recorded += 1;
+    console.log(`${portfolio._id} (${portfolio.name}): ${opening.type} of ${opening.amount.toFixed(2)}`);
+  }
+
+  return totals;
+}
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const options = {
+    dryRun: args.includes('--dry-run')
+  };
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mean-quant');
+
+    const totals = await migrate(options);
+    console.log(`${options.dryRun ? 'Would record' : 'Recorded'} opening balances ` +
+      `for ${totals.recorded} of ${totals.portfolios} portfolios`);
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrate };
@@ -0,0 +1,93 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const PriceBar = require('../models/PriceBar');
+const priceHistory = require('../services/priceHistory');
+
+/**
+ * Migration: move embedded Stock.priceHistory arrays into the PriceBar
+ * time-series collection.
+ *
+ * Stocks are migrated one at a time. The embedded array is removed only after
+ * all of its bars are stored, and bars that already exist are skipped, so the
+ * script can be re-run safely after an interruption.
+ *
+ * Usage: npm run migrate:prices -- [--dry-run] [--keep]
+ *   --dry-run  Report what would be migrated without writing anything
+ *   --keep     Copy the bars but leave the embedded arrays in place
+ */
+
+// Bars inserted per write
+const BATCH_SIZE = 5000;
+
+async function migrate({ dryRun = false, keep = false } = {}) {
+  // Creates the time-series collection and its indexes if needed
+  await PriceBar.init();
+
+  const stocks = mongoose.connection.collection('stocks');
+  const cursor = stocks.find(
+    { 'priceHistory.0': { $exists: true } },
+    { projection: { symbol: 1 } }
+  );
+
+  const totals = { stocks: 0, bars: 0, added: 0 };
+
+  for await (const { _id, symbol } of cursor) {
+    // Load one history at a time to keep memory flat
+    const { priceHistory: bars } = await stocks.findOne({ _id }, { projection: { priceHistory: 1 } });
+
+    let added = 0;
+    if (!dryRun) {
+      for (let i = 0; i < bars.length; i += BATCH_SIZE) {
+        const batch = bars.slice(i, i + BATCH_SIZE).map(bar => ({
+          date: bar.date,
+          open: bar.open,
+          high: bar.high,
+          low: bar.low,
+          close: bar.close,
+          adjustedClose: bar.adjustedClose,
+          volume: bar.volume
+        }));
+        added += (await priceHistory.addBars(symbol, batch)).length;
+      }
+
+      if (!keep) {
+        await stocks.updateOne({ _id }, { $unset: { priceHistory: '' } });
+      }
+    }
+
+    totals.stocks += 1;
+    totals.bars += bars.length;
+    totals.added += added;
+    console.log(`${symbol}: ${bars.length} bars${dryRun ? '' : `, ${added} added`}`);
+  }
+
+  return totals;
+}
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const options = {
+    dryRun: args.includes('--dry-run'),
+    keep: args.includes('--keep')
+  };
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mean-quant');
+
+    const totals = await migrate(options);
+    console.log(`${options.dryRun ? 'Would migrate' : 'Migrated'} ${totals.bars} bars ` +
+      `from ${totals.stocks} stocks (${totals.added} added)`);
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrate };
@@ -0,0 +1,83 @@
+const AlertRule = require('../models/AlertRule');
+const { notify } = require('./notifications');
+const priceHistory = require('./priceHistory');
+const { isInCooldown, getRequiredHistory, findTrigger } = require('../utils/alerts');
+
+/**
+ * Alert evaluation for MEAN-QUANT
+ * Runs the active alert rules of a symbol whenever new bars arrive and
+ * notifies the owner of each rule that fires.
+ */
+
+/**
+ * Evaluate the active rules of a symbol against newly added bars
+ * @param {string} symbol - Stock symbol
+ * @param {Date[]} newDates - Dates of the bars that were just added
+ * @returns {Promise<Object[]>} Triggered rules with their trigger details
+ */
+async function evaluateAlertsForSymbol(symbol, newDates) {
+  if (newDates.length === 0) {
+    return [];
+  }
+
+  const rules = await AlertRule.find({ symbol: symbol.toUpperCase(), isActive: true });
+  if (rules.length === 0) {
+    return [];
+  }
+
+  // Load the new bars plus enough earlier bars to warm up every rule
+  const times = newDates.map(d => new Date(d).getTime());
+  const newTimes = new Set(times);
+  const first = new Date(times.reduce((min, t) => Math.min(min, t), Infinity));
+  const last = new Date(times.reduce((max, t) => Math.max(max, t), -Infinity));
+  const lookback = Math.max(...rules.map(rule => getRequiredHistory(rule)));
+  const [earlier, recent] = await Promise.all([
+    priceHistory.getLastBars(symbol, lookback, { before: first }),
+    priceHistory.getBars(symbol, { start: first, end: last })
+  ]);
+  const bars = [...earlier, ...recent];
+
+  const indexes = [];
+  bars.forEach((bar, i) => {
+    if (newTimes.has(new Date(bar.date).getTime())) {
+      indexes.push(i);
+    }
+  });
+
+  const triggered = [];
+  const now = new Date();
+
+  for (const rule of rules) {
+    if (isInCooldown(rule, now)) {
+      continue;
+    }
+
+    const trigger = findTrigger(rule, bars, indexes);
+    if (!trigger) {
+      continue;
+    }
+
+    rule.recordTrigger(trigger);
+    await rule.save();
+    await notify(rule.userId, {
+      category: 'alert',
+      title: `${rule.symbol} alert: ${rule.name || rule.type}`,
+      message: trigger.message,
+      data: {
+        alertId: rule._id,
+        symbol: rule.symbol,
+        type: rule.type,
+        barDate: trigger.bar.date,
+        price: trigger.bar.close,
+        value: trigger.value
+      }
+    });
+    triggered.push({ rule, trigger });
+  }
+
+  return triggered;
+}
+
+module.exports = {
+  evaluateAlertsForSymbol
+};
@@ -0,0 +1,116 @@
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Audit logging for MEAN-QUANT
+ * Records who did what to which resource. Recording never fails the
+ * request that triggered it; errors are logged instead.
+ */
+
+// Normalize values so dates, ObjectIds and subdocuments compare by content
+const normalize = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object' && typeof value.toJSON === 'function') {
+    return JSON.parse(JSON.stringify(value));
+  }
+  return value;
+};
+
+/**
+ * Compute a field level diff between two plain snapshots
+ * @param {Object} before - Snapshot before the change (or null)
+ * @param {Object} after - Snapshot after the change (or null)
+ * @returns {Object|null} { field: { before, after } }, or null when nothing changed
+ */
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {})
+  ]);
+
+  fields.forEach(field => {
+    const oldValue = normalize(before ? before[field] : undefined);
+    const newValue = normalize(after ? after[field] : undefined);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { before: oldValue, after: newValue };
+    }
+  });
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Pick fields from a document into a plain snapshot
+ * @param {Object} doc - Document or object
+ * @param {string[]} fields - Fields to copy
+ * @returns {Object} Snapshot
+ */
+function snapshot(doc, fields) {
+  const result = {};
+  fields.forEach(field => {
+    result[field] = normalize(doc ? doc[field] : undefined);
+  });
+  return result;
+}
+
+/**
+ * Record an audit event for a request
+ * @param {Object} req - Express request (actor, IP and user agent are taken from it)
+ * @param {Object} event - Event
+ * @param {string} event.action - Dotted action name
+ * @param {string} event.targetType - Kind of resource affected
+ * @param {string} event.targetId - Id of the resource affected
+ * @param {Object} event.before - Snapshot before the change
+ * @param {Object} event.after - Snapshot after the change
+ * @param {Object} event.metadata - Extra details
+ * @param {Object} event.actor - User to record when req.user is not set (e.g. login)
+ * @returns {Promise<Object|null>} Stored event, or null if recording failed
+ */
+async function recordAuditEvent(req, event) {
+  const {
+    action,
+    targetType,
+    targetId,
+    before,
+    after,
+    metadata,
+    actor
+  } = event;
+  const user = actor || req.user;
+
+  let authMethod = 'none';
+  if (req.auth) {
+    authMethod = req.auth.method;
+  } else if (actor) {
+    authMethod = 'password';
+  }
+
+  try {
+    return await AuditEvent.create({
+      action,
+      actorId: user ? user._id : undefined,
+      actorEmail: user ? user.email : undefined,
+      authMethod,
+      ip: req.ip,
+      userAgent: req.get ? req.get('user-agent') : undefined,
+      targetType,
+      targetId: targetId !== undefined ? String(targetId) : undefined,
+      changes: before || after ? diff(before, after) : undefined,
+      metadata
+    });
+  } catch (error) {
+    console.error('Failed to record audit event:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  diff,
+  snapshot,
+  recordAuditEvent
+};
@@ -0,0 +1,75 @@
+const CorporateAction = require('../models/CorporateAction');
+const PriceBar = require('../models/PriceBar');
+const priceHistory = require('./priceHistory');
+const { computeAdjustedCloses } = require('../utils/corporateActions');
+
+/**
+ * Corporate action processing for MEAN-QUANT
+ * Keeps PriceBar.adjustedClose in line with a stock's corporate actions.
+ * Once a stock has actions, its adjusted closes are derived from raw closes
+ * and the actions; vendor supplied adjusted closes are overwritten.
+ */
+
+// Bar updates sent per bulk write
+const WRITE_BATCH_SIZE = 1000;
+
+// Adjusted closes closer than this are treated as unchanged
+const EPSILON = 1e-9;
+
+/**
+ * Recompute adjustedClose over the full history of a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} { bars, updated, applied, pending, skipped }
+ */
+async function recomputeAdjustedCloses(symbol) {
+  const upperSymbol = symbol.toUpperCase();
+  const [bars, actions] = await Promise.all([
+    priceHistory.getBars(upperSymbol),
+    CorporateAction.find({ symbol: upperSymbol }).lean()
+  ]);
+
+  const { adjustedCloses, applied, pending, skipped } = computeAdjustedCloses(bars, actions);
+
+  // Only write bars whose adjusted close changed
+  const updates = [];
+  bars.forEach((bar, i) => {
+    if (Math.abs(bar.adjustedClose - adjustedCloses[i]) > EPSILON) {
+      updates.push({
+        updateOne: {
+          filter: { symbol: upperSymbol, date: bar.date },
+          update: { $set: { adjustedClose: adjustedCloses[i] } }
+        }
+      });
+    }
+  });
+
+  for (let i = 0; i < updates.length; i += WRITE_BATCH_SIZE) {
+    await PriceBar.bulkWrite(updates.slice(i, i + WRITE_BATCH_SIZE), { ordered: false });
+  }
+
+  const ids = (list) => list.map(action => action._id);
+  return {
+    bars: bars.length,
+    updated: updates.length,
+    applied: ids(applied),
+    pending: ids(pending),
+    skipped: ids(skipped)
+  };
+}
+
+/**
+ * Recompute adjusted closes after new bars, if the symbol has any actions
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object|null>} Recompute summary, or null if nothing to do
+ */
+async function refreshAdjustedCloses(symbol) {
+  if (!await CorporateAction.exists({ symbol: symbol.toUpperCase() })) {
+    return null;
+  }
+  return recomputeAdjustedCloses(symbol);
+}
+
+module.exports = {
+  recomputeAdjustedCloses,
+  refreshAdjustedCloses
+};
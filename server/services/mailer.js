@@ -0,0 +1,92 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Mail delivery for MEAN-QUANT
+ * Messages go through a pluggable transport: any object with an async
+ * send(message) method. The default file transport writes each message to an
+ * outbox directory so mail can be inspected offline during development.
+ */
+
+/**
+ * Create a transport that writes messages as JSON files
+ * @param {Object} options - Options
+ * @param {string} options.directory - Outbox directory (created on demand)
+ * @returns {{ name: string, send: Function }} Transport
+ */
+function createFileTransport({ directory }) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(directory, `${id}.json`);
+      await fs.writeFile(file, JSON.stringify({ id, ...message }, null, 2));
+
+      return { id, file };
+    }
+  };
+}
+
+// Build the transport named by MAIL_TRANSPORT
+const createDefaultTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'file';
+
+  if (name !== 'file') {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return createFileTransport({
+    directory: process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'outbox')
+  });
+};
+
+let transport = null;
+
+/**
+ * Replace the active transport (e.g. with an SMTP or API backed one)
+ * @param {{ send: Function }} newTransport - Transport, or null to restore the default
+ */
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/**
+ * Get the active transport, creating the default one on first use
+ * @returns {{ send: Function }} Transport
+ */
+function getTransport() {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+}
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - Message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - Optional HTML body
+ * @returns {Promise<Object>} Transport specific result
+ */
+async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'MEAN-QUANT <no-reply@mean-quant.local>',
+    to,
+    subject,
+    text,
+    html,
+    date: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  createFileTransport,
+  setTransport,
+  getTransport,
+  sendMail
+};
@@ -0,0 +1,261 @@
+const axios = require('axios');
+const dns = require('dns');
+const Notification = require('../models/Notification');
+const Webhook = require('../models/Webhook');
+const User = require('../models/User');
+const mailer = require('./mailer');
+const { parseDuration } = require('../utils/tokens');
+const {
+  NOTIFICATION_CHANNELS,
+  wantsNotification,
+  signWebhookPayload,
+  isPrivateAddress,
+  isPublicWebhookUrl,
+  getRetryDelay
+} = require('../utils/notifications');
+
+/**
+ * Notification delivery for MEAN-QUANT
+ * A notification is stored in the recipient's in-app inbox, emailed through
+ * the mailer, and posted to each of the user's webhooks, on whichever
+ * channels the user's preferences allow. Webhook deliveries are signed and
+ * retried with exponential backoff in the background so callers never wait
+ * on a slow endpoint. Webhook hosts are resolved on every attempt and the
+ * request is refused if any resolved address is private.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Webhook delivery settings from the environment
+const getWebhookSettings = () => ({
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 4,
+  retryBaseMs: parseDuration(process.env.WEBHOOK_RETRY_BASE || '30s'),
+  timeoutMs: parseDuration(process.env.WEBHOOK_TIMEOUT || '10s')
+});
+
+/**
+ * DNS lookup for webhook requests that fails when a host resolves to a
+ * private address, so the checked address is the one connected to
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATEADDRESS' }));
+    }
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// 4xx responses other than timeouts and throttling will not succeed on retry
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+/**
+ * POST a payload to a webhook, retrying failed attempts
+ * @param {Object} webhook - Webhook document (with its secret selected)
+ * @param {Object} payload - JSON payload
+ * @param {Object} options - Overrides of the environment settings
+ * @param {Object} options.client - HTTP client with an axios style post (default axios)
+ * @param {Function} options.wait - Delay function used between attempts
+ * @param {Function} options.lookup - DNS lookup used for the request
+ * @returns {Promise<Object>} { status: 'delivered' | 'failed', attempts, error, deliveredAt }
+ */
+async function deliverWebhook(webhook, payload, options = {}) {
+  const {
+    client = axios,
+    wait = sleep,
+    lookup = lookupPublicAddress,
+    ...overrides
+  } = options;
+  const { maxAttempts, retryBaseMs, timeoutMs } = { ...getWebhookSettings(), ...overrides };
+  const body = JSON.stringify(payload);
+
+  if (!isPublicWebhookUrl(webhook.url)) {
+    return { status: 'failed', attempts: 0, error: 'Webhook URL is not a public host', deliveredAt: null };
+  }
+
+  let error = null;
+  let attempts = 0;
+
+  while (attempts < maxAttempts) {
+    attempts += 1;
+
+    try {
+      const response = await client.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'MEAN-QUANT-Webhooks/1.0',
+          'X-MeanQuant-Event': payload.category,
+          'X-MeanQuant-Delivery': String(payload.id),
+          // Signed per attempt so receivers can reject stale replays
+          'X-MeanQuant-Signature': signWebhookPayload(webhook.secret, body)
+        },
+        timeout: timeoutMs,
+        maxRedirects: 0,
+        lookup,
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        return { status: 'delivered', attempts, error: null, deliveredAt: new Date() };
+      }
+
+      error = `HTTP ${response.status}`;
+      if (!isRetryableStatus(response.status)) {
+        break;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    if (attempts < maxAttempts) {
+      await wait(getRetryDelay(attempts, retryBaseMs));
+    }
+  }
+
+  return { status: 'failed', attempts, error, deliveredAt: null };
+}
+
+// Build the JSON body posted to webhooks
+const buildPayload = (notification) => ({
+  id: notification._id,
+  category: notification.category,
+  title: notification.title,
+  message: notification.message,
+  data: notification.data,
+  createdAt: notification.createdAt
+});
+
+// Record the outcome of one delivery on the notification
+const recordDelivery = (notification, index, result) => {
+  return Notification.updateOne({ _id: notification._id }, {
+    $set: {
+      [`deliveries.${index}.status`]: result.status,
+      [`deliveries.${index}.attempts`]: result.attempts,
+      [`deliveries.${index}.error`]: result.error,
+      [`deliveries.${index}.deliveredAt`]: result.deliveredAt
+    }
+  });
+};
+
+// Deliver to every webhook and record the outcomes
+const deliverToWebhooks = async (notification, webhooks) => {
+  const payload = buildPayload(notification);
+
+  await Promise.all(webhooks.map(async (webhook) => {
+    const index = notification.deliveries.findIndex(d =>
+      d.channel === 'webhook' && String(d.webhookId) === String(webhook._id));
+    const result = await deliverWebhook(webhook, payload);
+
+    await recordDelivery(notification, index, result);
+    await Webhook.updateOne({ _id: webhook._id }, result.status === 'delivered' ? {
+      $set: { lastDeliveryAt: result.deliveredAt, lastStatus: 'delivered', consecutiveFailures: 0 },
+      $unset: { lastError: 1 }
+    } : {
+      $set: { lastStatus: 'failed', lastError: result.error },
+      $inc: { consecutiveFailures: 1 }
+    });
+  }));
+};
+
+// Send the email copy of a notification
+const sendEmail = async (user, notification) => {
+  const appUrl = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:4200';
+
+  await mailer.sendMail({
+    to: user.email,
+    subject: `MEAN-QUANT: ${notification.title}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      notification.message || notification.title,
+      '',
+      `See all notifications at ${appUrl}/notifications`,
+      'You can change which notifications you receive in your account settings.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Notify a user on the channels their preferences allow.
+ * Never throws: a failed notification must not fail the action behind it.
+ * @param {Object|string} recipient - User document or user ID
+ * @param {Object} notification - Notification details
+ * @param {string} notification.category - 'alert', 'job' or 'security'
+ * @param {string} notification.title - Short summary (email subject)
+ * @param {string} notification.message - Longer description
+ * @param {Object} notification.data - Category specific details
+ * @returns {Promise<Object|null>} Stored notification, or null if nothing was sent
+ */
+async function notify(recipient, { category, title, message, data }) {
+  try {
+    const user = recipient && recipient.email ? recipient : await User.findById(recipient);
+    if (!user || !user.isActive) {
+      return null;
+    }
+
+    const preferences = user.preferences && user.preferences.notifications;
+    const channels = NOTIFICATION_CHANNELS.filter(channel =>
+      wantsNotification(preferences, category, channel));
+
+    const webhooks = channels.includes('webhook') ?
+      (await Webhook.find({ userId: user._id, isActive: true }).select('+secret'))
+        .filter(webhook => webhook.accepts(category)) :
+      [];
+    const inbox = channels.includes('inApp');
+    const email = channels.includes('email');
+
+    if (!inbox && !email && webhooks.length === 0) {
+      return null;
+    }
+
+    const notification = await Notification.create({
+      userId: user._id,
+      category,
+      title,
+      message,
+      data,
+      inbox,
+      deliveries: [
+        ...(email ? [{ channel: 'email' }] : []),
+        ...webhooks.map(webhook => ({ channel: 'webhook', webhookId: webhook._id }))
+      ]
+    });
+
+    if (email) {
+      try {
+        await sendEmail(user, notification);
+        await recordDelivery(notification, 0, {
+          status: 'delivered', attempts: 1, error: null, deliveredAt: new Date()
+        });
+      } catch (error) {
+        await recordDelivery(notification, 0, {
+          status: 'failed', attempts: 1, error: error.message, deliveredAt: null
+        });
+      }
+    }
+
+    if (webhooks.length > 0) {
+      deliverToWebhooks(notification, webhooks).catch(error => {
+        console.error('Failed to deliver webhooks:', error.message);
+      });
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Failed to send notification:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  deliverWebhook,
+  notify
+};
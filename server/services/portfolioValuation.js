@@ -0,0 +1,187 @@
+const Portfolio = require('../models/Portfolio');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const priceHistory = require('./priceHistory');
+const { buildDailyValuations } = require('../utils/performance');
+
+/**
+ * Portfolio valuation for MEAN-QUANT
+ * Loads the price history a portfolio's ledger needs and values it day by day,
+ * and prices holdings at their latest close.
+ * Daily valuations are stored as PortfolioSnapshot documents: a read only
+ * values the days after the latest snapshot. A change to a portfolio's
+ * transactions, or to the prices of a symbol it traded, replaces the
+ * snapshots from the first affected day as the change is written.
+ */
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY = 11000;
+
+// Fields returned for each snapshot
+const SNAPSHOT_PROJECTION = {
+  _id: 0,
+  date: 1,
+  holdingsValue: 1,
+  cash: 1,
+  value: 1,
+  netFlow: 1,
+  positions: 1
+};
+
+const startOfDay = (date) => new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+/**
+ * Store new snapshots. A concurrent read may have stored some of the same
+ * days already; those copies are identical, so duplicates are ignored.
+ * @param {ObjectId} portfolioId - Portfolio ID
+ * @param {Object[]} valuations - Daily valuations
+ */
+async function saveSnapshots(portfolioId, valuations) {
+  if (valuations.length === 0) {
+    return;
+  }
+
+  try {
+    await PortfolioSnapshot.insertMany(
+      valuations.map(v => ({ portfolioId, ...v })),
+      { ordered: false }
+    );
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some(e => (e.code || (e.err && e.err.code)) !== DUPLICATE_KEY)) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Value a portfolio at the close of every trading day since its first
+ * transaction, extending the stored snapshots as needed
+ * @param {Object} portfolio - Portfolio document
+ * @param {Object} options - Options
+ * @param {Date} options.end - Last day to value (default today)
+ * @returns {Promise<Object[]>} Daily valuations
+ */
+async function getDailyValuations(portfolio, { end = new Date() } = {}) {
+  const transactions = portfolio.transactions || [];
+  if (transactions.length === 0) {
+    return [];
+  }
+
+  const stored = await PortfolioSnapshot.find(
+    { portfolioId: portfolio._id, date: { $lte: end } },
+    SNAPSHOT_PROJECTION
+  ).sort({ date: 1 }).lean();
+  const initial = stored.length > 0 ? stored[stored.length - 1] : null;
+
+  // Prices are needed from the day after the latest snapshot
+  const first = initial
+    ? initial.date.getTime() + 24 * 60 * 60 * 1000
+    : transactions.reduce((min, t) => Math.min(min, new Date(t.date).getTime()), Infinity);
+  if (first > end.getTime()) {
+    return stored;
+  }
+
+  const symbols = [...new Set([
+    ...transactions.filter(t => t.symbol).map(t => t.symbol),
+    ...(initial ? initial.positions.map(p => p.symbol) : [])
+  ])];
+  const bars = await Promise.all(
+    symbols.map(symbol => priceHistory.getBars(symbol, { start: new Date(first), end }))
+  );
+
+  const barsBySymbol = new Map(symbols.map((symbol, i) => [symbol, bars[i]]));
+  const valuations = buildDailyValuations(transactions, barsBySymbol, { end, initial });
+  await saveSnapshots(portfolio._id, valuations);
+
+  return [...stored, ...valuations];
+}
+
+/**
+ * Latest raw close of each symbol (share counts already follow splits)
+ * @param {string[]} symbols - Stock symbols
+ * @returns {Promise<Map<string, Object>>} { price, date } per symbol with a bar
+ */
+async function getLatestPrices(symbols) {
+  const barsBySymbol = await priceHistory.getLastBarsBySymbol(symbols, 1);
+
+  const prices = new Map();
+  barsBySymbol.forEach((bars, symbol) => {
+    if (bars.length > 0) {
+      prices.set(symbol, { price: bars[0].close, date: bars[0].date });
+    }
+  });
+  return prices;
+}
+
+/**
+ * Delete a portfolio's snapshots from a day on
+ * @param {ObjectId} portfolioId - Portfolio ID
+ * @param {Date} from - First day to delete (all snapshots if omitted)
+ * @returns {Promise<number>} Number of snapshots deleted
+ */
+async function invalidateSnapshots(portfolioId, from) {
+  const filter = { portfolioId };
+  if (from) {
+    filter.date = { $gte: startOfDay(from) };
+  }
+
+  const { deletedCount } = await PortfolioSnapshot.deleteMany(filter);
+  return deletedCount;
+}
+
+// Value a portfolio's missing days; a failure only leaves them missing, to
+// be valued by the next read, so it is logged rather than failing the write
+const rebuildSnapshots = async (portfolio) => {
+  try {
+    await getDailyValuations(portfolio);
+  } catch (error) {
+    console.error(`Failed to rebuild snapshots of portfolio ${portfolio._id}:`, error.message);
+  }
+};
+
+/**
+ * Replace a portfolio's snapshots from a day on after its transactions changed
+ * @param {Object} portfolio - Portfolio document, as changed
+ * @param {Date} from - First day affected (all snapshots if omitted)
+ * @returns {Promise<void>}
+ */
+async function refreshSnapshots(portfolio, from) {
+  await invalidateSnapshots(portfolio._id, from);
+  await rebuildSnapshots(portfolio);
+}
+
+/**
+ * Replace the snapshots of every portfolio that traded a symbol from a day on,
+ * after that symbol's prices changed
+ * @param {string} symbol - Stock symbol
+ * @param {Date} from - First day affected (all snapshots if omitted)
+ * @returns {Promise<number>} Number of snapshots deleted
+ */
+async function refreshSnapshotsForSymbol(symbol, from) {
+  const portfolios = await Portfolio.find(
+    { 'transactions.symbol': symbol.toUpperCase() },
+    { transactions: 1 }
+  ).lean();
+  if (portfolios.length === 0) {
+    return 0;
+  }
+
+  const filter = { portfolioId: { $in: portfolios.map(p => p._id) } };
+  if (from) {
+    filter.date = { $gte: startOfDay(from) };
+  }
+  const { deletedCount } = await PortfolioSnapshot.deleteMany(filter);
+
+  for (const portfolio of portfolios) {
+    await rebuildSnapshots(portfolio);
+  }
+  return deletedCount;
+}
+
+module.exports = {
+  getDailyValuations,
+  getLatestPrices,
+  invalidateSnapshots,
+  refreshSnapshots,
+  refreshSnapshotsForSymbol
+};
@@ -0,0 +1,202 @@
+const PriceBar = require('../models/PriceBar');
+
+/**
+ * Price history access for MEAN-QUANT
+ * All reads and writes of daily bars go through this module. Bars are
+ * returned as plain objects ({ date, open, high, low, close, adjustedClose,
+ * volume }) sorted oldest first unless stated otherwise.
+ */
+
+// Fields returned for each bar
+const BAR_PROJECTION = {
+  _id: 0,
+  date: 1,
+  open: 1,
+  high: 1,
+  low: 1,
+  close: 1,
+  adjustedClose: 1,
+  volume: 1
+};
+
+// Build a date filter from inclusive start/end bounds
+const dateFilter = ({ start, end, before } = {}) => {
+  const filter = {};
+  if (start) {
+    filter.$gte = new Date(start);
+  }
+  if (end) {
+    filter.$lte = new Date(end);
+  }
+  if (before) {
+    filter.$lt = new Date(before);
+  }
+  return Object.keys(filter).length > 0 ? filter : null;
+};
+
+/**
+ * Get the bars of a symbol within a date range
+ * @param {string} symbol - Stock symbol
+ * @param {Object} options - Options
+ * @param {Date|string} options.start - First date (inclusive)
+ * @param {Date|string} options.end - Last date (inclusive)
+ * @param {number} options.limit - Maximum number of bars
+ * @param {string} options.order - 'asc' (default) or 'desc'; with a limit,
+ *   'desc' keeps the most recent bars of the range
+ * @returns {Promise<Object[]>} Bars
+ */
+async function getBars(symbol, { start, end, limit, order = 'asc' } = {}) {
+  const filter = { symbol: symbol.toUpperCase() };
+  const dates = dateFilter({ start, end });
+  if (dates) {
+    filter.date = dates;
+  }
+
+  let cursor = PriceBar.find(filter, BAR_PROJECTION).sort({ date: order === 'desc' ? -1 : 1 });
+  if (limit) {
+    cursor = cursor.limit(parseInt(limit));
+  }
+  return cursor.lean();
+}
+
+/**
+ * Get the most recent bars of a symbol, oldest first
+ * @param {string} symbol - Stock symbol
+ * @param {number} count - Number of bars
+ * @param {Object} options - Options
+ * @param {Date|string} options.end - Only bars on or before this date
+ * @param {Date|string} options.before - Only bars strictly before this date
+ * @returns {Promise<Object[]>} Up to count bars
+ */
+async function getLastBars(symbol, count, { end, before } = {}) {
+  const filter = { symbol: symbol.toUpperCase() };
+  const dates = dateFilter({ end, before });
+  if (dates) {
+    filter.date = dates;
+  }
+
+  const bars = await PriceBar.find(filter, BAR_PROJECTION)
+    .sort({ date: -1 })
+    .limit(parseInt(count))
+    .lean();
+  return bars.reverse();
+}
+
+/**
+ * Get the most recent bars of several symbols
+ * @param {string[]} symbols - Stock symbols
+ * @param {number} count - Number of bars per symbol
+ * @param {Object} options - Options passed to getLastBars
+ * @returns {Promise<Map<string, Object[]>>} Bars by symbol (empty for unknown symbols)
+ */
+async function getLastBarsBySymbol(symbols, count, options = {}) {
+  const unique = [...new Set(symbols.map(s => s.toUpperCase()))];
+  const results = await Promise.all(unique.map(symbol => getLastBars(symbol, count, options)));
+  return new Map(unique.map((symbol, i) => [symbol, results[i]]));
+}
+
+/**
+ * Get the latest bar of a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object|null>} Bar, or null if the symbol has none
+ */
+async function getLatestBar(symbol) {
+  const [bar] = await getLastBars(symbol, 1);
+  return bar || null;
+}
+
+/**
+ * Get the dates a symbol already has bars for
+ * @param {string} symbol - Stock symbol
+ * @param {Object} options - Optional { start, end } range
+ * @returns {Promise<Set<number>>} Bar dates as epoch milliseconds
+ */
+async function getBarDates(symbol, { start, end } = {}) {
+  const filter = { symbol: symbol.toUpperCase() };
+  const dates = dateFilter({ start, end });
+  if (dates) {
+    filter.date = dates;
+  }
+
+  const bars = await PriceBar.find(filter, { _id: 0, date: 1 }).lean();
+  return new Set(bars.map(bar => bar.date.getTime()));
+}
+
+/**
+ * Insert bars without checking for existing dates
+ * @param {string} symbol - Stock symbol
+ * @param {Object[]} bars - Bars
+ * @returns {Promise<void>}
+ */
+async function insertBars(symbol, bars) {
+  if (bars.length === 0) {
+    return;
+  }
+
+  const upperSymbol = symbol.toUpperCase();
+  await PriceBar.insertMany(
+    bars.map(bar => ({ ...bar, symbol: upperSymbol })),
+    { ordered: false, lean: true }
+  );
+}
+
+/**
+ * Add bars to a symbol, skipping dates that are already stored (or repeated)
+ * @param {string} symbol - Stock symbol
+ * @param {Object[]} bars - Bars
+ * @returns {Promise<Object[]>} Bars that were added, oldest first
+ */
+async function addBars(symbol, bars) {
+  if (bars.length === 0) {
+    return [];
+  }
+
+  const times = bars.map(bar => new Date(bar.date).getTime());
+  const existing = await getBarDates(symbol, {
+    start: new Date(times.reduce((min, t) => Math.min(min, t), Infinity)),
+    end: new Date(times.reduce((max, t) => Math.max(max, t), -Infinity))
+  });
+
+  const added = [];
+  bars.forEach((bar, i) => {
+    if (!existing.has(times[i])) {
+      existing.add(times[i]);
+      added.push({ ...bar, date: new Date(times[i]) });
+    }
+  });
+  added.sort((a, b) => a.date - b.date);
+
+  await insertBars(symbol, added);
+  return added;
+}
+
+/**
+ * Count the bars of a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<number>} Number of bars
+ */
+function countBars(symbol) {
+  return PriceBar.countDocuments({ symbol: symbol.toUpperCase() });
+}
+
+/**
+ * Delete every bar of a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<number>} Number of bars deleted
+ */
+async function deleteBars(symbol) {
+  const result = await PriceBar.deleteMany({ symbol: symbol.toUpperCase() });
+  return result.deletedCount;
+}
+
+module.exports = {
+  getBars,
+  getLastBars,
+  getLastBarsBySymbol,
+  getLatestBar,
+  getBarDates,
+  insertBars,
+  addBars,
+  countBars,
+  deleteBars
+};
@@ -0,0 +1,209 @@
+const { pipeline } = require('stream/promises');
+const Stock = require('../models/Stock');
+const priceHistory = require('./priceHistory');
+const { createCsvParser } = require('../utils/csv');
+const { resolveColumns, parsePriceRow } = require('../utils/priceImport');
+
+/**
+ * Bulk price import for MEAN-QUANT
+ * Streams CSV records into the price history of one or more stocks. Rows are
+ * checked against the stored dates and written in batches, and the report
+ * lists a bounded number of rows, so memory use depends on the batch size
+ * rather than on the size of the file.
+ */
+
+// Bars written per symbol in one update
+const DEFAULT_BATCH_SIZE = 1000;
+
+// Rows listed in the report; further rows are only counted
+const DEFAULT_MAX_REPORTED_ROWS = 1000;
+
+const DUPLICATE_REASON = 'A bar for this date already exists';
+
+/**
+ * Import price bars from a CSV stream
+ * @param {Readable} input - CSV byte stream
+ * @param {Object} options - Options
+ * @param {string} options.symbol - Symbol for every row (no symbol column needed)
+ * @param {Object} options.columns - Column mapping { field: header name or index }
+ * @param {boolean} options.header - Whether the first record is a header (default true)
+ * @param {string} options.dateFormat - Date format (default 'YYYY-MM-DD')
+ * @param {string} options.delimiter - Field delimiter (default ',')
+ * @param {boolean} options.createMissing - Create stocks that do not exist (default true)
+ * @param {boolean} options.errorsOnly - Only report duplicate and rejected rows (default true)
+ * @param {number} options.batchSize - Bars pending across all symbols before they are written (default 1000)
+ * @param {number} options.maxReportedRows - Rows listed in the report (default 1000)
+ * @returns {Promise<Object>} Import report
+ */
+async function importPriceCsv(input, options = {}) {
+  const {
+    symbol,
+    columns: mapping = {},
+    header = true,
+    dateFormat = 'YYYY-MM-DD',
+    delimiter = ',',
+    createMissing = true,
+    errorsOnly = true,
+    batchSize = DEFAULT_BATCH_SIZE,
+    maxReportedRows = DEFAULT_MAX_REPORTED_ROWS
+  } = options;
+
+  const report = {
+    accepted: 0,
+    duplicates: 0,
+    rejected: 0,
+    createdStocks: [],
+    symbols: {},
+    rows: [],
+    omittedRows: 0
+  };
+
+  // Whether each symbol seen so far has a stock to import into
+  const knownSymbols = new Map();
+  // Rows waiting to be written per symbol, keyed by bar date; every batch is
+  // written once batchSize rows are pending across all symbols
+  const batches = new Map();
+  let pending = 0;
+
+  const loadSymbol = async (rowSymbol) => {
+    if (knownSymbols.has(rowSymbol)) {
+      return knownSymbols.get(rowSymbol);
+    }
+
+    let exists = Boolean(await Stock.exists({ symbol: rowSymbol }));
+    if (!exists && createMissing) {
+      // Name defaults to the symbol until the stock is updated
+      await Stock.create({ symbol: rowSymbol, name: rowSymbol });
+      report.createdStocks.push(rowSymbol);
+      exists = true;
+    }
+    knownSymbols.set(rowSymbol, exists);
+    if (exists) {
+      report.symbols[rowSymbol] = { accepted: 0, duplicates: 0, rejected: 0 };
+    }
+    return exists;
+  };
+
+  const addRow = (row, status, rowSymbol, date, reason) => {
+    const key = status === 'duplicate' ? 'duplicates' : status;
+    report[key] += 1;
+    if (rowSymbol && report.symbols[rowSymbol]) {
+      report.symbols[rowSymbol][key] += 1;
+    }
+    if (errorsOnly && status === 'accepted') {
+      return;
+    }
+    if (report.rows.length < maxReportedRows) {
+      report.rows.push({ row, status, symbol: rowSymbol || null, date: date || null, reason: reason || undefined });
+    } else {
+      report.omittedRows += 1;
+    }
+  };
+
+  // Write a symbol's pending rows, skipping dates already stored (including
+  // those written from earlier batches of this file)
+  const flush = async (rowSymbol) => {
+    const batch = batches.get(rowSymbol);
+    if (!batch) {
+      return;
+    }
+    batches.delete(rowSymbol);
+    pending -= batch.size;
+
+    const times = [...batch.keys()];
+    const stored = await priceHistory.getBarDates(rowSymbol, {
+      start: new Date(Math.min(...times)),
+      end: new Date(Math.max(...times))
+    });
+
+    const bars = [];
+    batch.forEach(({ row, bar }, time) => {
+      if (stored.has(time)) {
+        addRow(row, 'duplicate', rowSymbol, bar.date, DUPLICATE_REASON);
+      } else {
+        bars.push(bar);
+        addRow(row, 'accepted', rowSymbol, bar.date);
+      }
+    });
+    if (bars.length === 0) {
+      return;
+    }
+
+    await priceHistory.insertBars(rowSymbol, bars);
+    await Stock.updateOne({ symbol: rowSymbol }, { $set: { lastUpdated: new Date() } });
+  };
+
+  const flushAll = async () => {
+    for (const rowSymbol of [...batches.keys()]) {
+      await flush(rowSymbol);
+    }
+  };
+
+  let columns = header ? null : resolveColumns(null, mapping, { requireSymbol: !symbol });
+  let rowNumber = 0;
+
+  const processRecords = async (records) => {
+    for await (const fields of records) {
+      rowNumber += 1;
+
+      if (!columns) {
+        columns = resolveColumns(fields, mapping, { requireSymbol: !symbol });
+        continue;
+      }
+
+      const parsed = parsePriceRow(fields, columns, { dateFormat, symbol });
+      if (parsed.error) {
+        addRow(rowNumber, 'rejected', parsed.symbol, null, parsed.error);
+        continue;
+      }
+
+      if (!await loadSymbol(parsed.symbol)) {
+        addRow(rowNumber, 'rejected', parsed.symbol, parsed.bar.date, `Stock ${parsed.symbol} does not exist`);
+        continue;
+      }
+
+      if (!batches.has(parsed.symbol)) {
+        batches.set(parsed.symbol, new Map());
+      }
+      const batch = batches.get(parsed.symbol);
+      const time = parsed.bar.date.getTime();
+      if (batch.has(time)) {
+        addRow(rowNumber, 'duplicate', parsed.symbol, parsed.bar.date, DUPLICATE_REASON);
+        continue;
+      }
+
+      batch.set(time, { row: rowNumber, bar: parsed.bar });
+      pending += 1;
+      if (pending >= batchSize) {
+        await flushAll();
+      }
+    }
+  };
+
+  // pipeline reports its own abort error when the consumer throws, so keep
+  // the original error (e.g. a missing column) to surface to the caller
+  let failure = null;
+  try {
+    await pipeline(input, createCsvParser({ delimiter }), async (records) => {
+      try {
+        await processRecords(records);
+      } catch (error) {
+        failure = error;
+        throw error;
+      }
+    });
+  } catch (error) {
+    throw failure || error;
+  }
+
+  await flushAll();
+
+  // Rows are classified as their batch is written, so restore file order
+  report.rows.sort((a, b) => a.row - b.row);
+  report.totalRows = rowNumber - (header && columns ? 1 : 0);
+  return report;
+}
+
+module.exports = {
+  importPriceCsv
+};
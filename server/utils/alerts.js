@@ -0,0 +1,229 @@
+const quantAnalysis = require('./quantAnalysis');
+
+/**
+ * Alert Condition Utilities for MEAN-QUANT
+ * Evaluate alert rules against a price series. Crossing conditions compare
+ * the bar being evaluated with the bar before it, so a rule fires when the
+ * condition becomes true rather than on every bar while it stays true.
+ */
+
+const ALERT_TYPES = ['price_cross', 'percent_move', 'rsi', 'sma_cross'];
+
+// Bars of history used to warm up path-dependent indicators such as RSI
+const INDICATOR_LOOKBACK = 250;
+
+// Did a series move from at-or-below to above a level (or the reverse)?
+const crossed = (previous, current, level, direction) => {
+  if (direction === 'below') {
+    return previous >= level && current < level;
+  }
+  return previous <= level && current > level;
+};
+
+/**
+ * Evaluate an alert condition at one bar
+ * @param {Object} rule - Alert rule ({ type, params })
+ * @param {Object[]} bars - Price bars sorted by date ({ close, adjustedClose })
+ * @param {number} index - Index of the bar to evaluate (default last bar)
+ * @returns {{ met: boolean, value: number|null, message: string|null }} Result
+ */
+function evaluateCondition(rule, bars, index = bars.length - 1) {
+  const params = rule.params || {};
+  const notMet = { met: false, value: null, message: null };
+
+  if (index < 1 || index >= bars.length) {
+    return notMet;
+  }
+
+  const current = bars[index];
+  const previous = bars[index - 1];
+
+  switch (rule.type) {
+  case 'price_cross': {
+    const met = crossed(previous.close, current.close, params.level, params.direction);
+    return {
+      met,
+      value: current.close,
+      message: met ? `Price crossed ${params.direction || 'above'} ${params.level} (close ${current.close})` : null
+    };
+  }
+  case 'percent_move': {
+    const change = (current.adjustedClose / previous.adjustedClose - 1) * 100;
+    const direction = params.direction || 'either';
+    const met = (direction === 'up' && change >= params.percent) ||
+      (direction === 'down' && change <= -params.percent) ||
+      (direction === 'either' && Math.abs(change) >= params.percent);
+    return {
+      met,
+      value: change,
+      message: met ? `Moved ${change.toFixed(2)}% in a day` : null
+    };
+  }
+  case 'rsi': {
+    const period = params.period || 14;
+    const lookback = Math.max(INDICATOR_LOOKBACK, period * 10);
+    const closes = bars
+      .slice(Math.max(0, index + 1 - lookback), index + 1)
+      .map(b => b.adjustedClose);
+    const rsi = quantAnalysis.calculateRSI(closes, period);
+
+    if (rsi.length < 2) {
+      return notMet;
+    }
+
+    const value = rsi[rsi.length - 1];
+    const met = crossed(rsi[rsi.length - 2], value, params.threshold, params.direction);
+    return {
+      met,
+      value,
+      message: met ? `RSI(${period}) crossed ${params.direction || 'above'} ${params.threshold} (${value.toFixed(2)})` : null
+    };
+  }
+  case 'sma_cross': {
+    const fastPeriod = params.fastPeriod || 50;
+    const slowPeriod = params.slowPeriod || 200;
+
+    if (index < slowPeriod) {
+      return notMet;
+    }
+
+    const closes = bars
+      .slice(index - slowPeriod, index + 1)
+      .map(b => b.adjustedClose);
+    const fast = quantAnalysis.calculateSMA(closes, fastPeriod);
+    const slow = quantAnalysis.calculateSMA(closes, slowPeriod);
+
+    const spreadNow = fast[fast.length - 1] - slow[slow.length - 1];
+    const spreadBefore = fast[fast.length - 2] - slow[slow.length - 2];
+    const met = crossed(spreadBefore, spreadNow, 0, params.direction);
+    return {
+      met,
+      value: spreadNow,
+      message: met ? `SMA(${fastPeriod}) crossed ${params.direction || 'above'} SMA(${slowPeriod})` : null
+    };
+  }
+  default:
+    return notMet;
+  }
+}
+
+/**
+ * Validate the parameters of an alert rule
+ * @param {string} type - Alert type
+ * @param {Object} params - Type specific parameters
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAlertParams(type, params = {}) {
+  const isPositive = (v) => typeof v === 'number' && isFinite(v) && v > 0;
+  const isPeriod = (v) => Number.isInteger(v) && v >= 2 && v <= 500;
+  // Crossing rules default to 'above' when no direction is given
+  const crossDirections = ['above', 'below'];
+
+  switch (type) {
+  case 'price_cross':
+    if (!isPositive(params.level)) {
+      return 'price_cross alerts require a positive level';
+    }
+    if (params.direction !== undefined && !crossDirections.includes(params.direction)) {
+      return 'price_cross direction must be above or below';
+    }
+    return null;
+  case 'percent_move':
+    if (!isPositive(params.percent)) {
+      return 'percent_move alerts require a positive percent';
+    }
+    if (params.direction !== undefined && !['up', 'down', 'either'].includes(params.direction)) {
+      return 'percent_move direction must be up, down or either';
+    }
+    return null;
+  case 'rsi':
+    if (params.period !== undefined && !isPeriod(params.period)) {
+      return 'rsi period must be an integer between 2 and 500';
+    }
+    if (typeof params.threshold !== 'number' || params.threshold <= 0 || params.threshold >= 100) {
+      return 'rsi threshold must be between 0 and 100';
+    }
+    if (params.direction !== undefined && !crossDirections.includes(params.direction)) {
+      return 'rsi direction must be above or below';
+    }
+    return null;
+  case 'sma_cross':
+    if (!isPeriod(params.fastPeriod) || !isPeriod(params.slowPeriod)) {
+      return 'sma_cross alerts require fastPeriod and slowPeriod between 2 and 500';
+    }
+    if (params.fastPeriod >= params.slowPeriod) {
+      return 'fastPeriod must be shorter than slowPeriod';
+    }
+    if (params.direction !== undefined && !crossDirections.includes(params.direction)) {
+      return 'sma_cross direction must be above or below';
+    }
+    return null;
+  default:
+    return `Unknown alert type: ${type}`;
+  }
+}
+
+/**
+ * Check whether a rule is still cooling down from its last trigger
+ * @param {Object} rule - Alert rule ({ lastTriggeredAt, cooldownMinutes })
+ * @param {Date} now - Current time (default now)
+ * @returns {boolean} True if the rule may not fire yet
+ */
+function isInCooldown(rule, now = new Date()) {
+  if (!rule.lastTriggeredAt || !rule.cooldownMinutes) {
+    return false;
+  }
+  return now.getTime() - new Date(rule.lastTriggeredAt).getTime() < rule.cooldownMinutes * 60 * 1000;
+}
+
+/**
+ * Number of bars before the evaluated bar that a rule needs to look at
+ * @param {Object} rule - Alert rule ({ type, params })
+ * @returns {number} Bars of history required
+ */
+function getRequiredHistory(rule) {
+  const params = rule.params || {};
+
+  switch (rule.type) {
+  case 'rsi':
+    return Math.max(INDICATOR_LOOKBACK, (params.period || 14) * 10);
+  case 'sma_cross':
+    return params.slowPeriod || 200;
+  default:
+    return 1;
+  }
+}
+
+/**
+ * Find the first of a set of bars at which a rule fires
+ * @param {Object} rule - Alert rule
+ * @param {Object[]} bars - Price bars sorted by date
+ * @param {number[]} indexes - Indexes of the newly arrived bars
+ * @returns {Object|null} { index, bar, value, message }, or null
+ */
+function findTrigger(rule, bars, indexes) {
+  const sorted = [...indexes].sort((a, b) => a - b);
+
+  for (const index of sorted) {
+    const result = evaluateCondition(rule, bars, index);
+    if (result.met) {
+      return {
+        index,
+        bar: bars[index],
+        value: result.value,
+        message: result.message
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  ALERT_TYPES,
+  validateAlertParams,
+  evaluateCondition,
+  isInCooldown,
+  getRequiredHistory,
+  findTrigger
+};
@@ -0,0 +1,59 @@
+/**
+ * Allocation Utilities for MEAN-QUANT
+ * Group a portfolio's allocation by the metadata of its stocks.
+ */
+
+// Stock fields an allocation can be grouped by
+const ALLOCATION_GROUPS = ['sector', 'industry', 'exchange', 'country'];
+
+// Group of holdings whose stock lacks the field, and of the cash
+const UNCLASSIFIED_GROUP = 'Unclassified';
+const CASH_GROUP = 'Cash';
+
+/**
+ * Value of a stock's grouping field
+ * @param {Object} stock - Stock document (or undefined)
+ * @param {string} group - sector, industry, exchange or country
+ * @returns {string} Group name
+ */
+function getGroupName(stock, group) {
+  if (!stock) {
+    return UNCLASSIFIED_GROUP;
+  }
+  const value = group === 'country' ? stock.metadata && stock.metadata.country : stock[group];
+  return value || UNCLASSIFIED_GROUP;
+}
+
+/**
+ * Sum an allocation by group
+ * @param {Object[]} allocation - Output of Portfolio.getAllocation
+ * @param {Map<string, Object>} stocksBySymbol - Stock per symbol
+ * @param {string} group - sector, industry, exchange or country
+ * @returns {Object[]} { name, value, percentage, symbols, stale } per group,
+ *   largest first
+ */
+function groupAllocation(allocation, stocksBySymbol, group) {
+  const groups = new Map();
+  allocation.forEach(item => {
+    const name = item.symbol === 'CASH' ? CASH_GROUP : getGroupName(stocksBySymbol.get(item.symbol), group);
+    const entry = groups.get(name) || { name, value: 0, percentage: 0, symbols: [], stale: false };
+
+    entry.value += item.value;
+    entry.percentage += item.percentage;
+    if (item.symbol !== 'CASH') {
+      entry.symbols.push(item.symbol);
+      entry.stale = entry.stale || item.stale;
+    }
+    groups.set(name, entry);
+  });
+
+  return [...groups.values()].sort((a, b) => b.value - a.value);
+}
+
+module.exports = {
+  ALLOCATION_GROUPS,
+  UNCLASSIFIED_GROUP,
+  CASH_GROUP,
+  getGroupName,
+  groupAllocation
+};
@@ -0,0 +1,246 @@
+/**
+ * Performance Attribution Utilities for MEAN-QUANT
+ * Brinson-Fachler attribution of a portfolio's active return by sector.
+ *
+ * For each sector i, with portfolio and benchmark weights wp/wb and returns
+ * Rp/Rb, and total benchmark return Rb:
+ *   allocation  = (wp(i) - wb(i)) * (Rb(i) - Rb)
+ *   selection   = wb(i) * (Rp(i) - Rb(i))
+ *   interaction = (wp(i) - wb(i)) * (Rp(i) - Rb(i))
+ * The effects sum to the active return Rp - Rb. Attribution is computed day
+ * by day from the holdings at the previous close (trades made during a day
+ * count from the next one) and linked over the period with Carino's
+ * logarithmic smoothing so the linked effects still sum to the difference
+ * between the compounded returns.
+ */
+
+// Sector of stocks with no sector, and of the portfolio's cash
+const UNCLASSIFIED_SECTOR = 'Unclassified';
+const CASH_SECTOR = 'Cash';
+
+/**
+ * Brinson-Fachler effects for one period
+ * @param {Map<string, Object>} portfolioSectors - { weight, return } per sector
+ * @param {Map<string, Object>} benchmarkSectors - { weight, return } per sector
+ * @returns {Object} { portfolioReturn, benchmarkReturn, sectors: Map of
+ *   { allocation, selection, interaction } }
+ */
+function calculateBrinsonFachler(portfolioSectors, benchmarkSectors) {
+  const total = (sectors) => [...sectors.values()].reduce((sum, s) => sum + s.weight * s.return, 0);
+  const portfolioReturn = total(portfolioSectors);
+  const benchmarkReturn = total(benchmarkSectors);
+
+  const sectors = new Map();
+  new Set([...portfolioSectors.keys(), ...benchmarkSectors.keys()]).forEach(sector => {
+    const p = portfolioSectors.get(sector) || { weight: 0, return: null };
+    const b = benchmarkSectors.get(sector) || { weight: 0, return: null };
+    // A sector one side does not hold earns the other side's return (or the
+    // benchmark's total), so the missing return adds no effect of its own
+    const benchmarkSectorReturn = b.return !== null ? b.return : benchmarkReturn;
+    const portfolioSectorReturn = p.return !== null ? p.return : benchmarkSectorReturn;
+    const activeWeight = p.weight - b.weight;
+
+    sectors.set(sector, {
+      allocation: activeWeight * (benchmarkSectorReturn - benchmarkReturn),
+      selection: b.weight * (portfolioSectorReturn - benchmarkSectorReturn),
+      interaction: activeWeight * (portfolioSectorReturn - benchmarkSectorReturn)
+    });
+  });
+
+  return { portfolioReturn, benchmarkReturn, sectors };
+}
+
+/**
+ * Carino linking coefficient for a portfolio and benchmark return
+ * @param {number} portfolioReturn - Portfolio return
+ * @param {number} benchmarkReturn - Benchmark return
+ * @returns {number} Coefficient
+ */
+function carinoCoefficient(portfolioReturn, benchmarkReturn) {
+  if (Math.abs(portfolioReturn - benchmarkReturn) < 1e-12) {
+    return 1 / (1 + portfolioReturn);
+  }
+  return (Math.log(1 + portfolioReturn) - Math.log(1 + benchmarkReturn)) / (portfolioReturn - benchmarkReturn);
+}
+
+/**
+ * Read a symbol's adjusted close on or before a date; dates must not decrease
+ * @param {Object[]} bars - Bars, oldest first
+ * @returns {Function} (date) => close, or null before the first bar
+ */
+const createCloseReader = (bars = []) => {
+  let index = 0;
+  let close = null;
+  return (date) => {
+    while (index < bars.length && bars[index].date <= date) {
+      close = bars[index].adjustedClose;
+      index += 1;
+    }
+    return close;
+  };
+};
+
+/**
+ * Weight and return of each sector, from security weights and returns
+ * @param {Array<{ sector: string, weight: number, return: number }>} securities - Securities
+ * @returns {Map<string, Object>} { weight, return } per sector
+ */
+function groupBySector(securities) {
+  const sectors = new Map();
+  securities.forEach(s => {
+    const sector = sectors.get(s.sector) || { weight: 0, contribution: 0 };
+    sector.weight += s.weight;
+    sector.contribution += s.weight * s.return;
+    sectors.set(s.sector, sector);
+  });
+
+  return new Map([...sectors].map(([name, s]) => [name, {
+    weight: s.weight,
+    return: s.weight !== 0 ? s.contribution / s.weight : null
+  }]));
+}
+
+/**
+ * Sector attribution of a portfolio against a fixed-weight benchmark
+ * @param {Object[]} valuations - Daily valuations with positions, starting
+ *   with the close before the period
+ * @param {Object} options - Options
+ * @param {Map<string, number>} options.benchmarkWeights - Weight per symbol
+ *   (normalized to sum to 1; the benchmark is rebalanced daily)
+ * @param {Map<string, Object[]>} options.barsBySymbol - Bars per symbol,
+ *   oldest first, from before the period
+ * @param {Map<string, string>} options.sectorBySymbol - Sector per symbol
+ * @returns {Object} { days, portfolioReturn, benchmarkReturn, activeReturn, totals, sectors }
+ */
+function buildSectorAttribution(valuations, { benchmarkWeights, barsBySymbol, sectorBySymbol }) {
+  const readers = new Map();
+  const closeOf = (symbol, date) => {
+    if (!readers.has(symbol)) {
+      readers.set(symbol, createCloseReader(barsBySymbol.get(symbol)));
+    }
+    return readers.get(symbol)(date);
+  };
+  const sectorOf = (symbol) => sectorBySymbol.get(symbol) || UNCLASSIFIED_SECTOR;
+
+  const totalWeight = [...benchmarkWeights.values()].reduce((sum, w) => sum + w, 0);
+  const symbols = new Set(benchmarkWeights.keys());
+  valuations.forEach(v => v.positions.forEach(p => symbols.add(p.symbol)));
+
+  // Closes of every symbol at the previous valuation, to price daily returns
+  let previousCloses = new Map([...symbols].map(symbol => [symbol, closeOf(symbol, valuations[0].date)]));
+
+  const days = [];
+  for (let i = 1; i < valuations.length; i++) {
+    const previous = valuations[i - 1];
+    const today = valuations[i];
+    const before = previousCloses;
+    const closes = new Map([...symbols].map(symbol => [symbol, closeOf(symbol, today.date)]));
+    const returnOf = (symbol) => (before.get(symbol) && closes.get(symbol)
+      ? closes.get(symbol) / before.get(symbol) - 1
+      : 0);
+    previousCloses = closes;
+
+    if (previous.value <= 0) {
+      continue;
+    }
+
+    const holdings = previous.positions
+      .filter(p => p.shares > 0 && p.price)
+      .map(p => ({ sector: sectorOf(p.symbol), weight: p.shares * p.price / previous.value, return: returnOf(p.symbol) }));
+    if (previous.cash !== 0) {
+      holdings.push({ sector: CASH_SECTOR, weight: previous.cash / previous.value, return: 0 });
+    }
+    const constituents = [...benchmarkWeights].map(([symbol, weight]) => ({
+      sector: sectorOf(symbol),
+      weight: weight / totalWeight,
+      return: returnOf(symbol)
+    }));
+
+    const portfolioSectors = groupBySector(holdings);
+    const benchmarkSectors = groupBySector(constituents);
+    days.push({
+      portfolioSectors,
+      benchmarkSectors,
+      ...calculateBrinsonFachler(portfolioSectors, benchmarkSectors)
+    });
+  }
+
+  const compound = (returns) => returns.reduce((growth, r) => growth * (1 + r), 1) - 1;
+  const portfolioReturn = compound(days.map(d => d.portfolioReturn));
+  const benchmarkReturn = compound(days.map(d => d.benchmarkReturn));
+  const linking = carinoCoefficient(portfolioReturn, benchmarkReturn);
+
+  const sectors = new Map();
+  const sectorTotals = (name) => {
+    if (!sectors.has(name)) {
+      sectors.set(name, {
+        sector: name,
+        portfolioWeights: [],
+        benchmarkWeights: [],
+        portfolioReturns: [],
+        benchmarkReturns: [],
+        allocation: 0,
+        selection: 0,
+        interaction: 0
+      });
+    }
+    return sectors.get(name);
+  };
+
+  days.forEach(day => {
+    const scale = carinoCoefficient(day.portfolioReturn, day.benchmarkReturn) / linking;
+    day.sectors.forEach((effects, name) => {
+      const sector = sectorTotals(name);
+      const p = day.portfolioSectors.get(name);
+      const b = day.benchmarkSectors.get(name);
+
+      sector.portfolioWeights.push(p ? p.weight : 0);
+      sector.benchmarkWeights.push(b ? b.weight : 0);
+      if (p && p.return !== null) {
+        sector.portfolioReturns.push(p.return);
+      }
+      if (b && b.return !== null) {
+        sector.benchmarkReturns.push(b.return);
+      }
+      sector.allocation += effects.allocation * scale;
+      sector.selection += effects.selection * scale;
+      sector.interaction += effects.interaction * scale;
+    });
+  });
+
+  const average = (values) => (days.length > 0 ? values.reduce((sum, v) => sum + v, 0) / days.length : 0);
+  const rows = [...sectors.values()]
+    .map(s => ({
+      sector: s.sector,
+      portfolioWeight: average(s.portfolioWeights),
+      benchmarkWeight: average(s.benchmarkWeights),
+      portfolioReturn: s.portfolioReturns.length > 0 ? compound(s.portfolioReturns) : null,
+      benchmarkReturn: s.benchmarkReturns.length > 0 ? compound(s.benchmarkReturns) : null,
+      allocation: s.allocation,
+      selection: s.selection,
+      interaction: s.interaction,
+      total: s.allocation + s.selection + s.interaction
+    }))
+    .sort((a, b) => Math.abs(b.total) - Math.abs(a.total));
+
+  const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+  return {
+    days: days.length,
+    portfolioReturn,
+    benchmarkReturn,
+    activeReturn: portfolioReturn - benchmarkReturn,
+    totals: {
+      allocation: sum('allocation'),
+      selection: sum('selection'),
+      interaction: sum('interaction')
+    },
+    sectors: rows
+  };
+}
+
+module.exports = {
+  UNCLASSIFIED_SECTOR,
+  CASH_SECTOR,
+  calculateBrinsonFachler,
+  buildSectorAttribution
+};
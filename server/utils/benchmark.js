@@ -0,0 +1,248 @@
+const quantAnalysis = require('./quantAnalysis');
+const { PERFORMANCE_PERIODS, calculatePeriodReturns } = require('./performance');
+
+/**
+ * Benchmark Comparison Utilities for MEAN-QUANT
+ * Compare a portfolio's daily valuations with a benchmark's price history.
+ *
+ * The portfolio's daily return is its time-weighted sub-period return (see
+ * performance.js), so deposits and withdrawals do not count as performance.
+ * The benchmark's daily return is the change in its adjusted close between
+ * the same two valuation days, carrying its last close forward over days it
+ * did not trade. Statistics are annualized per trading day, so they pair the
+ * returns on the benchmark's trading days instead (see pairTradingDayReturns).
+ */
+
+/**
+ * Pair each valuation day with the portfolio's and the benchmark's return
+ * @param {Object[]} valuations - Daily valuations ({ date, value, netFlow })
+ * @param {Object[]} bars - Benchmark bars, oldest first
+ * @returns {Object[]} { date, portfolioReturn, benchmarkReturn, benchmarkLevel }
+ *   per day; returns are null when they cannot be computed
+ */
+function alignBenchmarkReturns(valuations, bars) {
+  let barIndex = 0;
+  let level = null;
+  // Benchmark level at the close on or before a date; dates must not decrease
+  const levelAt = (date, inclusive) => {
+    while (barIndex < bars.length &&
+      (inclusive ? bars[barIndex].date <= date : bars[barIndex].date < date)) {
+      level = bars[barIndex].adjustedClose;
+      barIndex += 1;
+    }
+    return level;
+  };
+
+  let previousValue = 0;
+  let previousLevel = null;
+
+  return valuations.map((v, i) => {
+    if (i === 0) {
+      previousLevel = levelAt(v.date, false);
+    }
+    const benchmarkLevel = levelAt(v.date, true);
+
+    const invested = previousValue + v.netFlow;
+    const portfolioReturn = invested > 0 ? v.value / invested - 1 : null;
+    const benchmarkReturn = previousLevel && benchmarkLevel ? benchmarkLevel / previousLevel - 1 : null;
+
+    previousValue = v.value;
+    previousLevel = benchmarkLevel;
+
+    return { date: v.date, portfolioReturn, benchmarkReturn, benchmarkLevel };
+  });
+}
+
+/**
+ * Pair the portfolio's and the benchmark's returns on each of the benchmark's
+ * trading days, so every pair spans one trading day however far apart the
+ * valuations are. The portfolio's returns up to each benchmark close are
+ * compounded into it; a trading day without a valuation is one on which no
+ * holding traded, so the portfolio's return that day is 0. Valuations after
+ * the benchmark's last close are left out.
+ * @param {Object[]} aligned - Output of alignBenchmarkReturns
+ * @param {Object[]} bars - Benchmark bars, oldest first
+ * @param {Date} start - First valuation day to include (null for all)
+ * @returns {Object} { portfolioReturns, benchmarkReturns }
+ */
+function pairTradingDayReturns(aligned, bars, start = null) {
+  const days = start ? aligned.filter(a => a.date >= start) : aligned;
+  const portfolioReturns = [];
+  const benchmarkReturns = [];
+  if (days.length === 0) {
+    return { portfolioReturns, benchmarkReturns };
+  }
+
+  const first = days[0].date;
+  const last = days[days.length - 1].date;
+  let dayIndex = 0;
+  let previousLevel = null;
+
+  bars.forEach(bar => {
+    if (bar.date < first) {
+      previousLevel = bar.adjustedClose;
+      return;
+    }
+    if (bar.date > last) {
+      return;
+    }
+
+    let growth = 1;
+    while (dayIndex < days.length && days[dayIndex].date <= bar.date) {
+      const r = days[dayIndex].portfolioReturn;
+      growth = growth === null || r === null ? null : growth * (1 + r);
+      dayIndex += 1;
+    }
+
+    if (growth !== null && previousLevel) {
+      portfolioReturns.push(growth - 1);
+      benchmarkReturns.push(bar.adjustedClose / previousLevel - 1);
+    }
+    previousLevel = bar.adjustedClose;
+  });
+
+  return { portfolioReturns, benchmarkReturns };
+}
+
+/**
+ * Up and down capture ratios: the portfolio's geometric mean return on days
+ * the benchmark rose (fell), over the benchmark's on those days
+ * @param {number[]} portfolioReturns - Daily portfolio returns
+ * @param {number[]} benchmarkReturns - Daily benchmark returns
+ * @returns {Object} { upCapture, downCapture }, null without such days
+ */
+function calculateCaptureRatios(portfolioReturns, benchmarkReturns) {
+  const capture = (predicate) => {
+    const days = benchmarkReturns
+      .map((r, i) => i)
+      .filter(i => predicate(benchmarkReturns[i]));
+    if (days.length === 0) {
+      return null;
+    }
+
+    const geometricMean = (returns) => Math.pow(
+      days.reduce((product, i) => product * (1 + returns[i]), 1),
+      1 / days.length
+    ) - 1;
+    return geometricMean(portfolioReturns) / geometricMean(benchmarkReturns);
+  };
+
+  return {
+    upCapture: capture(r => r > 0),
+    downCapture: capture(r => r < 0)
+  };
+}
+
+/**
+ * Compare a portfolio with its benchmark
+ * @param {Object[]} valuations - Output of buildDailyValuations
+ * @param {Object[]} bars - Benchmark bars, oldest first, starting before
+ *   the first valuation
+ * @param {Object} options - Options
+ * @param {Date} options.start - First day of the curve and statistics
+ * @param {number} options.riskFreeRate - Annual risk-free rate for alpha
+ * @param {string[]} options.periods - Periods to compare returns over
+ * @returns {Object} { curve, statistics, periods }
+ */
+function buildBenchmarkComparison(valuations, bars, {
+  start = null,
+  riskFreeRate = 0.02,
+  periods = PERFORMANCE_PERIODS
+} = {}) {
+  const aligned = alignBenchmarkReturns(valuations, bars);
+
+  // Equity curves: the portfolio, the benchmark bought with the same
+  // deposits and withdrawals, and growth of 1 in each over the paired days
+  const curve = [];
+  let units = 0;
+  let pendingFlows = 0;
+  let previousLevel = null;
+  let portfolioIndex = 1;
+  let benchmarkIndex = 1;
+
+  valuations.forEach((v, i) => {
+    const day = aligned[i];
+
+    // Flows arrive at the start of the day, at the previous close
+    pendingFlows += v.netFlow;
+    const entryLevel = previousLevel || day.benchmarkLevel;
+    if (entryLevel && pendingFlows !== 0) {
+      units += pendingFlows / entryLevel;
+      pendingFlows = 0;
+    }
+    previousLevel = day.benchmarkLevel || previousLevel;
+
+    if (start && v.date < start) {
+      return;
+    }
+
+    if (day.portfolioReturn !== null && day.benchmarkReturn !== null) {
+      portfolioIndex *= 1 + day.portfolioReturn;
+      benchmarkIndex *= 1 + day.benchmarkReturn;
+    }
+
+    curve.push({
+      date: v.date,
+      value: v.value,
+      benchmarkValue: day.benchmarkLevel ? units * day.benchmarkLevel + pendingFlows : null,
+      portfolioIndex,
+      benchmarkIndex
+    });
+  });
+
+  const { portfolioReturns, benchmarkReturns } = pairTradingDayReturns(aligned, bars, start);
+  let statistics = null;
+  if (portfolioReturns.length > 1) {
+    const activeReturns = portfolioReturns.map((r, i) => r - benchmarkReturns[i]);
+    const trackingError = quantAnalysis.calculateVolatility(activeReturns);
+    const activeAnnualized = quantAnalysis.calculateAnnualizedReturn(portfolioReturns) -
+      quantAnalysis.calculateAnnualizedReturn(benchmarkReturns);
+
+    statistics = {
+      days: portfolioReturns.length,
+      portfolioReturn: portfolioIndex - 1,
+      benchmarkReturn: benchmarkIndex - 1,
+      activeReturn: portfolioIndex - benchmarkIndex,
+      trackingError,
+      informationRatio: trackingError > 0 ? activeAnnualized / trackingError : null,
+      beta: quantAnalysis.calculateBeta(portfolioReturns, benchmarkReturns),
+      alpha: quantAnalysis.calculateAlpha(portfolioReturns, benchmarkReturns, riskFreeRate),
+      ...calculateCaptureRatios(portfolioReturns, benchmarkReturns)
+    };
+  }
+
+  // Active return over each period: the portfolio's time-weighted return
+  // less the benchmark's over the same days
+  const periodReturns = {};
+  periods.forEach(period => {
+    const returns = calculatePeriodReturns(valuations, period);
+    if (!returns || returns.twr === null) {
+      periodReturns[period] = null;
+      return;
+    }
+
+    const days = aligned.filter(a => a.date >= returns.start && a.date <= returns.end);
+    const complete = days.every(a => a.benchmarkReturn !== null);
+    const benchmarkReturn = complete
+      ? days.reduce((growth, a) => growth * (1 + a.benchmarkReturn), 1) - 1
+      : null;
+
+    periodReturns[period] = {
+      period,
+      start: returns.start,
+      end: returns.end,
+      portfolioReturn: returns.twr,
+      benchmarkReturn,
+      activeReturn: benchmarkReturn !== null ? returns.twr - benchmarkReturn : null
+    };
+  });
+
+  return { curve, statistics, periods: periodReturns };
+}
+
+module.exports = {
+  alignBenchmarkReturns,
+  pairTradingDayReturns,
+  calculateCaptureRatios,
+  buildBenchmarkComparison
+};
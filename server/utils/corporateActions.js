@@ -0,0 +1,126 @@
+/**
+ * Corporate Action Utilities for MEAN-QUANT
+ * Back-adjust closing prices for splits, cash dividends and spin-offs.
+ *
+ * Raw `close` values are as traded. Each action has a price factor; every bar
+ * before the action's ex-date is multiplied by the product of the factors of
+ * all later actions, so adjusted prices line up with today's share basis:
+ *   split (ratio r new shares per old share):  1 / r
+ *   cash dividend (amount D per share):        1 - D / close before the ex-date
+ *   spin-off (valueRatio v of value spun off): 1 - v
+ */
+
+const CORPORATE_ACTION_TYPES = ['split', 'cash_dividend', 'spin_off'];
+
+// Decimal places kept in adjusted prices
+const PRICE_PRECISION = 1e6;
+
+/**
+ * Validate the type specific fields of a corporate action
+ * @param {Object} action - { type, ratio, amount, valueRatio }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCorporateAction(action) {
+  const isPositive = (v) => typeof v === 'number' && isFinite(v) && v > 0;
+
+  switch (action.type) {
+  case 'split':
+    if (!isPositive(action.ratio) || action.ratio === 1) {
+      return 'split ratio must be a positive number other than 1 (e.g. 2 for 2-for-1, 0.1 for 1-for-10)';
+    }
+    return null;
+  case 'cash_dividend':
+    if (!isPositive(action.amount)) {
+      return 'cash_dividend amount must be positive';
+    }
+    return null;
+  case 'spin_off':
+    if (!isPositive(action.valueRatio) || action.valueRatio >= 1) {
+      return 'spin_off valueRatio must be between 0 and 1';
+    }
+    if (action.ratio !== undefined && action.ratio !== null && !isPositive(action.ratio)) {
+      return 'spin_off ratio must be positive';
+    }
+    return null;
+  default:
+    return `Unknown corporate action type: ${action.type}`;
+  }
+}
+
+/**
+ * Price factor of one action
+ * @param {Object} action - Corporate action
+ * @param {number|null} previousClose - Raw close of the last bar before the ex-date
+ * @returns {number|null} Factor, or null if it cannot be applied
+ */
+function getPriceFactor(action, previousClose) {
+  switch (action.type) {
+  case 'split':
+    return 1 / action.ratio;
+  case 'cash_dividend':
+    // A dividend is only meaningful relative to the price it was paid from
+    if (!previousClose || action.amount >= previousClose) {
+      return null;
+    }
+    return 1 - action.amount / previousClose;
+  case 'spin_off':
+    return 1 - action.valueRatio;
+  default:
+    return null;
+  }
+}
+
+/**
+ * Compute adjusted closes for a full price history. Actions with an ex-date
+ * after the last bar are pending: they take effect once a bar on or after
+ * the ex-date is stored.
+ * @param {Object[]} bars - Bars sorted oldest first ({ date, close })
+ * @param {Object[]} actions - Corporate actions ({ type, exDate, ... })
+ * @returns {{ adjustedCloses: number[], applied: Object[], pending: Object[], skipped: Object[] }}
+ *   Adjusted close per bar, and the actions applied, pending, or without
+ *   effect (dated before the first bar, or a dividend larger than the price)
+ */
+function computeAdjustedCloses(bars, actions) {
+  const sorted = [...actions].sort((a, b) => new Date(b.exDate) - new Date(a.exDate));
+  const adjustedCloses = new Array(bars.length);
+  const applied = [];
+  const pending = [];
+  const skipped = [];
+
+  const lastTime = bars.length > 0 ? new Date(bars[bars.length - 1].date).getTime() : -Infinity;
+  let next = 0;
+  while (next < sorted.length && new Date(sorted[next].exDate).getTime() > lastTime) {
+    pending.push(sorted[next]);
+    next += 1;
+  }
+
+  let factor = 1;
+  for (let i = bars.length - 1; i >= 0; i--) {
+    const time = new Date(bars[i].date).getTime();
+
+    // Apply every action whose ex-date falls after this bar
+    while (next < sorted.length && new Date(sorted[next].exDate).getTime() > time) {
+      const actionFactor = getPriceFactor(sorted[next], bars[i].close);
+      if (actionFactor === null) {
+        skipped.push(sorted[next]);
+      } else {
+        factor *= actionFactor;
+        applied.push(sorted[next]);
+      }
+      next += 1;
+    }
+
+    adjustedCloses[i] = Math.round(bars[i].close * factor * PRICE_PRECISION) / PRICE_PRECISION;
+  }
+
+  skipped.push(...sorted.slice(next));
+
+  return { adjustedCloses, applied, pending, skipped };
+}
+
+module.exports = {
+  CORPORATE_ACTION_TYPES,
+  validateCorporateAction,
+  getPriceFactor,
+  computeAdjustedCloses
+};
@@ -0,0 +1,246 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * CSV Utilities for MEAN-QUANT
+ * Streaming parsers used by bulk imports. Input is processed chunk by chunk
+ * so large files never have to be held in memory. Also formats reports as CSV.
+ */
+
+/**
+ * Create a transform that parses CSV text into records (RFC 4180: quoted
+ * fields may contain delimiters, newlines and doubled quotes). Each record is
+ * emitted as an array of strings; blank lines are skipped.
+ * @param {Object} options - Options
+ * @param {string} options.delimiter - Field delimiter (default ',')
+ * @returns {Transform} Object mode transform
+ */
+function createCsvParser({ delimiter = ',' } = {}) {
+  const decoder = new StringDecoder('utf8');
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  // A quote inside a quoted field: either the closing quote or half of ""
+  let quotePending = false;
+  let fieldStarted = false;
+  let atStart = true;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+
+  const endRecord = (stream) => {
+    endField();
+    if (record.length > 1 || record[0] !== '') {
+      stream.push(record);
+    }
+    record = [];
+  };
+
+  const parse = (stream, text) => {
+    if (atStart && text.length > 0) {
+      // Drop a UTF-8 byte order mark
+      if (text.charCodeAt(0) === 0xfeff) {
+        text = text.slice(1);
+      }
+      atStart = false;
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (ch === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          field += ch;
+          continue;
+        }
+      }
+
+      if (ch === '"' && !fieldStarted) {
+        inQuotes = true;
+        fieldStarted = true;
+      } else if (ch === delimiter) {
+        endField();
+      } else if (ch === '\n') {
+        endRecord(stream);
+      } else if (ch !== '\r') {
+        field += ch;
+        fieldStarted = true;
+      }
+    }
+  };
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      parse(this, typeof chunk === 'string' ? chunk : decoder.write(chunk));
+      callback();
+    },
+    flush(callback) {
+      parse(this, decoder.end());
+      if (inQuotes && !quotePending) {
+        return callback(Object.assign(new Error('Unterminated quoted field'), { status: 400 }));
+      }
+      if (fieldStarted || record.length > 0) {
+        endRecord(this);
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * Read the boundary from a multipart/form-data content type
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null} Boundary, or null if missing
+ */
+function getMultipartBoundary(contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+// Longest part header block accepted before giving up
+const MAX_PART_HEADER_BYTES = 16 * 1024;
+
+/**
+ * Create a transform that extracts one file field from a multipart/form-data
+ * body and passes its contents through. Other fields are skipped.
+ * @param {string} boundary - Multipart boundary
+ * @param {Object} options - Options
+ * @param {string} options.field - Name of the file field (default 'file')
+ * @returns {Transform} Transform emitting the raw file bytes
+ */
+function createMultipartFileStream(boundary, { field = 'file' } = {}) {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  // Pretend the body starts with CRLF so the first boundary matches delimiter
+  let buffer = Buffer.from('\r\n');
+  let state = 'preamble';
+  let found = false;
+
+  const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+  const consume = (stream) => {
+    for (;;) {
+      if (state === 'preamble' || state === 'skip') {
+        const index = buffer.indexOf(delimiter);
+        if (index === -1) {
+          buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length));
+          return;
+        }
+        buffer = buffer.subarray(index + delimiter.length);
+        state = 'boundary';
+      }
+
+      if (state === 'boundary') {
+        if (buffer.length < 2) {
+          return;
+        }
+        if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+          state = 'done';
+          continue;
+        }
+        const end = buffer.indexOf('\r\n\r\n');
+        if (end === -1) {
+          if (buffer.length > MAX_PART_HEADER_BYTES) {
+            throw badRequest('Multipart part headers are too large');
+          }
+          return;
+        }
+        const headers = buffer.subarray(0, end).toString('utf8');
+        buffer = buffer.subarray(end + 4);
+
+        const name = /content-disposition:[^\r\n]*\bname="([^"]*)"/i.exec(headers);
+        if (!found && name && name[1] === field) {
+          found = true;
+          state = 'body';
+        } else {
+          state = 'skip';
+        }
+      }
+
+      if (state === 'body') {
+        const index = buffer.indexOf(delimiter);
+        if (index === -1) {
+          // Hold back enough bytes to recognise a delimiter split across chunks
+          const safe = buffer.length - delimiter.length;
+          if (safe > 0) {
+            stream.push(buffer.subarray(0, safe));
+            buffer = buffer.subarray(safe);
+          }
+          return;
+        }
+        stream.push(buffer.subarray(0, index));
+        buffer = buffer.subarray(index + delimiter.length);
+        state = 'done';
+      }
+
+      if (state === 'done') {
+        buffer = Buffer.alloc(0);
+        return;
+      }
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        consume(this);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      if (!found) {
+        return callback(badRequest(`Multipart body has no "${field}" field`));
+      }
+      if (state === 'body') {
+        return callback(badRequest('Multipart body ended before the file did'));
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * Format records as CSV, quoting fields that need it (RFC 4180)
+ * @param {Object[]} records - Records to write
+ * @param {Array<{ key: string, header: string }>} columns - Columns in order
+ * @returns {string} CSV text with a header row, CRLF line endings
+ */
+function formatCsv(records, columns) {
+  const escape = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(c => escape(c.header)).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(c => escape(record[c.key])).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  createCsvParser,
+  getMultipartBoundary,
+  createMultipartFileStream,
+  formatCsv
+};
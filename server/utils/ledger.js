@@ -0,0 +1,56 @@
+/**
+ * Transaction Ledger Utilities for MEAN-QUANT
+ * Transaction types and the cash each one moves. A portfolio's cash balance
+ * is the sum of the cash effects of its transactions.
+ */
+
+// Transactions in a security
+const SECURITY_TRANSACTION_TYPES = ['buy', 'sell', 'dividend', 'split'];
+
+// Transactions that only move cash; they carry an amount instead of shares and price
+const CASH_TRANSACTION_TYPES = ['deposit', 'withdrawal', 'interest', 'fee'];
+
+const TRANSACTION_TYPES = [...SECURITY_TRANSACTION_TYPES, ...CASH_TRANSACTION_TYPES];
+
+/**
+ * Change in cash caused by a transaction
+ * @param {Object} transaction - Transaction ({ type, shares, price, fees, amount })
+ * @returns {number} Cash added (negative when cash is spent)
+ */
+function getCashEffect(transaction) {
+  const fees = transaction.fees || 0;
+
+  switch (transaction.type) {
+  case 'buy':
+    return -(transaction.shares * transaction.price + fees);
+  case 'sell':
+    return transaction.shares * transaction.price - fees;
+  case 'dividend':
+    return transaction.shares * transaction.price;
+  case 'deposit':
+  case 'interest':
+    return transaction.amount;
+  case 'withdrawal':
+  case 'fee':
+    return -transaction.amount;
+  default:
+    return 0;
+  }
+}
+
+/**
+ * Cash balance implied by a ledger
+ * @param {Object[]} transactions - Transactions
+ * @returns {number} Cash balance
+ */
+function getCashBalance(transactions) {
+  return transactions.reduce((cash, t) => cash + getCashEffect(t), 0);
+}
+
+module.exports = {
+  SECURITY_TRANSACTION_TYPES,
+  CASH_TRANSACTION_TYPES,
+  TRANSACTION_TYPES,
+  getCashEffect,
+  getCashBalance
+};
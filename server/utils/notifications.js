@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const net = require('net');
+
+/**
+ * Notification Utilities for MEAN-QUANT
+ * Preference checks and webhook signing. Webhook requests carry an
+ * X-MeanQuant-Signature header of the form 't=<unix seconds>,v1=<hex>' where
+ * v1 is the HMAC-SHA256 of '<t>.<raw body>' keyed with the webhook secret.
+ * Webhooks may only reach public hosts, so a user cannot make the server
+ * call its own or its network's internal services.
+ */
+
+const NOTIFICATION_CATEGORIES = ['alert', 'job', 'security'];
+
+const NOTIFICATION_CHANNELS = ['inApp', 'email', 'webhook'];
+
+// Preference flag that turns each category on or off
+const CATEGORY_PREFERENCES = {
+  alert: 'priceAlerts',
+  job: 'jobs',
+  security: 'security'
+};
+
+// Preference flag that turns each channel on or off
+const CHANNEL_PREFERENCES = {
+  inApp: 'inApp',
+  email: 'email',
+  webhook: 'webhooks'
+};
+
+// Addresses webhooks may not reach: this host, private networks, link-local
+// (including cloud metadata endpoints), carrier-grade NAT, multicast and
+// reserved ranges. IPv4-mapped IPv6 addresses are checked as IPv4.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Decide whether a user wants a category of notification on a channel.
+ * Missing flags count as enabled, matching the schema defaults.
+ * @param {Object} preferences - User.preferences.notifications
+ * @param {string} category - Notification category
+ * @param {string} channel - Delivery channel
+ * @returns {boolean} True if the notification should be delivered
+ */
+function wantsNotification(preferences = {}, category, channel) {
+  const prefs = preferences || {};
+  return prefs[CATEGORY_PREFERENCES[category]] !== false &&
+    prefs[CHANNEL_PREFERENCES[channel]] !== false;
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw request body
+ * @param {number} timestamp - Unix time in seconds (default now)
+ * @returns {string} Signature header value
+ */
+function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Verify a webhook signature, as a receiver would
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw request body
+ * @param {string} header - Signature header value
+ * @param {Object} options - Options
+ * @param {number} options.toleranceSeconds - Maximum signature age (default 300)
+ * @param {number} options.now - Current unix time in seconds
+ * @returns {boolean} True if the signature is valid and recent
+ */
+function verifyWebhookSignature(secret, body, header, { toleranceSeconds = 300, now = Math.floor(Date.now() / 1000) } = {}) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(part => part.split('='))
+  );
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1 || Math.abs(now - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split('v1=')[1]);
+  const actual = Buffer.from(parts.v1);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check whether an IP address is private, loopback, link-local or reserved
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if webhooks may not be sent to the address
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check whether a webhook URL names a public host. Host names are resolved
+ * again on every delivery, since DNS can change after registration.
+ * @param {string} url - Webhook URL
+ * @returns {boolean} True unless the host is localhost or a non-public IP
+ */
+function isPublicWebhookUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return false;
+  }
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return false;
+  }
+  return !isPrivateAddress(hostname);
+}
+
+/**
+ * Delay before a retry, doubling after each failed attempt
+ * @param {number} attempt - Number of attempts made so far (1-based)
+ * @param {number} baseMs - Delay after the first failure
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, baseMs) {
+  return baseMs * Math.pow(2, attempt - 1);
+}
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+  wantsNotification,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  isPrivateAddress,
+  isPublicWebhookUrl,
+  getRetryDelay
+};
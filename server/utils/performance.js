@@ -0,0 +1,296 @@
+const { getCashEffect } = require('./ledger');
+
+/**
+ * Portfolio Performance Utilities for MEAN-QUANT
+ * Value a transaction ledger day by day and measure its returns.
+ *
+ * Time-weighted return (TWR) chains daily sub-period returns so deposits and
+ * withdrawals do not count as performance. External flows are assumed to
+ * arrive at the start of the day:
+ *   r(t) = V(t) / (V(t-1) + F(t)) - 1
+ * Money-weighted return (MWR) is the internal rate of return (XIRR) of the
+ * starting value, the dated flows and the ending value, so it reflects when
+ * money was added or taken out.
+ */
+
+const PERFORMANCE_PERIODS = ['MTD', 'QTD', 'YTD', '1Y', 'ITD'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transaction types that move money into or out of the portfolio
+const EXTERNAL_FLOW_TYPES = ['deposit', 'withdrawal'];
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Share counts smaller than this are a closed position
+const SHARE_EPSILON = 1e-8;
+
+/**
+ * Value a ledger at the close of every trading day from its first
+ * transaction, or from the day after a previous valuation. Holdings are
+ * valued at the day's raw close (share counts already follow splits),
+ * carrying the last known price forward and falling back to the last trade
+ * price before a symbol's first bar.
+ * @param {Object[]} transactions - Ledger
+ * @param {Map<string, Object[]>} barsBySymbol - Bars per symbol, oldest first
+ * @param {Object} options - Options
+ * @param {Date} options.end - Last day to value (default today)
+ * @param {Object} options.initial - Valuation to continue from
+ *   ({ date, cash, positions: [{ symbol, shares, price }] })
+ * @returns {Object[]} { date, holdingsValue, cash, value, netFlow, positions } per day
+ */
+function buildDailyValuations(transactions, barsBySymbol, { end = new Date(), initial = null } = {}) {
+  const endKey = dayKey(end);
+  const initialKey = initial ? dayKey(initial.date) : null;
+  const ledger = transactions
+    .map((t, index) => ({ t, index }))
+    .filter(({ t }) => !initialKey || dayKey(t.date) > initialKey)
+    .sort((a, b) => new Date(a.t.date) - new Date(b.t.date) || a.index - b.index)
+    .map(({ t }) => t);
+
+  if (!initial && ledger.length === 0) {
+    return [];
+  }
+  const isAfterStart = (key) => (initial ? key > initialKey : key >= dayKey(ledger[0].date));
+
+  const transactionsByDay = new Map();
+  ledger.forEach(t => {
+    const key = dayKey(t.date);
+    transactionsByDay.set(key, [...(transactionsByDay.get(key) || []), t]);
+  });
+
+  const closesByDay = new Map();
+  barsBySymbol.forEach((bars, symbol) => {
+    bars.forEach(bar => {
+      const key = dayKey(bar.date);
+      if (!closesByDay.has(key)) {
+        closesByDay.set(key, new Map());
+      }
+      closesByDay.get(key).set(symbol, bar.close);
+    });
+  });
+
+  const days = [...new Set([...transactionsByDay.keys(), ...closesByDay.keys()])]
+    .filter(key => isAfterStart(key) && key <= endKey)
+    .sort();
+
+  const shares = new Map();
+  const prices = new Map();
+  let cash = initial ? initial.cash : 0;
+  (initial ? initial.positions : []).forEach(position => {
+    shares.set(position.symbol, position.shares);
+    if (position.price !== undefined && position.price !== null) {
+      prices.set(position.symbol, position.price);
+    }
+  });
+
+  return days.map(key => {
+    let netFlow = 0;
+
+    (transactionsByDay.get(key) || []).forEach(t => {
+      cash += getCashEffect(t);
+      if (EXTERNAL_FLOW_TYPES.includes(t.type)) {
+        netFlow += getCashEffect(t);
+      }
+
+      const held = shares.get(t.symbol) || 0;
+      if (t.type === 'buy') {
+        shares.set(t.symbol, held + t.shares);
+        prices.set(t.symbol, t.price);
+      } else if (t.type === 'sell') {
+        shares.set(t.symbol, held - t.shares);
+        prices.set(t.symbol, t.price);
+      } else if (t.type === 'split' && t.ratio) {
+        shares.set(t.symbol, held * t.ratio);
+        if (prices.has(t.symbol)) {
+          prices.set(t.symbol, prices.get(t.symbol) / t.ratio);
+        }
+      }
+    });
+
+    (closesByDay.get(key) || new Map()).forEach((close, symbol) => prices.set(symbol, close));
+
+    let holdingsValue = 0;
+    const positions = [];
+    shares.forEach((count, symbol) => {
+      if (Math.abs(count) < SHARE_EPSILON) {
+        return;
+      }
+      if (count > 0 && prices.has(symbol)) {
+        holdingsValue += count * prices.get(symbol);
+      }
+      positions.push({ symbol, shares: count, price: prices.get(symbol) });
+    });
+
+    return {
+      date: new Date(`${key}T00:00:00.000Z`),
+      holdingsValue,
+      cash,
+      value: holdingsValue + cash,
+      netFlow,
+      positions
+    };
+  });
+}
+
+/**
+ * Chain-linked time-weighted return
+ * @param {Object[]} valuations - Daily valuations ({ value, netFlow })
+ * @param {number} startValue - Value at the close before the first day
+ * @returns {number|null} Cumulative return, or null if nothing was invested
+ */
+function calculateTimeWeightedReturn(valuations, startValue = 0) {
+  let growth = 1;
+  let linked = false;
+  let previous = startValue;
+
+  valuations.forEach(day => {
+    const invested = previous + day.netFlow;
+    if (invested > 0) {
+      growth *= day.value / invested;
+      linked = true;
+    }
+    previous = day.value;
+  });
+
+  return linked ? growth - 1 : null;
+}
+
+/**
+ * Annual internal rate of return of dated cash flows (XIRR). Money put in is
+ * negative and money taken out (including the final value) positive.
+ * @param {Array<{ date: Date, amount: number }>} flows - Cash flows
+ * @returns {number|null} Annual rate, or null if it cannot be solved
+ */
+function calculateXIRR(flows) {
+  if (!flows.some(f => f.amount > 0) || !flows.some(f => f.amount < 0)) {
+    return null;
+  }
+
+  const t0 = new Date(flows[0].date).getTime();
+  const years = flows.map(f => (new Date(f.date).getTime() - t0) / (365 * DAY_MS));
+  const npv = (rate) => flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+  const slope = (rate) => flows.reduce((sum, f, i) => sum - years[i] * f.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+  // Newton's method, falling back to bisection if it does not converge
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const derivative = slope(rate);
+    if (!isFinite(value) || !isFinite(derivative) || derivative === 0) {
+      break;
+    }
+    const next = rate - value / derivative;
+    if (next <= -1) {
+      break;
+    }
+    if (Math.abs(next - rate) < 1e-10) {
+      return next;
+    }
+    rate = next;
+  }
+
+  let low = -0.999999;
+  let high = 1e6;
+  if (npv(low) * npv(high) > 0) {
+    return null;
+  }
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * First day of a performance period
+ * @param {string} period - MTD, QTD, YTD, 1Y or ITD
+ * @param {Date} asOf - Last day of the period
+ * @param {Date} inception - First day of the ledger
+ * @returns {Date} Start date (UTC midnight)
+ */
+function getPeriodStart(period, asOf, inception) {
+  const date = new Date(asOf);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  switch (period) {
+  case 'MTD':
+    return new Date(Date.UTC(year, month, 1));
+  case 'QTD':
+    return new Date(Date.UTC(year, month - (month % 3), 1));
+  case 'YTD':
+    return new Date(Date.UTC(year, 0, 1));
+  case '1Y':
+    return new Date(Date.UTC(year - 1, month, date.getUTCDate() + 1));
+  default:
+    return new Date(`${dayKey(inception)}T00:00:00.000Z`);
+  }
+}
+
+/**
+ * Time- and money-weighted returns over a period. Returns over a year or
+ * more are also given annualized.
+ * @param {Object[]} valuations - Output of buildDailyValuations
+ * @param {string} period - MTD, QTD, YTD, 1Y or ITD
+ * @param {Date} asOf - Last day of the period (default last valuation)
+ * @returns {Object|null} Period returns, or null without valuations in the period
+ */
+function calculatePeriodReturns(valuations, period, asOf) {
+  if (valuations.length === 0) {
+    return null;
+  }
+
+  const end = asOf ? new Date(asOf) : valuations[valuations.length - 1].date;
+  const start = getPeriodStart(period, end, valuations[0].date);
+  const before = valuations.filter(v => v.date < start);
+  const inPeriod = valuations.filter(v => v.date >= start && v.date <= end);
+  if (inPeriod.length === 0) {
+    return null;
+  }
+
+  const startValue = before.length > 0 ? before[before.length - 1].value : 0;
+  const last = inPeriod[inPeriod.length - 1];
+  // A period that starts before the first deposit starts with it
+  const from = startValue !== 0 ? start : inPeriod[0].date;
+  const days = (last.date.getTime() - from.getTime()) / DAY_MS;
+  const twr = calculateTimeWeightedReturn(inPeriod, startValue);
+
+  const flows = [];
+  if (startValue !== 0) {
+    flows.push({ date: from, amount: -startValue });
+  }
+  inPeriod.forEach(v => {
+    if (v.netFlow !== 0) {
+      flows.push({ date: v.date, amount: -v.netFlow });
+    }
+  });
+  flows.push({ date: last.date, amount: last.value });
+  const irr = days >= 1 ? calculateXIRR(flows) : null;
+
+  return {
+    period,
+    start: from,
+    end: last.date,
+    startValue,
+    endValue: last.value,
+    netFlows: inPeriod.reduce((sum, v) => sum + v.netFlow, 0),
+    twr,
+    twrAnnualized: twr !== null && days >= 365 ? Math.pow(1 + twr, 365 / days) - 1 : null,
+    mwr: irr !== null ? Math.pow(1 + irr, days / 365) - 1 : null,
+    mwrAnnualized: irr !== null && days >= 365 ? irr : null
+  };
+}
+
+module.exports = {
+  PERFORMANCE_PERIODS,
+  buildDailyValuations,
+  calculateTimeWeightedReturn,
+  calculateXIRR,
+  getPeriodStart,
+  calculatePeriodReturns
+};
@@ -0,0 +1,43 @@
+/**
+ * Role-based permissions for MEAN-QUANT
+ * Maps each User.role to the capabilities it grants
+ */
+
+const PERMISSIONS = {
+  MARKETDATA_WRITE: 'marketdata:write',
+  MARKETDATA_DELETE: 'marketdata:delete',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  AUDIT_READ: 'audit:read'
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: Object.values(PERMISSIONS)
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - User role
+ * @returns {string[]} Array of permissions (empty for unknown roles)
+ */
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if the role grants the permission
+ */
+function hasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  hasPermission
+};
@@ -0,0 +1,183 @@
+/**
+ * Price Import Utilities for MEAN-QUANT
+ * Map CSV records to price bars: resolve columns from the header row (or
+ * explicit mappings), parse dates in the configured format and validate each
+ * bar before it is stored.
+ */
+
+const PRICE_FIELDS = ['symbol', 'date', 'open', 'high', 'low', 'close', 'adjustedClose', 'volume'];
+
+// Header names recognised for each field when no mapping is given
+const COLUMN_ALIASES = {
+  symbol: ['symbol', 'ticker'],
+  date: ['date', 'timestamp', 'time', 'day'],
+  open: ['open'],
+  high: ['high'],
+  low: ['low'],
+  close: ['close', 'last'],
+  adjustedClose: ['adjustedclose', 'adjusted close', 'adjusted_close', 'adj close', 'adj_close', 'adjclose'],
+  volume: ['volume', 'vol']
+};
+
+// Fields a row must provide (symbol only when the file spans several symbols)
+const REQUIRED_FIELDS = ['date', 'open', 'high', 'low', 'close'];
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYYMMDD', 'unix', 'unix_ms'];
+
+// Day-precision formats: regex and the positions of year, month and day
+const DAY_PATTERNS = {
+  'YYYY-MM-DD': { pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/, order: [1, 2, 3] },
+  'MM/DD/YYYY': { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: [3, 1, 2] },
+  'DD/MM/YYYY': { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: [3, 2, 1] },
+  'DD.MM.YYYY': { pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, order: [3, 2, 1] },
+  'YYYYMMDD': { pattern: /^(\d{4})(\d{2})(\d{2})$/, order: [1, 2, 3] }
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Parse a date in one of DATE_FORMATS. Day formats give midnight UTC, the
+ * same as ISO dates posted to the JSON price endpoint.
+ * @param {string} value - Raw value
+ * @param {string} format - Date format (default 'YYYY-MM-DD')
+ * @returns {Date|null} Date, or null if the value does not match
+ */
+function parseDate(value, format = 'YYYY-MM-DD') {
+  const text = String(value || '').trim();
+
+  if (format === 'unix' || format === 'unix_ms') {
+    if (!/^\d+$/.test(text)) {
+      return null;
+    }
+    return new Date(parseInt(text) * (format === 'unix' ? 1000 : 1));
+  }
+
+  const spec = DAY_PATTERNS[format];
+  const match = spec && spec.pattern.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day] = spec.order.map(i => parseInt(match[i]));
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  // Reject dates that rolled over, such as 2024-02-30
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Work out which column holds each price field
+ * @param {string[]|null} header - Header row, or null for files without one
+ * @param {Object} mapping - Optional { field: header name or 0-based index }
+ * @param {Object} options - Options
+ * @param {boolean} options.requireSymbol - Whether a symbol column is needed
+ * @returns {Object} { field: column index }
+ */
+function resolveColumns(header, mapping = {}, { requireSymbol = true } = {}) {
+  const normalize = (name) => String(name).trim().toLowerCase();
+  const names = header ? header.map(normalize) : [];
+  const columns = {};
+
+  Object.keys(mapping).forEach(field => {
+    if (!PRICE_FIELDS.includes(field)) {
+      throw badRequest(`Unknown column mapping: ${field}`);
+    }
+  });
+
+  PRICE_FIELDS.forEach(field => {
+    const mapped = mapping[field];
+
+    if (mapped !== undefined && mapped !== '') {
+      const index = /^\d+$/.test(String(mapped)) ? parseInt(mapped) : names.indexOf(normalize(mapped));
+      if (index === -1 || (header && index >= header.length)) {
+        throw badRequest(`Column "${mapped}" mapped to ${field} is not in the file`);
+      }
+      columns[field] = index;
+      return;
+    }
+
+    const index = names.findIndex(name => COLUMN_ALIASES[field].includes(name));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  });
+
+  const required = requireSymbol ? ['symbol', ...REQUIRED_FIELDS] : REQUIRED_FIELDS;
+  const missing = required.filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw badRequest(`Missing column for ${missing.join(', ')}`);
+  }
+
+  return columns;
+}
+
+/**
+ * Convert a CSV record into a price bar
+ * @param {string[]} fields - Record
+ * @param {Object} columns - Column indexes from resolveColumns
+ * @param {Object} options - Options
+ * @param {string} options.dateFormat - Date format
+ * @param {string} options.symbol - Symbol for files without a symbol column
+ * @returns {Object} { symbol, bar } or { symbol, error }
+ */
+function parsePriceRow(fields, columns, { dateFormat = 'YYYY-MM-DD', symbol } = {}) {
+  const get = (field) => {
+    const index = columns[field];
+    return index === undefined || fields[index] === undefined ? '' : fields[index].trim();
+  };
+
+  const rowSymbol = (symbol || get('symbol')).toUpperCase();
+  const fail = (error) => ({ symbol: rowSymbol || null, error });
+
+  if (!rowSymbol) {
+    return fail('Missing symbol');
+  }
+  if (rowSymbol.length > 10) {
+    return fail(`Invalid symbol: ${rowSymbol}`);
+  }
+
+  const date = parseDate(get('date'), dateFormat);
+  if (!date) {
+    return fail(`Invalid date "${get('date')}" for format ${dateFormat}`);
+  }
+
+  const bar = { date };
+  for (const field of ['open', 'high', 'low', 'close', 'adjustedClose', 'volume']) {
+    const raw = get(field);
+
+    if (raw === '') {
+      if (REQUIRED_FIELDS.includes(field)) {
+        return fail(`Missing ${field}`);
+      }
+      continue;
+    }
+
+    const value = Number(raw);
+    if (!isFinite(value) || value < 0 || (field !== 'volume' && value === 0)) {
+      return fail(`Invalid ${field}: ${raw}`);
+    }
+    bar[field] = value;
+  }
+
+  if (bar.adjustedClose === undefined) {
+    bar.adjustedClose = bar.close;
+  }
+  bar.volume = Math.round(bar.volume || 0);
+
+  if (bar.high < Math.max(bar.open, bar.close, bar.low) || bar.low > Math.min(bar.open, bar.close)) {
+    return fail('high and low are inconsistent with open and close');
+  }
+
+  return { symbol: rowSymbol, bar };
+}
+
+module.exports = {
+  PRICE_FIELDS,
+  DATE_FORMATS,
+  parseDate,
+  resolveColumns,
+  parsePriceRow
+};
@@ -0,0 +1,237 @@
+/**
+ * Rebalancing Utilities for MEAN-QUANT
+ * Propose the trades that bring a portfolio back to its target weights.
+ *
+ * Target weights are per symbol or per sector and apply to the value left
+ * after the cash reserve; whatever the targets leave unallocated stays in
+ * cash. A sector's target is spread over the stocks held in it in proportion
+ * to their current value. Holdings without a target are sold.
+ */
+
+// Target weights may add up to more than 1 by this much through rounding
+const WEIGHT_EPSILON = 1e-6;
+
+// Decimal places kept in fractional share trades
+const SHARE_PRECISION = 1e8;
+
+/**
+ * Validate a set of target weights
+ * @param {Array<{ symbol: string, sector: string, weight: number }>} targets - Targets
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTargetWeights(targets) {
+  if (targets.some(t => !t.symbol === !t.sector)) {
+    return 'Each target needs either a symbol or a sector';
+  }
+  if (targets.length > 0 && targets.some(t => !t.symbol !== !targets[0].symbol)) {
+    return 'Targets must be all per symbol or all per sector';
+  }
+
+  const keys = targets.map(t => t.symbol || t.sector);
+  const duplicate = keys.find((key, i) => keys.indexOf(key) !== i);
+  if (duplicate) {
+    return `Duplicate target for ${duplicate}`;
+  }
+
+  const total = targets.reduce((sum, t) => sum + t.weight, 0);
+  if (total > 1 + WEIGHT_EPSILON) {
+    return `Target weights add up to ${total.toFixed(4)}; they must not exceed 1`;
+  }
+  return null;
+}
+
+/**
+ * Target value of each symbol
+ * @param {Object[]} targets - Target weights
+ * @param {Object[]} positions - Positions ({ symbol, sector, value })
+ * @param {number} investableValue - Value after the cash reserve
+ * @returns {Object} { values: Map of target value per symbol, warnings }
+ */
+function getTargetValues(targets, positions, investableValue) {
+  const values = new Map();
+  const warnings = [];
+
+  if (targets[0].symbol) {
+    targets.forEach(t => values.set(t.symbol, t.weight * investableValue));
+    return { values, warnings };
+  }
+
+  targets.forEach(t => {
+    const members = positions.filter(p => p.sector === t.sector);
+    if (members.length === 0) {
+      warnings.push(`No holdings in sector ${t.sector}; its target weight stays in cash`);
+      return;
+    }
+
+    const sectorValue = members.reduce((sum, p) => sum + p.value, 0);
+    members.forEach(p => {
+      const share = sectorValue > 0 ? p.value / sectorValue : 1 / members.length;
+      values.set(p.symbol, t.weight * investableValue * share);
+    });
+  });
+  return { values, warnings };
+}
+
+/**
+ * Propose rebalancing trades
+ * @param {Object} portfolio - { holdings: [{ symbol, shares }], cash }
+ * @param {Object[]} targets - Target weights (see validateTargetWeights)
+ * @param {Map<string, Object>} prices - Latest { price, date } per symbol
+ * @param {Object} options - Options
+ * @param {Map<string, string>} options.sectorBySymbol - Sector per symbol (sector targets)
+ * @param {number} options.band - Absolute drift in weight tolerated (e.g. 0.02)
+ * @param {number} options.relativeBand - Drift tolerated as a fraction of the target weight
+ * @param {number} options.minTradeValue - Smallest trade worth making
+ * @param {boolean} options.wholeShares - Trade whole shares only (default true)
+ * @param {number} options.cashReserve - Fraction of the portfolio kept in cash
+ * @param {number} options.feePerTrade - Estimated fixed fee per trade
+ * @param {number} options.feeRate - Estimated fee as a fraction of trade value
+ * @returns {Object} { totalValue, cashReserve, positions, trades, summary, warnings }
+ * @throws {Error} 400 when there are no targets or a symbol has no price
+ */
+function proposeRebalance({ holdings, cash }, targets, prices, {
+  sectorBySymbol = new Map(),
+  band = 0,
+  relativeBand = 0,
+  minTradeValue = 0,
+  wholeShares = true,
+  cashReserve = 0,
+  feePerTrade = 0,
+  feeRate = 0
+} = {}) {
+  if (!targets || targets.length === 0) {
+    throw Object.assign(new Error('Portfolio has no target weights'), { status: 400 });
+  }
+
+  const bySector = !targets[0].symbol;
+  const symbols = [...new Set([
+    ...holdings.map(h => h.symbol),
+    ...(bySector ? [] : targets.map(t => t.symbol))
+  ])];
+  const missing = symbols.filter(symbol => !prices.has(symbol));
+  if (missing.length > 0) {
+    throw Object.assign(new Error(`No price for ${missing.join(', ')}`), { status: 400 });
+  }
+
+  const positions = symbols.map(symbol => {
+    const holding = holdings.find(h => h.symbol === symbol);
+    const shares = holding ? holding.shares : 0;
+    const { price, date } = prices.get(symbol);
+    return {
+      symbol,
+      sector: bySector ? sectorBySymbol.get(symbol) || null : undefined,
+      shares,
+      price,
+      priceDate: date,
+      value: shares * price
+    };
+  });
+
+  const totalValue = positions.reduce((sum, p) => sum + p.value, 0) + cash;
+  const reserveValue = totalValue * cashReserve;
+  const { values: targetValues, warnings } = getTargetValues(targets, positions, totalValue - reserveValue);
+  const fee = (value) => feePerTrade + feeRate * value;
+  const roundShares = (shares) => (wholeShares
+    ? Math.trunc(shares)
+    : Math.round(shares * SHARE_PRECISION) / SHARE_PRECISION);
+
+  positions.forEach(p => {
+    const targetValue = targetValues.get(p.symbol) || 0;
+    p.weight = totalValue !== 0 ? p.value / totalValue : 0;
+    p.targetWeight = totalValue !== 0 ? targetValue / totalValue : 0;
+    p.drift = p.weight - p.targetWeight;
+    p.tradeShares = 0;
+
+    if (Math.abs(p.drift) <= Math.max(band, relativeBand * p.targetWeight) + WEIGHT_EPSILON) {
+      p.reason = 'Within band';
+      return;
+    }
+
+    // Selling out of a position sells every share, fractional or not
+    const shares = targetValue === 0 ? -p.shares : roundShares((targetValue - p.value) / p.price);
+    if (shares === 0) {
+      p.reason = 'Less than one share';
+    } else if (Math.abs(shares) * p.price < minTradeValue) {
+      p.reason = 'Below minimum trade';
+    } else {
+      p.tradeShares = shares;
+    }
+  });
+
+  // Buy only with the cash available after sells, fees and the reserve
+  const sells = positions.filter(p => p.tradeShares < 0);
+  const buys = positions.filter(p => p.tradeShares > 0);
+  const sellProceeds = sells.reduce((sum, p) => {
+    const value = -p.tradeShares * p.price;
+    return sum + value - fee(value);
+  }, 0);
+  const available = cash + sellProceeds - reserveValue;
+  const buyValue = buys.reduce((sum, p) => sum + p.tradeShares * p.price, 0);
+  const buyCost = buys.reduce((sum, p) => sum + p.tradeShares * p.price + fee(p.tradeShares * p.price), 0);
+
+  if (buys.length > 0 && buyCost > available) {
+    const factor = Math.max(0, available - feePerTrade * buys.length) / (buyValue * (1 + feeRate));
+    warnings.push(`Buys scaled to ${(factor * 100).toFixed(1)}% to stay within the available cash`);
+
+    buys.forEach(p => {
+      const shares = Math.max(0, wholeShares
+        ? Math.floor(p.tradeShares * factor)
+        : Math.floor(p.tradeShares * factor * SHARE_PRECISION) / SHARE_PRECISION);
+      if (shares === 0 || shares * p.price < minTradeValue) {
+        p.tradeShares = 0;
+        p.reason = 'Not enough cash';
+      } else {
+        p.tradeShares = shares;
+      }
+    });
+  }
+
+  const trades = positions
+    .filter(p => p.tradeShares !== 0)
+    .map(p => {
+      const value = Math.abs(p.tradeShares) * p.price;
+      return {
+        type: p.tradeShares < 0 ? 'sell' : 'buy',
+        symbol: p.symbol,
+        shares: Math.abs(p.tradeShares),
+        price: p.price,
+        value,
+        fees: fee(value)
+      };
+    });
+  // Sells come first so their proceeds fund the buys
+  trades.sort((a, b) => (a.type === b.type ? 0 : a.type === 'sell' ? -1 : 1));
+
+  const total = (type, key) => trades.filter(t => t.type === type).reduce((sum, t) => sum + t[key], 0);
+  const estimatedFees = trades.reduce((sum, t) => sum + t.fees, 0);
+  const cashAfter = cash + total('sell', 'value') - total('buy', 'value') - estimatedFees;
+  const valueAfter = totalValue - estimatedFees;
+
+  positions.forEach(p => {
+    p.sharesAfter = p.shares + p.tradeShares;
+    p.weightAfter = valueAfter !== 0 ? p.sharesAfter * p.price / valueAfter : 0;
+  });
+
+  return {
+    totalValue,
+    cashReserve: reserveValue,
+    positions,
+    trades,
+    summary: {
+      buys: trades.filter(t => t.type === 'buy').length,
+      sells: trades.filter(t => t.type === 'sell').length,
+      buyValue: total('buy', 'value'),
+      sellValue: total('sell', 'value'),
+      estimatedFees,
+      cashAfter,
+      cashWeightAfter: valueAfter !== 0 ? cashAfter / valueAfter : 0,
+      turnover: totalValue !== 0 ? (total('buy', 'value') + total('sell', 'value')) / 2 / totalValue : 0
+    },
+    warnings
+  };
+}
+
+module.exports = {
+  validateTargetWeights,
+  proposeRebalance
+};
@@ -0,0 +1,388 @@
+/**
+ * Tax Lot Utilities for MEAN-QUANT
+ * Choose which lots a sell closes and classify the realized gain of each.
+ *
+ * Relief methods:
+ *   FIFO: oldest lots first
+ *   LIFO: newest lots first
+ *   HIFO: highest cost per share first (oldest first on ties)
+ *   SPECIFIC: the lots (and share counts) named on the sell
+ *
+ * Wash sales: a loss on shares sold is disallowed when shares of the same
+ * symbol are bought within 30 days before or after the sale, in any of the
+ * user's portfolios. The disallowed loss moves into the basis of the
+ * replacement shares (or of their sale, if they were sold before the loss
+ * sale), and their holding period includes that of the shares sold.
+ */
+
+const LOT_METHODS = ['FIFO', 'LIFO', 'HIFO', 'SPECIFIC'];
+
+// Shares left below this are treated as zero
+const SHARE_EPSILON = 1e-8;
+
+// Days either side of a loss sale in which a purchase is a replacement
+const WASH_SALE_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cost per share of a lot including its share of the buy fees
+const getUnitCost = (lot) => lot.costPerShare + (lot.shares > 0 ? (lot.fees || 0) / lot.shares : 0);
+
+const toTime = (date) => new Date(date).getTime();
+
+/**
+ * Order lots in the sequence a relief method closes them
+ * @param {Object[]} lots - Open lots ({ shares, costPerShare, fees, acquiredAt })
+ * @param {string} method - FIFO, LIFO or HIFO
+ * @returns {Object[]} Lots in relief order
+ */
+function orderLots(lots, method) {
+  const byAge = (a, b) => toTime(a.acquiredAt) - toTime(b.acquiredAt);
+
+  switch (method) {
+  case 'LIFO':
+    return [...lots].sort((a, b) => byAge(b, a));
+  case 'HIFO':
+    return [...lots].sort((a, b) => getUnitCost(b) - getUnitCost(a) || byAge(a, b));
+  default:
+    return [...lots].sort(byAge);
+  }
+}
+
+/**
+ * Pick the lots a sell closes
+ * @param {Object[]} lots - Open lots ({ _id, shares, ... })
+ * @param {number} shares - Shares sold
+ * @param {Object} options - { method, selections: [{ lotId, shares }] for SPECIFIC }
+ * @returns {Array<{ lot: Object, shares: number }>} Shares relieved per lot
+ */
+function selectLots(lots, shares, { method = 'FIFO', selections = [] } = {}) {
+  const available = lots.reduce((sum, lot) => sum + lot.shares, 0);
+  if (shares > available + SHARE_EPSILON) {
+    throw Object.assign(
+      new Error(`Cannot sell ${shares} shares; only ${available} held`),
+      { status: 400 }
+    );
+  }
+
+  if (method === 'SPECIFIC') {
+    const selected = selections.reduce((sum, s) => sum + s.shares, 0);
+    if (Math.abs(selected - shares) > SHARE_EPSILON) {
+      throw Object.assign(
+        new Error(`Selected lots hold ${selected} shares but ${shares} are sold`),
+        { status: 400 }
+      );
+    }
+
+    return selections.map(selection => {
+      const lot = lots.find(l => String(l._id) === String(selection.lotId));
+      if (!lot) {
+        throw Object.assign(new Error(`Lot ${selection.lotId} is not open`), { status: 400 });
+      }
+      if (selection.shares > lot.shares + SHARE_EPSILON) {
+        throw Object.assign(
+          new Error(`Lot ${selection.lotId} holds only ${lot.shares} shares`),
+          { status: 400 }
+        );
+      }
+      return { lot, shares: Math.min(selection.shares, lot.shares) };
+    });
+  }
+
+  const relief = [];
+  let remaining = shares;
+  for (const lot of orderLots(lots, method)) {
+    if (remaining <= SHARE_EPSILON) {
+      break;
+    }
+    const relieved = Math.min(lot.shares, remaining);
+    relief.push({ lot, shares: relieved });
+    remaining -= relieved;
+  }
+
+  return relief;
+}
+
+/**
+ * Holding period of a lot: long-term when sold more than one year after it
+ * was acquired
+ * @param {Date} acquiredAt - Acquisition date
+ * @param {Date} soldAt - Sale date
+ * @returns {string} 'short' or 'long'
+ */
+function getHoldingTerm(acquiredAt, soldAt) {
+  const anniversary = new Date(acquiredAt);
+  anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+  return toTime(soldAt) > anniversary.getTime() ? 'long' : 'short';
+}
+
+/**
+ * Realized gain of each lot closed by a sell. Proceeds are net of the sell
+ * fees and cost basis includes the buy fees, both shared out by shares.
+ * @param {Array<{ lot: Object, shares: number }>} relief - Output of selectLots
+ * @param {Object} sell - Sell transaction ({ shares, price, fees, date })
+ * @returns {Object[]} Realized lots ({ lotId, acquiredAt, shares, proceeds, costBasis, gain, term })
+ */
+function realizeLots(relief, sell) {
+  const netPerShare = sell.price - (sell.fees || 0) / sell.shares;
+
+  return relief.map(({ lot, shares }) => {
+    const proceeds = shares * netPerShare;
+    const costBasis = shares * getUnitCost(lot);
+    return {
+      lotId: lot._id,
+      buyTransactionId: lot.transactionId,
+      acquiredAt: lot.acquiredAt,
+      shares,
+      proceeds,
+      costBasis,
+      gain: proceeds - costBasis,
+      term: getHoldingTerm(lot.acquiredAt, sell.date)
+    };
+  });
+}
+
+/**
+ * Lot-level realized gains report for the sells of one calendar year
+ * @param {Object[]} transactions - Portfolio transactions
+ * @param {number} year - Calendar year (UTC)
+ * @returns {{ lots: Object[], totals: Object }} One row per closed lot, and
+ *   proceeds, cost basis and gain totals for short-term, long-term and overall
+ */
+function buildRealizedGainsReport(transactions, year) {
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  const emptyTotals = () => ({ proceeds: 0, costBasis: 0, gain: 0 });
+  const totals = { shortTerm: emptyTotals(), longTerm: emptyTotals(), total: emptyTotals() };
+  const lots = [];
+
+  transactions
+    .filter(t => t.type === 'sell' && toTime(t.date) >= start && toTime(t.date) < end)
+    .sort((a, b) => toTime(a.date) - toTime(b.date))
+    .forEach(sell => {
+      (sell.realizedLots || []).forEach(realized => {
+        lots.push({
+          transactionId: sell._id,
+          symbol: sell.symbol,
+          soldAt: sell.date,
+          lotId: realized.lotId,
+          acquiredAt: realized.acquiredAt,
+          shares: realized.shares,
+          proceeds: realized.proceeds,
+          costBasis: realized.costBasis,
+          gain: realized.gain,
+          term: realized.term
+        });
+
+        [realized.term === 'long' ? totals.longTerm : totals.shortTerm, totals.total].forEach(bucket => {
+          bucket.proceeds += realized.proceeds;
+          bucket.costBasis += realized.costBasis;
+          bucket.gain += realized.gain;
+        });
+      });
+    });
+
+  return { lots, totals };
+}
+
+/**
+ * Per-trade tax schedule for one calendar year across a user's portfolios,
+ * with wash sales applied. Every sell is replayed in date order so losses
+ * disallowed in earlier years still raise the basis of later sales.
+ * @param {Object[]} portfolios - Portfolios ({ _id, name, transactions })
+ * @param {number} year - Calendar year (UTC)
+ * @returns {{ trades: Object[], totals: Object, adjustments: Object[] }}
+ *   One row per closed lot, totals by term, and the basis adjustments made to
+ *   replacement purchases
+ */
+function buildTaxReport(portfolios, year) {
+  const trades = [];
+  const buys = [];
+  // Split ratio after each sale; share counts are matched restated after
+  // every later split, so shares bought before a split match shares sold
+  // after it
+  const splitFactors = new Map();
+
+  portfolios.forEach(portfolio => {
+    const transactions = portfolio.transactions || [];
+    const splits = transactions.filter(t => t.type === 'split');
+    const splitFactor = (symbol, date) => splits
+      .filter(s => s.symbol === symbol && toTime(s.date) > toTime(date))
+      .reduce((factor, s) => factor * s.ratio, 1);
+
+    transactions.forEach(t => {
+      if (t.type === 'buy') {
+        const factor = splitFactor(t.symbol, t.date);
+        buys.push({
+          portfolioId: portfolio._id,
+          transactionId: t._id,
+          symbol: t.symbol,
+          date: t.date,
+          shares: t.shares,
+          factor,
+          available: t.shares * factor,
+          disposals: []
+        });
+      } else if (t.type === 'sell') {
+        (t.realizedLots || []).forEach(realized => {
+          const trade = {
+            portfolioId: portfolio._id,
+            portfolioName: portfolio.name,
+            transactionId: t._id,
+            symbol: t.symbol,
+            buyTransactionId: realized.buyTransactionId,
+            acquiredAt: realized.acquiredAt,
+            soldAt: t.date,
+            shares: realized.shares,
+            proceeds: realized.proceeds,
+            costBasis: realized.costBasis,
+            washSaleDisallowed: 0,
+            gain: realized.gain,
+            term: realized.term
+          };
+          splitFactors.set(trade, splitFactor(t.symbol, t.date));
+          trades.push(trade);
+        });
+      }
+    });
+  });
+
+  trades.sort((a, b) => toTime(a.soldAt) - toTime(b.soldAt));
+
+  // Purchases opening the lots of a sale do not replace them
+  const ownBuys = new Map();
+  trades.forEach(t => {
+    const key = String(t.transactionId);
+    ownBuys.set(key, (ownBuys.get(key) || new Set()).add(String(t.buyTransactionId)));
+  });
+
+  // Basis carried into each replacement purchase, consumed as it is sold
+  const carried = new Map();
+  const adjustments = [];
+  const buysById = new Map(buys.map(b => [String(b.transactionId), b]));
+
+  // Add basis and holding period to a sale of replacement shares
+  const applyCarry = (trade, amount, heldMs) => {
+    trade.costBasis += amount;
+    trade.gain -= amount;
+    trade.term = getHoldingTerm(toTime(trade.acquiredAt) - heldMs, trade.soldAt);
+  };
+
+  trades.forEach(trade => {
+    const key = trade.buyTransactionId ? String(trade.buyTransactionId) : null;
+    const tradeShares = trade.shares * splitFactors.get(trade);
+    let heldMs = 0;
+    let remaining = tradeShares;
+
+    if (key && carried.has(key)) {
+      for (const carry of carried.get(key)) {
+        if (remaining <= SHARE_EPSILON) {
+          break;
+        }
+        const shares = Math.min(carry.shares, remaining);
+        heldMs = Math.max(heldMs, carry.heldMs);
+        applyCarry(trade, shares * carry.perShare, heldMs);
+        carry.shares -= shares;
+        remaining -= shares;
+      }
+    }
+
+    // Shares of the purchase sold before a later loss names it as their
+    // replacement; that loss then moves into the basis of this sale
+    if (key && buysById.has(key)) {
+      buysById.get(key).disposals.push({ trade, shares: remaining, heldMs });
+    }
+
+    if (trade.gain >= 0) {
+      return;
+    }
+
+    const excluded = ownBuys.get(String(trade.transactionId));
+    const soldTime = toTime(trade.soldAt);
+    const replacements = buys
+      .filter(b => b.symbol === trade.symbol &&
+        b.available > SHARE_EPSILON &&
+        !excluded.has(String(b.transactionId)) &&
+        Math.abs(toTime(b.date) - soldTime) <= WASH_SALE_WINDOW_DAYS * DAY_MS)
+      .sort((a, b) => toTime(a.date) - toTime(b.date));
+
+    const loss = -trade.gain;
+    const carriedHeldMs = soldTime - toTime(trade.acquiredAt) + heldMs;
+    let unmatched = tradeShares;
+    for (const buy of replacements) {
+      if (unmatched <= SHARE_EPSILON) {
+        break;
+      }
+      const shares = Math.min(buy.available, unmatched);
+      const disallowed = loss * shares / tradeShares;
+      const perShare = disallowed / shares;
+
+      // Replacement shares already sold take the basis on those sales, the
+      // rest carry it until they are sold
+      let toCarry = shares;
+      buy.disposals.forEach(disposal => {
+        const applied = Math.min(disposal.shares, toCarry);
+        if (applied <= SHARE_EPSILON) {
+          return;
+        }
+        disposal.heldMs = Math.max(disposal.heldMs, carriedHeldMs);
+        applyCarry(disposal.trade, applied * perShare, disposal.heldMs);
+        disposal.shares -= applied;
+        toCarry -= applied;
+      });
+
+      const buyKey = String(buy.transactionId);
+      if (toCarry > SHARE_EPSILON) {
+        carried.set(buyKey, [...(carried.get(buyKey) || []), { shares: toCarry, perShare, heldMs: carriedHeldMs }]);
+      }
+      adjustments.push({
+        portfolioId: buy.portfolioId,
+        buyTransactionId: buy.transactionId,
+        symbol: buy.symbol,
+        boughtAt: buy.date,
+        shares: shares / buy.factor,
+        basisAdjustment: disallowed,
+        lossTransactionId: trade.transactionId
+      });
+
+      trade.washSaleDisallowed += disallowed;
+      buy.available -= shares;
+      unmatched -= shares;
+    }
+    trade.gain += trade.washSaleDisallowed;
+  });
+
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  const inYear = trades.filter(t => toTime(t.soldAt) >= start && toTime(t.soldAt) < end);
+
+  const emptyTotals = () => ({ proceeds: 0, costBasis: 0, washSaleDisallowed: 0, gain: 0 });
+  const totals = { shortTerm: emptyTotals(), longTerm: emptyTotals(), total: emptyTotals() };
+  inYear.forEach(trade => {
+    [trade.term === 'long' ? totals.longTerm : totals.shortTerm, totals.total].forEach(bucket => {
+      bucket.proceeds += trade.proceeds;
+      bucket.costBasis += trade.costBasis;
+      bucket.washSaleDisallowed += trade.washSaleDisallowed;
+      bucket.gain += trade.gain;
+    });
+  });
+
+  return {
+    trades: inYear,
+    totals,
+    adjustments: adjustments.filter(a => {
+      const time = toTime(a.boughtAt);
+      return time >= start - WASH_SALE_WINDOW_DAYS * DAY_MS && time < end + WASH_SALE_WINDOW_DAYS * DAY_MS;
+    })
+  };
+}
+
+module.exports = {
+  LOT_METHODS,
+  orderLots,
+  selectLots,
+  getHoldingTerm,
+  realizeLots,
+  buildRealizedGainsReport,
+  buildTaxReport
+};
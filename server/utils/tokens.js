@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+/**
+ * Token Utilities for MEAN-QUANT
+ * Opaque random tokens are handed to clients once and only their hashes are stored
+ */
+
+/**
+ * Generate a cryptographically random token
+ * @param {number} bytes - Number of random bytes (default 48)
+ * @returns {string} Hex encoded token
+ */
+function generateRandomToken(bytes = 48) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Parse a duration such as '15m', '12h', '30d' or a number of seconds
+ * @param {string|number} value - Duration
+ * @returns {number} Duration in milliseconds
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value * 1000;
+  }
+
+  const match = /^(\d+)\s*(s|m|h|d)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return parseInt(match[1]) * units[match[2] || 's'];
+}
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+  parseDuration
+};
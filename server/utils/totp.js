@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP Utilities for MEAN-QUANT
+ * Time-based one-time passwords per RFC 6238 (HMAC-SHA1, 30 second steps)
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random base32 secret
+ * @param {number} bytes - Number of random bytes (default 20, i.e. 160 bits)
+ * @returns {string} Base32 secret
+ */
+function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Get the time step counter for a timestamp
+ * @param {number} time - Unix time in milliseconds (default now)
+ * @param {number} stepSeconds - Step size in seconds (default 30)
+ * @returns {number} Time step counter
+ */
+function getTimeStep(time = Date.now(), stepSeconds = 30) {
+  return Math.floor(time / 1000 / stepSeconds);
+}
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {Buffer} key - Shared secret bytes
+ * @param {number} counter - Counter value
+ * @param {number} digits - Number of digits (default 6)
+ * @returns {string} Zero-padded code
+ */
+function generateHOTP(key, counter, digits = 6) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+}
+
+/**
+ * Generate the TOTP code for a secret
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Unix time in milliseconds (default now)
+ * @param {number} digits - Number of digits (default 6)
+ * @returns {string} Code
+ */
+function generateTOTP(secret, time = Date.now(), digits = 6) {
+  return generateHOTP(base32Decode(secret), getTimeStep(time), digits);
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Options
+ * @param {number} options.window - Steps accepted either side of now (default 1)
+ * @param {number} options.time - Unix time in milliseconds (default now)
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+function verifyTOTP(secret, code, { window = 1, time = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep(time);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHOTP(key, currentStep + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps and QR codes
+ * @param {Object} params - Parameters
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Account label (usually the email)
+ * @param {string} params.issuer - Issuer shown in the app (default 'MEAN-QUANT')
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri({ secret, accountName, issuer = 'MEAN-QUANT' }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: '6',
+    period: '30'
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate human-friendly one-time recovery codes
+ * @param {number} count - Number of codes (default 10)
+ * @returns {string[]} Codes formatted as xxxx-xxxx
+ */
+function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const hex = crypto.randomBytes(4).toString('hex');
+    codes.push(`${hex.slice(0, 4)}-${hex.slice(4)}`);
+  }
+  return codes;
+}
+
+/**
+ * Normalize a recovery code before hashing or comparing
+ * @param {string} code - Code as entered
+ * @returns {string} Lowercase code without spaces or dashes
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
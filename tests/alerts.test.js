@@ -0,0 +1,151 @@
+const {
+  validateAlertParams,
+  evaluateCondition,
+  isInCooldown,
+  getRequiredHistory,
+  findTrigger
+} = require('../server/utils/alerts');
+
+describe('Alert Conditions', () => {
+  const bars = (closes) => closes.map((close, i) => ({
+    date: new Date(Date.UTC(2024, 0, i + 1)),
+    close,
+    adjustedClose: close
+  }));
+
+  describe('price_cross', () => {
+    const rule = { type: 'price_cross', params: { level: 100, direction: 'above' } };
+
+    test('should fire when the close crosses the level', () => {
+      const result = evaluateCondition(rule, bars([98, 99, 101]));
+
+      expect(result.met).toBe(true);
+      expect(result.value).toBe(101);
+      expect(result.message).toContain('above 100');
+    });
+
+    test('should not fire while the price stays above the level', () => {
+      expect(evaluateCondition(rule, bars([99, 101, 102])).met).toBe(false);
+    });
+
+    test('should support crossing below', () => {
+      const below = { type: 'price_cross', params: { level: 100, direction: 'below' } };
+
+      expect(evaluateCondition(below, bars([101, 99])).met).toBe(true);
+      expect(evaluateCondition(below, bars([99, 98])).met).toBe(false);
+    });
+  });
+
+  describe('percent_move', () => {
+    test('should fire on a large move in either direction', () => {
+      const rule = { type: 'percent_move', params: { percent: 5 } };
+
+      expect(evaluateCondition(rule, bars([100, 94])).met).toBe(true);
+      expect(evaluateCondition(rule, bars([100, 106])).met).toBe(true);
+      expect(evaluateCondition(rule, bars([100, 103])).met).toBe(false);
+    });
+
+    test('should respect the direction', () => {
+      const rule = { type: 'percent_move', params: { percent: 5, direction: 'up' } };
+
+      expect(evaluateCondition(rule, bars([100, 94])).met).toBe(false);
+      expect(evaluateCondition(rule, bars([100, 106])).value).toBeCloseTo(6, 10);
+    });
+  });
+
+  describe('rsi', () => {
+    test('should fire when RSI crosses below the threshold', () => {
+      const closes = [];
+      for (let i = 0; i < 20; i++) {
+        closes.push(100 + (i % 2 === 0 ? 1 : -1));
+      }
+      closes.push(90, 80);
+      const rule = { type: 'rsi', params: { period: 14, threshold: 30, direction: 'below' } };
+      const series = bars(closes);
+
+      expect(evaluateCondition(rule, series, series.length - 3).met).toBe(false);
+      const result = findTrigger(rule, series, [series.length - 2, series.length - 1]);
+      expect(result).not.toBeNull();
+      expect(result.value).toBeLessThan(30);
+    });
+
+    test('should not fire without enough history', () => {
+      const rule = { type: 'rsi', params: { threshold: 30, direction: 'below' } };
+
+      expect(evaluateCondition(rule, bars([100, 90, 80])).met).toBe(false);
+    });
+  });
+
+  describe('sma_cross', () => {
+    const rule = { type: 'sma_cross', params: { fastPeriod: 2, slowPeriod: 4, direction: 'above' } };
+
+    test('should fire on a golden cross', () => {
+      const result = evaluateCondition(rule, bars([10, 9, 8, 7, 12]));
+
+      expect(result.met).toBe(true);
+      expect(result.value).toBeGreaterThan(0);
+    });
+
+    test('should need slowPeriod + 1 bars', () => {
+      expect(evaluateCondition(rule, bars([8, 7, 12])).met).toBe(false);
+    });
+  });
+
+  describe('findTrigger', () => {
+    test('should return the first new bar that fires', () => {
+      const rule = { type: 'price_cross', params: { level: 100, direction: 'above' } };
+      const series = bars([99, 101, 99, 102]);
+
+      const trigger = findTrigger(rule, series, [3, 1, 2]);
+
+      expect(trigger.index).toBe(1);
+      expect(trigger.bar.close).toBe(101);
+    });
+
+    test('should return null when nothing fires', () => {
+      const rule = { type: 'price_cross', params: { level: 200, direction: 'above' } };
+
+      expect(findTrigger(rule, bars([99, 101]), [1])).toBeNull();
+    });
+  });
+
+  describe('isInCooldown', () => {
+    const now = new Date('2024-01-01T12:00:00Z');
+
+    test('should be false for rules that never fired', () => {
+      expect(isInCooldown({ cooldownMinutes: 60 }, now)).toBe(false);
+    });
+
+    test('should compare the last trigger with the cooldown', () => {
+      const rule = { cooldownMinutes: 60, lastTriggeredAt: new Date('2024-01-01T11:30:00Z') };
+
+      expect(isInCooldown(rule, now)).toBe(true);
+      expect(isInCooldown(rule, new Date('2024-01-01T12:31:00Z'))).toBe(false);
+    });
+  });
+
+  describe('getRequiredHistory', () => {
+    test('should cover the warm-up of each indicator', () => {
+      expect(getRequiredHistory({ type: 'price_cross', params: { level: 1 } })).toBe(1);
+      expect(getRequiredHistory({ type: 'rsi', params: { period: 14 } })).toBe(250);
+      expect(getRequiredHistory({ type: 'rsi', params: { period: 40 } })).toBe(400);
+      expect(getRequiredHistory({ type: 'sma_cross', params: { fastPeriod: 50, slowPeriod: 200 } })).toBe(200);
+    });
+  });
+
+  describe('validateAlertParams', () => {
+    test('should accept valid parameters', () => {
+      expect(validateAlertParams('price_cross', { level: 100, direction: 'below' })).toBeNull();
+      expect(validateAlertParams('rsi', { threshold: 70 })).toBeNull();
+      expect(validateAlertParams('sma_cross', { fastPeriod: 50, slowPeriod: 200 })).toBeNull();
+    });
+
+    test('should reject missing or inconsistent parameters', () => {
+      expect(validateAlertParams('price_cross', {})).toMatch(/level/);
+      expect(validateAlertParams('percent_move', { percent: 5, direction: 'sideways' })).toMatch(/direction/);
+      expect(validateAlertParams('rsi', { threshold: 120 })).toMatch(/threshold/);
+      expect(validateAlertParams('sma_cross', { fastPeriod: 200, slowPeriod: 50 })).toMatch(/shorter/);
+      expect(validateAlertParams('volume', {})).toMatch(/Unknown/);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { getGroupName, groupAllocation } = require('../server/utils/allocation');
+
+describe('Allocation', () => {
+  const stocksBySymbol = new Map([
+    ['AAPL', { symbol: 'AAPL', sector: 'Technology', exchange: 'NASDAQ', metadata: { country: 'US' } }],
+    ['MSFT', { symbol: 'MSFT', sector: 'Technology', exchange: 'NASDAQ', metadata: { country: 'US' } }],
+    ['SAP', { symbol: 'SAP', exchange: 'XETRA', metadata: { country: 'DE' } }]
+  ]);
+
+  const allocation = [
+    { symbol: 'AAPL', value: 3000, percentage: 30, stale: false },
+    { symbol: 'MSFT', value: 2000, percentage: 20, stale: true },
+    { symbol: 'SAP', value: 1000, percentage: 10, stale: false },
+    { symbol: 'XYZ', value: 500, percentage: 5, stale: false },
+    { symbol: 'CASH', value: 3500, percentage: 35 }
+  ];
+
+  describe('getGroupName', () => {
+    test('should read the field from the stock or its metadata', () => {
+      expect(getGroupName(stocksBySymbol.get('AAPL'), 'sector')).toBe('Technology');
+      expect(getGroupName(stocksBySymbol.get('SAP'), 'country')).toBe('DE');
+      expect(getGroupName(stocksBySymbol.get('SAP'), 'industry')).toBe('Unclassified');
+      expect(getGroupName(undefined, 'exchange')).toBe('Unclassified');
+    });
+  });
+
+  describe('groupAllocation', () => {
+    test('should sum values by group, largest first', () => {
+      const groups = groupAllocation(allocation, stocksBySymbol, 'sector');
+
+      expect(groups.map(g => [g.name, g.value, g.percentage, g.symbols])).toEqual([
+        ['Technology', 5000, 50, ['AAPL', 'MSFT']],
+        ['Cash', 3500, 35, []],
+        ['Unclassified', 1500, 15, ['SAP', 'XYZ']]
+      ]);
+      expect(groups[0].stale).toBe(true);
+      expect(groups[2].stale).toBe(false);
+    });
+
+    test('should group by country', () => {
+      const groups = groupAllocation(allocation, stocksBySymbol, 'country');
+
+      expect(groups.map(g => g.name)).toEqual(['US', 'Cash', 'DE', 'Unclassified']);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  CASH_SECTOR,
+  calculateBrinsonFachler,
+  buildSectorAttribution
+} = require('../server/utils/attribution');
+
+describe('Performance Attribution', () => {
+  const date = (s) => new Date(`${s}T00:00:00.000Z`);
+
+  describe('calculateBrinsonFachler', () => {
+    test('should split the active return into allocation, selection and interaction', () => {
+      const result = calculateBrinsonFachler(
+        new Map([['Tech', { weight: 0.6, return: 0.2 }], ['Energy', { weight: 0.4, return: 0 }]]),
+        new Map([['Tech', { weight: 0.5, return: 0.1 }], ['Energy', { weight: 0.5, return: 0.05 }]])
+      );
+
+      expect(result.portfolioReturn).toBeCloseTo(0.12);
+      expect(result.benchmarkReturn).toBeCloseTo(0.075);
+      const tech = result.sectors.get('Tech');
+      expect(tech.allocation).toBeCloseTo(0.0025);
+      expect(tech.selection).toBeCloseTo(0.05);
+      expect(tech.interaction).toBeCloseTo(0.01);
+      const energy = result.sectors.get('Energy');
+      expect(energy.allocation).toBeCloseTo(0.0025);
+      expect(energy.selection).toBeCloseTo(-0.025);
+      expect(energy.interaction).toBeCloseTo(0.005);
+    });
+
+    test('should give a sector the portfolio does not hold only an allocation effect', () => {
+      const result = calculateBrinsonFachler(
+        new Map([['Tech', { weight: 1, return: 0.1 }]]),
+        new Map([['Tech', { weight: 0.5, return: 0.1 }], ['Energy', { weight: 0.5, return: 0 }]])
+      );
+
+      const energy = result.sectors.get('Energy');
+      expect(energy.allocation).toBeCloseTo(0.025);
+      expect(energy.selection).toBeCloseTo(0);
+      expect(energy.interaction).toBeCloseTo(0);
+    });
+  });
+
+  describe('buildSectorAttribution', () => {
+    const barsBySymbol = new Map([
+      ['AAA', [
+        { date: date('2024-01-02'), adjustedClose: 100 },
+        { date: date('2024-01-03'), adjustedClose: 110 },
+        { date: date('2024-01-04'), adjustedClose: 121 }
+      ]],
+      ['BBB', [
+        { date: date('2024-01-02'), adjustedClose: 50 },
+        { date: date('2024-01-03'), adjustedClose: 50 },
+        { date: date('2024-01-04'), adjustedClose: 55 }
+      ]]
+    ]);
+    const sectorBySymbol = new Map([['AAA', 'Tech'], ['BBB', 'Energy']]);
+    const benchmarkWeights = new Map([['AAA', 1], ['BBB', 1]]);
+
+    test('should link daily effects so they sum to the active return', () => {
+      const valuations = [
+        { date: date('2024-01-02'), value: 1000, cash: 0, positions: [{ symbol: 'AAA', shares: 10, price: 100 }] },
+        { date: date('2024-01-03'), value: 1100, cash: 0, positions: [{ symbol: 'AAA', shares: 10, price: 110 }] },
+        { date: date('2024-01-04'), value: 1210, cash: 0, positions: [{ symbol: 'AAA', shares: 10, price: 121 }] }
+      ];
+
+      const result = buildSectorAttribution(valuations, { benchmarkWeights, barsBySymbol, sectorBySymbol });
+
+      expect(result.days).toBe(2);
+      expect(result.portfolioReturn).toBeCloseTo(0.21);
+      expect(result.benchmarkReturn).toBeCloseTo(0.155);
+      expect(result.totals.allocation).toBeCloseTo(0.055);
+      expect(result.totals.selection).toBeCloseTo(0);
+      expect(result.totals.interaction).toBeCloseTo(0);
+
+      const tech = result.sectors.find(s => s.sector === 'Tech');
+      expect(tech.portfolioWeight).toBe(1);
+      expect(tech.benchmarkWeight).toBeCloseTo(0.5);
+      expect(tech.portfolioReturn).toBeCloseTo(0.21);
+      expect(tech.allocation).toBeCloseTo(0.0275);
+    });
+
+    test('should treat cash as a sector earning nothing', () => {
+      const valuations = [
+        { date: date('2024-01-02'), value: 2000, cash: 1000, positions: [{ symbol: 'BBB', shares: 20, price: 50 }] },
+        { date: date('2024-01-03'), value: 2000, cash: 1000, positions: [{ symbol: 'BBB', shares: 20, price: 50 }] },
+        { date: date('2024-01-04'), value: 2100, cash: 1000, positions: [{ symbol: 'BBB', shares: 20, price: 55 }] }
+      ];
+
+      const result = buildSectorAttribution(valuations, { benchmarkWeights, barsBySymbol, sectorBySymbol });
+      const effects = result.totals.allocation + result.totals.selection + result.totals.interaction;
+
+      expect(result.sectors.map(s => s.sector)).toContain(CASH_SECTOR);
+      expect(result.portfolioReturn).toBeCloseTo(0.05);
+      expect(effects).toBeCloseTo(result.activeReturn);
+    });
+  });
+});
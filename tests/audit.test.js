@@ -0,0 +1,81 @@
+const AuditEvent = require('../server/models/AuditEvent');
+const { diff, snapshot, recordAuditEvent } = require('../server/services/audit');
+
+jest.mock('../server/models/AuditEvent', () => ({
+  create: jest.fn()
+}));
+
+describe('Audit Service', () => {
+  describe('diff', () => {
+    test('should report only changed fields', () => {
+      const changes = diff(
+        { name: 'Growth', cashBalance: 1000, isPublic: false },
+        { name: 'Growth', cashBalance: 2500, isPublic: false }
+      );
+
+      expect(changes).toEqual({ cashBalance: { before: 1000, after: 2500 } });
+    });
+
+    test('should return null when nothing changed', () => {
+      expect(diff({ a: 1 }, { a: 1 })).toBeNull();
+    });
+
+    test('should treat missing snapshots as empty', () => {
+      expect(diff(null, { name: 'New' })).toEqual({ name: { before: null, after: 'New' } });
+      expect(diff({ name: 'Old' }, null)).toEqual({ name: { before: 'Old', after: null } });
+    });
+
+    test('should compare dates by value', () => {
+      expect(diff(
+        { at: new Date('2024-01-01') },
+        { at: new Date('2024-01-01') }
+      )).toBeNull();
+    });
+  });
+
+  describe('snapshot', () => {
+    test('should copy the listed fields only', () => {
+      expect(snapshot({ a: 1, b: 2, c: 3 }, ['a', 'c', 'd'])).toEqual({ a: 1, c: 3, d: null });
+    });
+  });
+
+  describe('recordAuditEvent', () => {
+    const req = {
+      ip: '10.0.0.1',
+      get: () => 'jest',
+      user: { _id: 'u1', email: 'a@example.com' },
+      auth: { method: 'jwt' }
+    };
+
+    test('should record actor, request details and diff', async () => {
+      AuditEvent.create.mockResolvedValueOnce({ _id: 'e1' });
+
+      await recordAuditEvent(req, {
+        action: 'portfolio.update',
+        targetType: 'Portfolio',
+        targetId: 'p1',
+        before: { cashBalance: 1 },
+        after: { cashBalance: 2 }
+      });
+
+      expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'portfolio.update',
+        actorId: 'u1',
+        actorEmail: 'a@example.com',
+        authMethod: 'jwt',
+        ip: '10.0.0.1',
+        userAgent: 'jest',
+        targetId: 'p1',
+        changes: { cashBalance: { before: 1, after: 2 } }
+      }));
+    });
+
+    test('should not throw when recording fails', async () => {
+      AuditEvent.create.mockRejectedValueOnce(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(recordAuditEvent(req, { action: 'auth.login' })).resolves.toBeNull();
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,304 @@
+const jwt = require('jsonwebtoken');
+const User = require('../server/models/User');
+const ApiKey = require('../server/models/ApiKey');
+const {
+  getJwtSecret,
+  createAuthenticator,
+  authenticateToken,
+  authenticateJwt,
+  requirePermission,
+  requireOwnership
+} = require('../server/middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../server/utils/permissions');
+
+jest.mock('../server/models/User', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../server/models/ApiKey', () => ({
+  findByKey: jest.fn()
+}));
+
+// Minimal user document double
+const mockUser = (overrides = {}) => ({
+  _id: 'user-1',
+  role: 'user',
+  isActive: true,
+  tokenVersion: 0,
+  passwordChangedAt: null,
+  changedPasswordAfter(iat) {
+    return Boolean(this.passwordChangedAt) && iat * 1000 < this.passwordChangedAt.getTime();
+  },
+  ...overrides
+});
+
+// Minimal API key document double
+const mockApiKey = (overrides = {}) => ({
+  _id: 'key-1',
+  userId: 'user-1',
+  scope: 'read',
+  isActive: true,
+  recordUsage: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+// Minimal Express response double
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Auth Middleware', () => {
+  describe('authenticateToken', () => {
+    test('should set userId for a valid Bearer token', async () => {
+      User.findById.mockResolvedValueOnce(mockUser());
+      const token = jwt.sign({ userId: 'user-1', tokenVersion: 0 }, getJwtSecret());
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.userId).toBe('user-1');
+      expect(req.user.role).toBe('user');
+    });
+
+    test('should reject tokens of deactivated users', async () => {
+      User.findById.mockResolvedValueOnce(mockUser({ isActive: false }));
+      const token = jwt.sign({ userId: 'user-1' }, getJwtSecret());
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should reject tokens issued before a password change', async () => {
+      const iat = Math.floor(Date.now() / 1000) - 60;
+      User.findById.mockResolvedValueOnce(mockUser({ passwordChangedAt: new Date() }));
+      const token = jwt.sign({ userId: 'user-1', iat }, getJwtSecret());
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        error: { message: 'Password changed, please log in again', status: 401 }
+      });
+    });
+
+    test('should reject tokens from a revoked token version', async () => {
+      User.findById.mockResolvedValueOnce(mockUser({ tokenVersion: 2 }));
+      const token = jwt.sign({ userId: 'user-1', tokenVersion: 1 }, getJwtSecret());
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        error: { message: 'Token has been revoked', status: 401 }
+      });
+    });
+
+    test('should reject a missing token with 401', async () => {
+      const req = { headers: {} };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: { message: 'Access token or API key is required', status: 401 }
+      });
+    });
+
+    test('should reject a token signed with another secret with 401', async () => {
+      const token = jwt.sign({ userId: 'user-1' }, 'some-other-secret');
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should reject a non-Bearer scheme', async () => {
+      const req = { headers: { authorization: 'Basic dXNlcjpwYXNz' } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('API key authentication', () => {
+    test('should authenticate with a valid API key and record usage', async () => {
+      const apiKey = mockApiKey({ scope: 'trade' });
+      ApiKey.findByKey.mockResolvedValueOnce(apiKey);
+      User.findById.mockResolvedValueOnce(mockUser());
+      const req = { method: 'POST', ip: '127.0.0.1', headers: { 'x-api-key': 'mq_abc_def' } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.userId).toBe('user-1');
+      expect(req.auth).toEqual({ method: 'apiKey', apiKey });
+      expect(apiKey.recordUsage).toHaveBeenCalledWith('127.0.0.1');
+    });
+
+    test('should reject writes with a read-scoped key', async () => {
+      ApiKey.findByKey.mockResolvedValueOnce(mockApiKey());
+      User.findById.mockResolvedValueOnce(mockUser());
+      const req = { method: 'DELETE', headers: { 'x-api-key': 'mq_abc_def' } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should let read-scoped keys use routes that allow them', async () => {
+      ApiKey.findByKey.mockResolvedValueOnce(mockApiKey());
+      User.findById.mockResolvedValueOnce(mockUser());
+      const req = { method: 'POST', headers: { 'x-api-key': 'mq_abc_def' } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await createAuthenticator({ readScopeAllowed: true })(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should reject revoked keys with 401', async () => {
+      ApiKey.findByKey.mockResolvedValueOnce(mockApiKey({ isActive: false }));
+      const req = { method: 'GET', headers: { 'x-api-key': 'mq_abc_def' } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should ignore API keys where only JWTs are accepted', async () => {
+      const req = { method: 'GET', headers: { 'x-api-key': 'mq_abc_def' } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateJwt(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        error: { message: 'Access token is required', status: 401 }
+      });
+    });
+  });
+
+  describe('requireOwnership', () => {
+    const Model = {
+      modelName: 'Portfolio',
+      findById: jest.fn()
+    };
+
+    test('should attach the document when owned by the user', async () => {
+      const doc = { _id: 'p1', userId: 'user-1' };
+      Model.findById.mockResolvedValueOnce(doc);
+      const req = { params: { id: 'p1' }, userId: 'user-1' };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await requireOwnership(Model, { key: 'portfolio' })(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.portfolio).toBe(doc);
+    });
+
+    test('should respond 403 when owned by another user', async () => {
+      Model.findById.mockResolvedValueOnce({ _id: 'p1', userId: 'user-2' });
+      const req = { params: { id: 'p1' }, userId: 'user-1' };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await requireOwnership(Model)(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should respond 404 when the document does not exist', async () => {
+      Model.findById.mockResolvedValueOnce(null);
+      const req = { params: { id: 'p1' }, userId: 'user-1' };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await requireOwnership(Model)(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({
+        error: { message: 'Portfolio not found', status: 404 }
+      });
+    });
+  });
+
+  describe('requirePermission', () => {
+    test('should allow a role that grants the permission', async () => {
+      User.findById.mockResolvedValueOnce({ _id: 'user-1', role: 'admin' });
+      const req = { userId: 'user-1' };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await requirePermission(PERMISSIONS.MARKETDATA_WRITE)(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user.role).toBe('admin');
+    });
+
+    test('should respond 403 naming the missing permission', async () => {
+      User.findById.mockResolvedValueOnce({ _id: 'user-1', role: 'user' });
+      const req = { userId: 'user-1' };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await requirePermission(PERMISSIONS.MARKETDATA_DELETE)(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        error: {
+          message: 'Missing required permission: marketdata:delete',
+          status: 403,
+          permission: 'marketdata:delete'
+        }
+      });
+    });
+  });
+
+  describe('hasPermission', () => {
+    test('should grant admins every permission', () => {
+      Object.values(PERMISSIONS).forEach(permission => {
+        expect(hasPermission('admin', permission)).toBe(true);
+      });
+    });
+
+    test('should deny unknown roles', () => {
+      expect(hasPermission('guest', PERMISSIONS.USERS_READ)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const quantAnalysis = require('../server/utils/quantAnalysis');
+const {
+  alignBenchmarkReturns,
+  pairTradingDayReturns,
+  calculateCaptureRatios,
+  buildBenchmarkComparison
+} = require('../server/utils/benchmark');
+
+describe('Benchmark Comparison', () => {
+  const date = (s) => new Date(`${s}T00:00:00.000Z`);
+
+  // Deposits of 1000 on the 2nd and the 4th
+  const valuations = [
+    { date: date('2024-01-02'), value: 1000, netFlow: 1000 },
+    { date: date('2024-01-03'), value: 1100, netFlow: 0 },
+    { date: date('2024-01-04'), value: 2200, netFlow: 1000 },
+    { date: date('2024-01-05'), value: 2090, netFlow: 0 }
+  ];
+  // No benchmark bar on the 4th
+  const bars = [
+    { date: date('2024-01-01'), adjustedClose: 100 },
+    { date: date('2024-01-02'), adjustedClose: 100 },
+    { date: date('2024-01-03'), adjustedClose: 105 },
+    { date: date('2024-01-05'), adjustedClose: 100.8 }
+  ];
+
+  describe('alignBenchmarkReturns', () => {
+    test('should pair daily returns, carrying the benchmark forward', () => {
+      const aligned = alignBenchmarkReturns(valuations, bars);
+
+      expect(aligned.map(a => a.benchmarkLevel)).toEqual([100, 105, 105, 100.8]);
+      [0, 0.1, 2200 / 2100 - 1, -0.05].forEach((r, i) => expect(aligned[i].portfolioReturn).toBeCloseTo(r));
+      [0, 0.05, 0, -0.04].forEach((r, i) => expect(aligned[i].benchmarkReturn).toBeCloseTo(r));
+    });
+
+    test('should leave returns without a previous close null', () => {
+      const aligned = alignBenchmarkReturns(valuations, bars.slice(2));
+
+      expect(aligned.map(a => a.benchmarkReturn)).toEqual([null, null, 0, expect.any(Number)]);
+    });
+  });
+
+  describe('pairTradingDayReturns', () => {
+    test('should pair returns on the benchmark trading days', () => {
+      const { portfolioReturns, benchmarkReturns } = pairTradingDayReturns(alignBenchmarkReturns(valuations, bars), bars);
+
+      // The 4th has no benchmark bar, so it is compounded into the 5th
+      [0, 0.1, (2200 / 2100) * 0.95 - 1].forEach((r, i) => expect(portfolioReturns[i]).toBeCloseTo(r));
+      [0, 0.05, -0.04].forEach((r, i) => expect(benchmarkReturns[i]).toBeCloseTo(r));
+    });
+
+    test('should count trading days without a valuation as flat for the portfolio', () => {
+      const sparse = [
+        { date: date('2024-01-02'), value: 1000, netFlow: 1000 },
+        { date: date('2024-01-05'), value: 1100, netFlow: 0 }
+      ];
+      const dailyBars = ['01', '02', '03', '04', '05'].map((d, i) => ({
+        date: date(`2024-01-${d}`),
+        adjustedClose: 100 + i
+      }));
+
+      const { portfolioReturns, benchmarkReturns } = pairTradingDayReturns(alignBenchmarkReturns(sparse, dailyBars), dailyBars);
+
+      expect(portfolioReturns).toHaveLength(4);
+      [0, 0, 0, 0.1].forEach((r, i) => expect(portfolioReturns[i]).toBeCloseTo(r));
+      expect(benchmarkReturns[3]).toBeCloseTo(104 / 103 - 1);
+    });
+  });
+
+  describe('calculateCaptureRatios', () => {
+    test('should compare geometric mean returns on up and down days', () => {
+      const ratios = calculateCaptureRatios([0.1, -0.05, 0.02], [0.05, -0.04, 0]);
+
+      expect(ratios.upCapture).toBeCloseTo(2);
+      expect(ratios.downCapture).toBeCloseTo(1.25);
+      expect(calculateCaptureRatios([0.01], [0.02]).downCapture).toBeNull();
+    });
+  });
+
+  describe('buildBenchmarkComparison', () => {
+    test('should invest the same flows in the benchmark', () => {
+      const { curve } = buildBenchmarkComparison(valuations, bars);
+
+      expect(curve.map(c => c.benchmarkValue)).toEqual([
+        1000,
+        1050,
+        expect.closeTo(2050),
+        expect.closeTo((10 + 1000 / 105) * 100.8)
+      ]);
+      expect(curve[3].portfolioIndex).toBeCloseTo(1.1 * (2200 / 2100) * 0.95);
+      expect(curve[3].benchmarkIndex).toBeCloseTo(1.008);
+    });
+
+    test('should compute relative statistics from trading day returns', () => {
+      const portfolioReturns = [0, 0.1, (2200 / 2100) * 0.95 - 1];
+      const benchmarkReturns = [0, 0.05, -0.04];
+
+      const { statistics } = buildBenchmarkComparison(valuations, bars);
+
+      expect(statistics.days).toBe(3);
+      expect(statistics.activeReturn).toBeCloseTo(1.1 * (2200 / 2100) * 0.95 - 1.008);
+      expect(statistics.trackingError).toBeCloseTo(
+        quantAnalysis.calculateVolatility(portfolioReturns.map((r, i) => r - benchmarkReturns[i]))
+      );
+      expect(statistics.beta).toBeCloseTo(quantAnalysis.calculateBeta(portfolioReturns, benchmarkReturns));
+      expect(statistics.upCapture).toBeCloseTo(2);
+      expect(statistics.downCapture).toBeCloseTo(portfolioReturns[2] / -0.04);
+    });
+
+    test('should report active return by period', () => {
+      const { periods } = buildBenchmarkComparison(valuations, bars, { periods: ['ITD', 'MTD'] });
+
+      expect(periods.ITD.portfolioReturn).toBeCloseTo(1.1 * (2200 / 2100) * 0.95 - 1);
+      expect(periods.ITD.benchmarkReturn).toBeCloseTo(0.008);
+      expect(periods.ITD.activeReturn).toBeCloseTo(periods.ITD.portfolioReturn - 0.008);
+      expect(periods.MTD.start).toEqual(date('2024-01-02'));
+    });
+
+    test('should restrict the curve and statistics to the start date', () => {
+      const { curve, statistics } = buildBenchmarkComparison(valuations, bars, { start: date('2024-01-03') });
+
+      expect(curve).toHaveLength(3);
+      expect(curve[2].benchmarkIndex).toBeCloseTo(1.008);
+      expect(statistics.days).toBe(2);
+    });
+  });
+});
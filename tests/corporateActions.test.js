@@ -0,0 +1,143 @@
+const CorporateAction = require('../server/models/CorporateAction');
+const PriceBar = require('../server/models/PriceBar');
+const priceHistory = require('../server/services/priceHistory');
+const {
+  validateCorporateAction,
+  getPriceFactor,
+  computeAdjustedCloses
+} = require('../server/utils/corporateActions');
+const { recomputeAdjustedCloses, refreshAdjustedCloses } = require('../server/services/corporateActions');
+
+jest.mock('../server/models/CorporateAction', () => ({
+  find: jest.fn(),
+  exists: jest.fn()
+}));
+
+jest.mock('../server/models/PriceBar', () => ({
+  bulkWrite: jest.fn()
+}));
+
+jest.mock('../server/services/priceHistory', () => ({
+  getBars: jest.fn()
+}));
+
+const day = (d) => new Date(Date.UTC(2024, 0, d));
+
+// Bars on consecutive days with the given raw closes
+const makeBars = (closes) => closes.map((close, i) => ({ date: day(i + 1), close, adjustedClose: close }));
+
+describe('Corporate Actions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateCorporateAction', () => {
+    test('should accept valid actions', () => {
+      expect(validateCorporateAction({ type: 'split', ratio: 2 })).toBeNull();
+      expect(validateCorporateAction({ type: 'split', ratio: 0.1 })).toBeNull();
+      expect(validateCorporateAction({ type: 'cash_dividend', amount: 0.24 })).toBeNull();
+      expect(validateCorporateAction({ type: 'spin_off', valueRatio: 0.2, ratio: 0.5 })).toBeNull();
+    });
+
+    test('should reject invalid actions', () => {
+      expect(validateCorporateAction({ type: 'split', ratio: 1 })).toMatch(/ratio/);
+      expect(validateCorporateAction({ type: 'split' })).toMatch(/ratio/);
+      expect(validateCorporateAction({ type: 'cash_dividend', amount: 0 })).toMatch(/amount/);
+      expect(validateCorporateAction({ type: 'spin_off', valueRatio: 1 })).toMatch(/valueRatio/);
+      expect(validateCorporateAction({ type: 'spin_off', valueRatio: 0.2, ratio: -1 })).toMatch(/ratio/);
+      expect(validateCorporateAction({ type: 'merger' })).toMatch(/Unknown/);
+    });
+  });
+
+  describe('getPriceFactor', () => {
+    test('should derive factors per action type', () => {
+      expect(getPriceFactor({ type: 'split', ratio: 4 }, 100)).toBe(0.25);
+      expect(getPriceFactor({ type: 'cash_dividend', amount: 2 }, 100)).toBeCloseTo(0.98);
+      expect(getPriceFactor({ type: 'spin_off', valueRatio: 0.3 }, 100)).toBeCloseTo(0.7);
+    });
+
+    test('should not apply a dividend without a sensible previous close', () => {
+      expect(getPriceFactor({ type: 'cash_dividend', amount: 2 }, null)).toBeNull();
+      expect(getPriceFactor({ type: 'cash_dividend', amount: 120 }, 100)).toBeNull();
+    });
+  });
+
+  describe('computeAdjustedCloses', () => {
+    test('should leave prices unadjusted without actions', () => {
+      const result = computeAdjustedCloses(makeBars([10, 11, 12]), []);
+      expect(result.adjustedCloses).toEqual([10, 11, 12]);
+    });
+
+    test('should divide prices before a split by the ratio', () => {
+      const split = { type: 'split', ratio: 2, exDate: day(3) };
+      const result = computeAdjustedCloses(makeBars([100, 102, 51, 52]), [split]);
+
+      expect(result.adjustedCloses).toEqual([50, 51, 51, 52]);
+      expect(result.applied).toEqual([split]);
+    });
+
+    test('should scale prices before a dividend by the close before the ex-date', () => {
+      const dividend = { type: 'cash_dividend', amount: 1, exDate: day(3) };
+      const result = computeAdjustedCloses(makeBars([40, 50, 49]), [dividend]);
+
+      expect(result.adjustedCloses).toEqual([39.2, 49, 49]);
+    });
+
+    test('should compound actions backwards through the history', () => {
+      const actions = [
+        { type: 'spin_off', valueRatio: 0.25, exDate: day(2) },
+        { type: 'split', ratio: 2, exDate: day(3) }
+      ];
+      const result = computeAdjustedCloses(makeBars([80, 60, 30]), actions);
+
+      expect(result.adjustedCloses).toEqual([30, 30, 30]);
+      expect(result.applied).toHaveLength(2);
+    });
+
+    test('should hold back actions dated after the last bar', () => {
+      const split = { type: 'split', ratio: 2, exDate: day(10) };
+      const result = computeAdjustedCloses(makeBars([10, 11]), [split]);
+
+      expect(result.adjustedCloses).toEqual([10, 11]);
+      expect(result.pending).toEqual([split]);
+    });
+
+    test('should skip actions without a bar before the ex-date', () => {
+      const early = { type: 'split', ratio: 2, exDate: day(1) };
+      const huge = { type: 'cash_dividend', amount: 500, exDate: day(2) };
+      const result = computeAdjustedCloses(makeBars([10, 11]), [early, huge]);
+
+      expect(result.adjustedCloses).toEqual([10, 11]);
+      expect(result.skipped).toEqual([huge, early]);
+    });
+  });
+
+  describe('recomputeAdjustedCloses', () => {
+    test('should write only the bars whose adjusted close changed', async () => {
+      priceHistory.getBars.mockResolvedValue(makeBars([100, 102, 51]));
+      CorporateAction.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([{ _id: 'a1', type: 'split', ratio: 2, exDate: day(3) }])
+      });
+
+      const summary = await recomputeAdjustedCloses('aapl');
+
+      expect(priceHistory.getBars).toHaveBeenCalledWith('AAPL');
+      expect(PriceBar.bulkWrite).toHaveBeenCalledTimes(1);
+      const ops = PriceBar.bulkWrite.mock.calls[0][0];
+      expect(ops).toEqual([
+        { updateOne: { filter: { symbol: 'AAPL', date: day(1) }, update: { $set: { adjustedClose: 50 } } } },
+        { updateOne: { filter: { symbol: 'AAPL', date: day(2) }, update: { $set: { adjustedClose: 51 } } } }
+      ]);
+      expect(summary).toEqual({ bars: 3, updated: 2, applied: ['a1'], pending: [], skipped: [] });
+    });
+  });
+
+  describe('refreshAdjustedCloses', () => {
+    test('should do nothing for a symbol without actions', async () => {
+      CorporateAction.exists.mockResolvedValue(null);
+
+      expect(await refreshAdjustedCloses('AAPL')).toBeNull();
+      expect(priceHistory.getBars).not.toHaveBeenCalled();
+    });
+  });
+});
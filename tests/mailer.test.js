@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mailer = require('../server/services/mailer');
+
+describe('Mailer', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mean-quant-outbox-'));
+  });
+
+  afterEach(async () => {
+    mailer.setTransport(null);
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('createFileTransport', () => {
+    test('should write each message to the outbox directory', async () => {
+      const transport = mailer.createFileTransport({ directory });
+
+      const result = await transport.send({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+      const stored = JSON.parse(await fs.readFile(result.file, 'utf8'));
+
+      expect(path.dirname(result.file)).toBe(directory);
+      expect(stored.id).toBe(result.id);
+      expect(stored.subject).toBe('Hi');
+    });
+  });
+
+  describe('sendMail', () => {
+    test('should send through the configured transport', async () => {
+      const send = jest.fn().mockResolvedValue({ id: '1' });
+      mailer.setTransport({ send });
+
+      await mailer.sendMail({ to: 'a@example.com', subject: 'Reset', text: 'Link' });
+
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'a@example.com',
+        subject: 'Reset',
+        text: 'Link',
+        from: expect.any(String)
+      }));
+    });
+
+    test('should default to the file transport', async () => {
+      process.env.MAIL_OUTBOX_DIR = directory;
+
+      await mailer.sendMail({ to: 'a@example.com', subject: 'Hello', text: 'Body' });
+      const files = await fs.readdir(directory);
+
+      expect(mailer.getTransport().name).toBe('file');
+      expect(files).toHaveLength(1);
+      delete process.env.MAIL_OUTBOX_DIR;
+    });
+  });
+});
@@ -0,0 +1,209 @@
+const Notification = require('../server/models/Notification');
+const Webhook = require('../server/models/Webhook');
+const mailer = require('../server/services/mailer');
+const { deliverWebhook, notify } = require('../server/services/notifications');
+const {
+  wantsNotification,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  isPrivateAddress,
+  isPublicWebhookUrl,
+  getRetryDelay
+} = require('../server/utils/notifications');
+
+jest.mock('../server/models/Notification', () => ({
+  create: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+jest.mock('../server/models/Webhook', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+jest.mock('../server/services/mailer', () => ({
+  sendMail: jest.fn()
+}));
+
+describe('Notifications', () => {
+  describe('wantsNotification', () => {
+    test('should default every channel and category to on', () => {
+      expect(wantsNotification(undefined, 'alert', 'email')).toBe(true);
+      expect(wantsNotification({}, 'security', 'webhook')).toBe(true);
+    });
+
+    test('should require both the category and the channel flag', () => {
+      const preferences = { email: false, priceAlerts: true, jobs: false };
+
+      expect(wantsNotification(preferences, 'alert', 'email')).toBe(false);
+      expect(wantsNotification(preferences, 'alert', 'inApp')).toBe(true);
+      expect(wantsNotification(preferences, 'job', 'inApp')).toBe(false);
+    });
+  });
+
+  describe('webhook signatures', () => {
+    const body = JSON.stringify({ id: 'n1', category: 'alert' });
+
+    test('should verify a signature it produced', () => {
+      const header = signWebhookPayload('whsec_test', body, 1700000000);
+
+      expect(header).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+      expect(verifyWebhookSignature('whsec_test', body, header, { now: 1700000010 })).toBe(true);
+    });
+
+    test('should reject tampered bodies, wrong secrets and stale signatures', () => {
+      const header = signWebhookPayload('whsec_test', body, 1700000000);
+
+      expect(verifyWebhookSignature('whsec_test', `${body} `, header, { now: 1700000000 })).toBe(false);
+      expect(verifyWebhookSignature('whsec_other', body, header, { now: 1700000000 })).toBe(false);
+      expect(verifyWebhookSignature('whsec_test', body, header, { now: 1700001000 })).toBe(false);
+      expect(verifyWebhookSignature('whsec_test', body, 'garbage', { now: 1700000000 })).toBe(false);
+    });
+  });
+
+  describe('webhook hosts', () => {
+    test('should flag private, loopback and link-local addresses', () => {
+      ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fe80::1', 'fd00::1', '::ffff:10.0.0.1']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+      ['8.8.8.8', '172.32.0.1', '2606:4700::1111']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(false));
+    });
+
+    test('should only accept URLs naming a public host', () => {
+      expect(isPublicWebhookUrl('https://example.com/hook')).toBe(true);
+      expect(isPublicWebhookUrl('http://93.184.216.34/hook')).toBe(true);
+      ['http://localhost:3000/', 'http://api.localhost/', 'http://127.0.0.1/', 'http://[::1]/',
+        'http://169.254.169.254/latest/meta-data', 'http://0x7f000001/', 'not a url']
+        .forEach(url => expect(isPublicWebhookUrl(url)).toBe(false));
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('should double after each attempt', () => {
+      expect([1, 2, 3].map(attempt => getRetryDelay(attempt, 1000))).toEqual([1000, 2000, 4000]);
+    });
+  });
+
+  describe('deliverWebhook', () => {
+    const webhook = { url: 'https://example.com/hook', secret: 'whsec_test' };
+    const payload = { id: 'n1', category: 'alert', title: 'AAPL alert' };
+    const wait = jest.fn().mockResolvedValue();
+
+    beforeEach(() => {
+      wait.mockClear();
+    });
+
+    test('should post a signed payload', async () => {
+      const client = { post: jest.fn().mockResolvedValue({ status: 200 }) };
+
+      const result = await deliverWebhook(webhook, payload, { client, wait, maxAttempts: 3 });
+      const [url, body, config] = client.post.mock.calls[0];
+
+      expect(result.status).toBe('delivered');
+      expect(result.attempts).toBe(1);
+      expect(url).toBe(webhook.url);
+      expect(config.headers['X-MeanQuant-Event']).toBe('alert');
+      expect(verifyWebhookSignature('whsec_test', body, config.headers['X-MeanQuant-Signature'])).toBe(true);
+    });
+
+    test('should retry server errors with backoff', async () => {
+      const client = {
+        post: jest.fn()
+          .mockResolvedValueOnce({ status: 503 })
+          .mockRejectedValueOnce(new Error('ECONNRESET'))
+          .mockResolvedValueOnce({ status: 204 })
+      };
+
+      const result = await deliverWebhook(webhook, payload, { client, wait, maxAttempts: 4, retryBaseMs: 100 });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'delivered', attempts: 3 }));
+      expect(wait.mock.calls).toEqual([[100], [200]]);
+    });
+
+    test('should give up after the last attempt', async () => {
+      const client = { post: jest.fn().mockResolvedValue({ status: 500 }) };
+
+      const result = await deliverWebhook(webhook, payload, { client, wait, maxAttempts: 2 });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'failed', attempts: 2, error: 'HTTP 500' }));
+    });
+
+    test('should refuse private hosts without sending', async () => {
+      const client = { post: jest.fn() };
+
+      const result = await deliverWebhook({ ...webhook, url: 'http://10.0.0.5/hook' }, payload, { client, wait });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'failed', attempts: 0 }));
+      expect(client.post).not.toHaveBeenCalled();
+    });
+
+    test('should refuse host names that resolve to private addresses', async () => {
+      const client = { post: jest.fn().mockResolvedValue({ status: 200 }) };
+
+      await deliverWebhook(webhook, payload, { client, wait });
+      const { lookup } = client.post.mock.calls[0][2];
+      const error = await new Promise(resolve => lookup('localhost', {}, resolve));
+
+      expect(error.code).toBe('EPRIVATEADDRESS');
+    });
+
+    test('should not retry client errors', async () => {
+      const client = { post: jest.fn().mockResolvedValue({ status: 404 }) };
+
+      const result = await deliverWebhook(webhook, payload, { client, wait, maxAttempts: 4 });
+
+      expect(result.attempts).toBe(1);
+      expect(wait).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notify', () => {
+    const user = (notifications = {}) => ({
+      _id: 'u1',
+      email: 'a@example.com',
+      name: 'Alice',
+      isActive: true,
+      preferences: { notifications }
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      Notification.create.mockImplementation(async (doc) => ({ _id: 'n1', ...doc }));
+      Webhook.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    });
+
+    test('should store an inbox entry and send email', async () => {
+      mailer.sendMail.mockResolvedValue({});
+
+      const notification = await notify(user(), { category: 'alert', title: 'AAPL alert', message: 'Crossed 200' });
+
+      expect(notification.inbox).toBe(true);
+      expect(notification.deliveries).toEqual([{ channel: 'email' }]);
+      expect(mailer.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'a@example.com' }));
+      expect(Notification.updateOne).toHaveBeenCalledWith({ _id: 'n1' }, {
+        $set: expect.objectContaining({ 'deliveries.0.status': 'delivered' })
+      });
+    });
+
+    test('should honor preferences', async () => {
+      const notification = await notify(user({ email: false }), { category: 'alert', title: 'AAPL alert' });
+
+      expect(notification.deliveries).toEqual([]);
+      expect(mailer.sendMail).not.toHaveBeenCalled();
+    });
+
+    test('should skip categories the user turned off', async () => {
+      await expect(notify(user({ priceAlerts: false }), { category: 'alert', title: 'AAPL alert' }))
+        .resolves.toBeNull();
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    test('should not throw when delivery fails', async () => {
+      Notification.create.mockRejectedValueOnce(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(notify(user(), { category: 'security', title: 'Password changed' })).resolves.toBeNull();
+      console.error.mockRestore();
+    });
+  });
+});
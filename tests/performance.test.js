@@ -0,0 +1,151 @@
+const {
+  buildDailyValuations,
+  calculateTimeWeightedReturn,
+  calculateXIRR,
+  getPeriodStart,
+  calculatePeriodReturns
+} = require('../server/utils/performance');
+
+describe('Portfolio Performance', () => {
+  const date = (s) => new Date(`${s}T00:00:00.000Z`);
+
+  const ledger = [
+    { type: 'deposit', amount: 1000, date: date('2024-01-01') },
+    { type: 'buy', symbol: 'AAPL', shares: 10, price: 100, fees: 0, date: date('2024-01-01') },
+    { type: 'deposit', amount: 1100, date: date('2024-01-03') }
+  ];
+  const bars = new Map([['AAPL', [
+    { date: date('2024-01-01'), close: 100 },
+    { date: date('2024-01-02'), close: 110 },
+    { date: date('2024-01-03'), close: 110 },
+    { date: date('2024-01-04'), close: 121 }
+  ]]]);
+
+  describe('buildDailyValuations', () => {
+    test('should value holdings and cash at each close', () => {
+      const valuations = buildDailyValuations(ledger, bars, { end: date('2024-01-04') });
+
+      expect(valuations.map(v => [v.holdingsValue, v.cash, v.value, v.netFlow])).toEqual([
+        [1000, 0, 1000, 1000],
+        [1100, 0, 1100, 0],
+        [1100, 1100, 2200, 1100],
+        [1210, 1100, 2310, 0]
+      ]);
+    });
+
+    test('should follow splits and fall back to trade prices', () => {
+      const transactions = [
+        { type: 'deposit', amount: 1000, date: date('2024-01-01') },
+        { type: 'buy', symbol: 'XYZ', shares: 10, price: 100, fees: 0, date: date('2024-01-01') },
+        { type: 'split', symbol: 'XYZ', ratio: 2, shares: 10, price: 0, date: date('2024-01-02') }
+      ];
+      const xyzBars = new Map([['XYZ', [{ date: date('2024-01-03'), close: 55 }]]]);
+
+      const valuations = buildDailyValuations(transactions, xyzBars, { end: date('2024-01-03') });
+
+      expect(valuations.map(v => v.value)).toEqual([1000, 1000, 1100]);
+    });
+
+    test('should stop at the end date', () => {
+      expect(buildDailyValuations(ledger, bars, { end: date('2024-01-02') })).toHaveLength(2);
+      expect(buildDailyValuations([], bars)).toEqual([]);
+    });
+
+    test('should continue from a previous valuation', () => {
+      const full = buildDailyValuations(ledger, bars, { end: date('2024-01-04') });
+      const [, second] = full;
+
+      const resumed = buildDailyValuations(ledger, bars, { end: date('2024-01-04'), initial: second });
+
+      expect(second.positions).toEqual([{ symbol: 'AAPL', shares: 10, price: 110 }]);
+      expect(resumed).toEqual(full.slice(2));
+    });
+  });
+
+  describe('calculateTimeWeightedReturn', () => {
+    test('should chain daily returns around flows', () => {
+      const valuations = buildDailyValuations(ledger, bars, { end: date('2024-01-04') });
+
+      expect(calculateTimeWeightedReturn(valuations)).toBeCloseTo(0.155);
+    });
+
+    test('should return null when nothing was invested', () => {
+      expect(calculateTimeWeightedReturn([{ value: 0, netFlow: 0 }])).toBeNull();
+    });
+  });
+
+  describe('calculateXIRR', () => {
+    test('should solve a one year return', () => {
+      const rate = calculateXIRR([
+        { date: date('2023-01-01'), amount: -1000 },
+        { date: date('2024-01-01'), amount: 1100 }
+      ]);
+
+      expect(rate).toBeCloseTo(0.1, 6);
+    });
+
+    test('should weight flows by time', () => {
+      const rate = calculateXIRR([
+        { date: date('2023-01-01'), amount: -1000 },
+        { date: date('2023-07-02'), amount: -1000 },
+        { date: date('2024-01-01'), amount: 2200 }
+      ]);
+
+      expect(rate).toBeGreaterThan(0.1);
+      expect(rate).toBeLessThan(0.15);
+    });
+
+    test('should return null without flows in both directions', () => {
+      expect(calculateXIRR([{ date: date('2023-01-01'), amount: -1000 }])).toBeNull();
+    });
+  });
+
+  describe('getPeriodStart', () => {
+    test('should resolve period starts', () => {
+      const asOf = date('2024-05-15');
+      const inception = date('2020-03-04');
+
+      expect(getPeriodStart('MTD', asOf, inception)).toEqual(date('2024-05-01'));
+      expect(getPeriodStart('QTD', asOf, inception)).toEqual(date('2024-04-01'));
+      expect(getPeriodStart('YTD', asOf, inception)).toEqual(date('2024-01-01'));
+      expect(getPeriodStart('1Y', asOf, inception)).toEqual(date('2023-05-16'));
+      expect(getPeriodStart('ITD', asOf, inception)).toEqual(date('2020-03-04'));
+    });
+  });
+
+  describe('calculatePeriodReturns', () => {
+    test('should start a period from the prior close', () => {
+      const valuations = [
+        { date: date('2024-01-31'), value: 1000, netFlow: 1000 },
+        { date: date('2024-02-01'), value: 1050, netFlow: 0 },
+        { date: date('2024-02-02'), value: 1627.5, netFlow: 500 }
+      ];
+
+      const result = calculatePeriodReturns(valuations, 'MTD');
+
+      expect(result.start).toEqual(date('2024-02-01'));
+      expect(result.startValue).toBe(1000);
+      expect(result.netFlows).toBe(500);
+      expect(result.twr).toBeCloseTo(1.05 * 1.05 - 1);
+      expect(result.mwr).toBeGreaterThan(0);
+      expect(result.twrAnnualized).toBeNull();
+    });
+
+    test('should annualize returns over a year or more', () => {
+      const valuations = [
+        { date: date('2022-01-03'), value: 1000, netFlow: 1000 },
+        { date: date('2024-01-03'), value: 1210, netFlow: 0 }
+      ];
+
+      const result = calculatePeriodReturns(valuations, 'ITD');
+
+      expect(result.twr).toBeCloseTo(0.21);
+      expect(result.twrAnnualized).toBeCloseTo(0.1, 2);
+      expect(result.mwrAnnualized).toBeCloseTo(0.1, 2);
+    });
+
+    test('should return null without valuations', () => {
+      expect(calculatePeriodReturns([], 'YTD')).toBeNull();
+    });
+  });
+});
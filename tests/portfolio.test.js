@@ -0,0 +1,295 @@
+const Portfolio = require('../server/models/Portfolio');
+
+describe('Portfolio Model', () => {
+  const day = (d) => new Date(Date.UTC(2024, 0, d));
+
+  const build = (transactions = []) => {
+    const portfolio = new Portfolio({ userId: '000000000000000000000001', name: 'Core', cashBalance: 10000 });
+    transactions.forEach(t => portfolio.addTransaction({ fees: 0, ...t }));
+    return portfolio;
+  };
+
+  const buy = (shares, price, d, symbol = 'AAPL') => ({ type: 'buy', symbol, shares, price, date: day(d) });
+  const sell = (shares, price, d, symbol = 'AAPL') => ({ type: 'sell', symbol, shares, price, date: day(d) });
+
+  describe('lots', () => {
+    test('should open a lot per buy', () => {
+      const portfolio = build([buy(10, 100, 1), buy(5, 130, 2)]);
+      const holding = portfolio.holdings[0];
+
+      expect(holding.shares).toBe(15);
+      expect(holding.lots.map(l => [l.shares, l.costPerShare])).toEqual([[10, 100], [5, 130]]);
+      expect(holding.lots[0].transactionId).toEqual(portfolio.transactions[0]._id);
+    });
+
+    test('should close lots oldest first on sell', () => {
+      const portfolio = build([buy(10, 100, 1), buy(5, 130, 2), sell(12, 150, 3)]);
+      const holding = portfolio.holdings[0];
+
+      expect(holding.shares).toBe(3);
+      expect(holding.lots.map(l => [l.shares, l.costPerShare])).toEqual([[3, 130]]);
+    });
+  });
+
+  describe('relief methods', () => {
+    test('should record the gain realized on each lot', () => {
+      const portfolio = build([buy(10, 100, 1), buy(10, 130, 2)]);
+      portfolio.lotMethod = 'HIFO';
+
+      portfolio.addTransaction({ ...sell(12, 150, 3), fees: 12 });
+      const recorded = portfolio.transactions[2];
+
+      expect(recorded.lotMethod).toBe('HIFO');
+      expect(recorded.realizedLots.map(r => [r.shares, r.costBasis, r.gain, r.term])).toEqual([
+        [10, 1300, 190, 'short'],
+        [2, 200, 98, 'short']
+      ]);
+      expect(portfolio.holdings[0].lots.map(l => [l.shares, l.costPerShare])).toEqual([[8, 100]]);
+    });
+
+    test('should close the lots named on the sell', () => {
+      const portfolio = build([buy(10, 100, 1), buy(10, 130, 2)]);
+      const lotId = portfolio.holdings[0].lots[1]._id;
+
+      portfolio.addTransaction({ ...sell(4, 150, 3), lotSelections: [{ lotId, shares: 4 }] });
+
+      expect(portfolio.transactions[2].lotMethod).toBe('SPECIFIC');
+      expect(portfolio.holdings[0].lots.map(l => l.shares)).toEqual([10, 6]);
+    });
+
+    test('should share buy fees out over the shares left in a lot', () => {
+      const portfolio = build([{ ...buy(10, 100, 1), fees: 10 }]);
+
+      portfolio.addTransaction(sell(4, 120, 2));
+
+      expect(portfolio.transactions[1].realizedLots[0].costBasis).toBeCloseTo(404);
+      expect(portfolio.holdings[0].lots[0].fees).toBeCloseTo(6);
+    });
+
+    test('should seed a lot for holdings recorded before lots', () => {
+      const portfolio = build();
+      portfolio.holdings.push({ symbol: 'AAPL', shares: 10, averageCost: 50, purchaseDate: day(1) });
+
+      portfolio.addTransaction(sell(5, 60, 2));
+
+      expect(portfolio.transactions[0].realizedLots[0].gain).toBe(50);
+      expect(portfolio.holdings[0].lots[0].shares).toBe(5);
+    });
+
+    test('should reject overselling and selling symbols not held', () => {
+      const portfolio = build([buy(10, 100, 1)]);
+
+      expect(() => portfolio.addTransaction(sell(11, 100, 2))).toThrow(/only 10 held/);
+      expect(() => portfolio.addTransaction(sell(1, 100, 2, 'MSFT'))).toThrow('MSFT is not held in this portfolio');
+      expect(portfolio.transactions).toHaveLength(1);
+      expect(portfolio.cashBalance).toBe(9000);
+    });
+  });
+
+  describe('cash transactions', () => {
+    test('should move cash by amount', () => {
+      const portfolio = build();
+
+      portfolio.addTransaction({ type: 'deposit', amount: 500, date: day(1) });
+      portfolio.addTransaction({ type: 'interest', amount: 2.5, date: day(2) });
+      portfolio.addTransaction({ type: 'fee', amount: 10, date: day(3) });
+      portfolio.addTransaction({ type: 'withdrawal', amount: 100, date: day(4) });
+
+      expect(portfolio.cashBalance).toBe(10392.5);
+      expect(portfolio.holdings).toHaveLength(0);
+    });
+
+    test('should reject a missing or non-positive amount', () => {
+      const portfolio = build();
+
+      expect(() => portfolio.addTransaction({ type: 'deposit', date: day(1) })).toThrow('deposit amount must be positive');
+      expect(() => portfolio.addTransaction({ type: 'fee', amount: -5, date: day(1) })).toThrow('fee amount must be positive');
+    });
+
+    test('should validate without a symbol, shares or price', async () => {
+      const portfolio = build();
+      portfolio.addTransaction({ type: 'deposit', amount: 500, date: day(1) });
+
+      await expect(portfolio.validate()).resolves.toBeUndefined();
+    });
+
+    test('should derive cash from the ledger on replay', () => {
+      const portfolio = build();
+      portfolio.addTransaction({ type: 'deposit', amount: 1000, date: day(1) });
+      portfolio.addTransaction({ ...buy(5, 100, 2), fees: 1 });
+      portfolio.addTransaction({ type: 'fee', amount: 4, date: day(3) });
+
+      portfolio.replayTransactions(portfolio.transactions.filter(t => t.type !== 'fee'));
+
+      expect(portfolio.cashBalance).toBe(10000 + 1000 - 501);
+    });
+  });
+
+  describe('split transactions', () => {
+    test('should rescale the holding and its lots on a forward split', () => {
+      const portfolio = build([buy(10, 100, 1), buy(5, 130, 2)]);
+      const costBefore = portfolio.holdings[0].shares * portfolio.holdings[0].averageCost;
+
+      portfolio.addTransaction({ type: 'split', symbol: 'aapl', ratio: 4, date: day(3) });
+      const holding = portfolio.holdings[0];
+
+      expect(holding.shares).toBe(60);
+      expect(holding.shares * holding.averageCost).toBeCloseTo(costBefore);
+      expect(holding.lots.map(l => [l.shares, l.costPerShare])).toEqual([[40, 25], [20, 32.5]]);
+    });
+
+    test('should record the change in shares for a reverse split', () => {
+      const portfolio = build([buy(100, 2, 1)]);
+
+      portfolio.addTransaction({ type: 'split', symbol: 'AAPL', ratio: 0.1, date: day(2) });
+      const split = portfolio.transactions[portfolio.transactions.length - 1];
+
+      expect(portfolio.holdings[0].shares).toBe(10);
+      expect(portfolio.holdings[0].averageCost).toBeCloseTo(20);
+      expect(split.shares).toBe(-90);
+      expect(split.price).toBe(0);
+      expect(split.ratio).toBe(0.1);
+      expect(portfolio.cashBalance).toBe(9800);
+    });
+
+    test('should reject splits of symbols not held', () => {
+      const portfolio = build([buy(10, 100, 1)]);
+
+      expect(() => portfolio.addTransaction({ type: 'split', symbol: 'MSFT', ratio: 2, date: day(2) }))
+        .toThrow('MSFT is not held in this portfolio');
+      expect(portfolio.transactions).toHaveLength(1);
+    });
+
+    test('should reject a ratio of one', () => {
+      const portfolio = build([buy(10, 100, 1)]);
+
+      expect(() => portfolio.addTransaction({ type: 'split', symbol: 'AAPL', ratio: 1, date: day(2) }))
+        .toThrow(/ratio/);
+    });
+  });
+
+  describe('applySplitActions', () => {
+    const split = (d, ratio = 2, symbol = 'AAPL') => ({ _id: `split-${symbol}-${d}`, symbol, type: 'split', ratio, exDate: day(d) });
+
+    test('should record splits newer than the ledger', () => {
+      const portfolio = build([buy(10, 100, 1)]);
+
+      const result = portfolio.applySplitActions([split(5, 3)]);
+
+      expect(result.applied).toHaveLength(1);
+      expect(portfolio.holdings[0].shares).toBe(30);
+      expect(portfolio.transactions[1].type).toBe('split');
+      expect(portfolio.transactions[1].date).toEqual(day(5));
+    });
+
+    test('should not record a split twice', () => {
+      const portfolio = build([buy(10, 100, 1)]);
+      portfolio.applySplitActions([split(5)]);
+
+      const result = portfolio.applySplitActions([split(5)]);
+
+      expect(result.applied).toHaveLength(0);
+      expect(result.skipped[0].reason).toBe('already recorded');
+      expect(portfolio.holdings[0].shares).toBe(20);
+    });
+
+    test('should skip splits that predate recorded transactions', () => {
+      const portfolio = build([buy(10, 100, 1), buy(10, 60, 8)]);
+
+      const result = portfolio.applySplitActions([split(5), split(10, 2, 'MSFT')]);
+
+      expect(result.applied).toHaveLength(0);
+      expect(result.skipped.map(s => s.reason)).toEqual([
+        'transactions after the ex-date already recorded',
+        'not held'
+      ]);
+    });
+  });
+
+  describe('replayTransactions', () => {
+    const replace = (portfolio, index, changes) => portfolio.transactions
+      .map((t, i) => (i === index ? { ...t.toObject(), ...changes } : t));
+
+    // A portfolio whose ledger explains its cash (opening deposit first)
+    const buildLedger = (transactions) => {
+      const portfolio = build(transactions);
+      portfolio.recordOpeningBalance();
+      return portfolio;
+    };
+
+    test('should rebuild holdings and cash from an edited ledger', () => {
+      const portfolio = buildLedger([buy(10, 100, 1), buy(5, 130, 2), sell(12, 150, 3)]);
+
+      portfolio.replayTransactions(replace(portfolio, 1, { price: 90 }));
+      const holding = portfolio.holdings[0];
+
+      expect(holding.shares).toBe(3);
+      expect(holding.lots.map(l => [l.shares, l.costPerShare])).toEqual([[3, 130]]);
+      expect(portfolio.cashBalance).toBe(10000 - 900 - 650 + 1800);
+      expect(portfolio.transactions[3].realizedLots[0].gain).toBe(600);
+    });
+
+    test('should keep transaction and lot ids', () => {
+      const portfolio = buildLedger([buy(10, 100, 1), buy(10, 130, 2)]);
+      const lotId = portfolio.holdings[0].lots[1]._id;
+      portfolio.addTransaction({ ...sell(5, 150, 3), lotSelections: [{ lotId, shares: 5 }] });
+      const ids = portfolio.transactions.map(t => String(t._id));
+
+      portfolio.replayTransactions(replace(portfolio, 1, { shares: 12 }));
+
+      expect(portfolio.transactions.map(t => String(t._id))).toEqual(ids);
+      expect(portfolio.holdings[0].lots.map(l => l.shares)).toEqual([12, 5]);
+    });
+
+    test('should apply backdated transactions in date order', () => {
+      const portfolio = buildLedger([buy(10, 100, 1), buy(10, 130, 5)]);
+
+      portfolio.replayTransactions([...portfolio.transactions, { type: 'split', symbol: 'AAPL', ratio: 2, date: day(3) }]);
+
+      expect(portfolio.transactions.map(t => t.type)).toEqual(['deposit', 'buy', 'split', 'buy']);
+      expect(portfolio.holdings[0].lots.map(l => [l.shares, l.costPerShare])).toEqual([[20, 50], [10, 130]]);
+    });
+
+    test('should reject a ledger that sells shares not held', () => {
+      const portfolio = buildLedger([buy(10, 100, 1), sell(8, 150, 3)]);
+
+      expect(() => portfolio.replayTransactions(replace(portfolio, 1, { shares: 5 })))
+        .toThrow('sell of AAPL on 2024-01-03: Cannot sell 8 shares; only 5 held');
+    });
+
+    test('should record cash set outside the ledger as an opening balance', () => {
+      const portfolio = build([buy(10, 100, 1)]);
+
+      portfolio.replayTransactions(portfolio.transactions.filter(() => false));
+
+      expect(portfolio.cashBalance).toBe(10000);
+      expect(portfolio.holdings).toHaveLength(0);
+      expect(portfolio.transactions.map(t => [t.type, t.amount, t.notes])).toEqual([['deposit', 10000, 'Opening balance']]);
+    });
+  });
+
+  describe('getAllocation', () => {
+    test('should weight holdings at market prices', () => {
+      const portfolio = build([buy(10, 100, 1), buy(20, 50, 2, 'MSFT')]);
+
+      const allocation = portfolio.getAllocation(new Map([['AAPL', { price: 300, date: day(5) }]]));
+
+      expect(allocation.map(a => [a.symbol, a.value, a.percentage])).toEqual([
+        ['AAPL', 3000, 25],
+        ['MSFT', 1000, expect.closeTo(8.333)],
+        ['CASH', 8000, expect.closeTo(66.667)]
+      ]);
+      expect(allocation[0]).toEqual(expect.objectContaining({ priceSource: 'market', stale: false, priceDate: day(5) }));
+    });
+
+    test('should fall back to average cost and flag the holding stale', () => {
+      const portfolio = build([buy(10, 100, 1)]);
+
+      const [holding] = portfolio.getAllocation();
+
+      expect(holding).toEqual(expect.objectContaining({
+        price: 100, value: 1000, priceSource: 'cost', stale: true, priceDate: null
+      }));
+    });
+  });
+});
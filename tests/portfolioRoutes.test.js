@@ -0,0 +1,110 @@
+/**
+ * Portfolio route tests: request bodies reach the ledger as numbers, and
+ * holdings are priced like the allocation
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const USER_ID = '000000000000000000000001';
+
+jest.mock('../server/middleware/auth', () => ({
+  ...jest.requireActual('../server/middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.userId = '000000000000000000000001';
+    next();
+  }
+}));
+
+jest.mock('../server/services/priceHistory', () => ({
+  getBars: jest.fn(),
+  getLastBars: jest.fn(),
+  getLastBarsBySymbol: jest.fn()
+}));
+
+jest.mock('../server/models/Stock', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../server/models/CorporateAction', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../server/services/portfolioValuation', () => ({
+  getDailyValuations: jest.fn(),
+  getLatestPrices: jest.fn(),
+  invalidateSnapshots: jest.fn().mockResolvedValue(0),
+  refreshSnapshots: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../server/services/audit', () => ({
+  recordAuditEvent: jest.fn().mockResolvedValue(),
+  snapshot: jest.requireActual('../server/services/audit').snapshot
+}));
+
+const Portfolio = require('../server/models/Portfolio');
+const { getDailyValuations, getLatestPrices } = require('../server/services/portfolioValuation');
+const portfolioRoutes = require('../server/routes/portfolio');
+
+describe('Portfolio Routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/portfolio', portfolioRoutes);
+
+  let portfolio;
+
+  beforeEach(() => {
+    portfolio = new Portfolio({ userId: USER_ID, name: 'Core', cashBalance: 0 });
+    portfolio.addTransaction({ type: 'deposit', amount: 1000, date: new Date('2024-01-01') });
+    portfolio.addTransaction({ type: 'buy', symbol: 'AAPL', shares: 5, price: 10, fees: 0, date: new Date('2024-01-02') });
+    portfolio.addTransaction({ type: 'buy', symbol: 'AAPL', shares: 5, price: 10, fees: 0, date: new Date('2024-01-03') });
+    jest.spyOn(portfolio, 'save').mockResolvedValue(portfolio);
+    jest.spyOn(Portfolio, 'findById').mockResolvedValue(portfolio);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should convert string amounts when adding a transaction', async () => {
+    const res = await request(app)
+      .post(`/api/portfolio/${portfolio._id}/transaction`)
+      .send({ type: 'buy', symbol: 'AAPL', shares: '2', price: '10', fees: '1', date: '2024-01-04' });
+
+    expect(res.status).toBe(201);
+    const recorded = portfolio.transactions[portfolio.transactions.length - 1];
+    expect(recorded.shares).toBe(2);
+    expect(recorded.fees).toBe(1);
+    expect(portfolio.holdings[0].shares).toBe(12);
+    expect(portfolio.cashBalance).toBe(879);
+  });
+
+  test('should convert string amounts when editing a transaction', async () => {
+    const txId = portfolio.transactions[2]._id;
+
+    const res = await request(app)
+      .put(`/api/portfolio/${portfolio._id}/transaction/${txId}`)
+      .send({ shares: '7', price: '10', fees: '1' });
+
+    expect(res.status).toBe(200);
+    expect(portfolio.holdings[0].shares).toBe(12);
+    expect(portfolio.holdings[0].averageCost).toBe(10);
+    expect(portfolio.cashBalance).toBe(879);
+  });
+
+  test('should price performance at the latest close, falling back to cost', async () => {
+    portfolio.addTransaction({ type: 'buy', symbol: 'MSFT', shares: 1, price: 40, fees: 0, date: new Date('2024-01-04') });
+    const date = new Date('2024-02-01');
+    getLatestPrices.mockResolvedValue(new Map([['AAPL', { price: 12, date }]]));
+    getDailyValuations.mockResolvedValue([]);
+
+    const res = await request(app).get(`/api/portfolio/${portfolio._id}/performance`);
+
+    expect(res.status).toBe(200);
+    expect(getLatestPrices).toHaveBeenCalledWith(['AAPL', 'MSFT']);
+    expect(res.body.holdings.map(h => [h.symbol, h.currentPrice, h.priceSource, h.stale]))
+      .toEqual([['AAPL', 12, 'market', false], ['MSFT', 40, 'cost', true]]);
+    expect(res.body.summary.totalValue).toBe(160);
+    expect(res.body.summary.stale).toBe(true);
+  });
+});
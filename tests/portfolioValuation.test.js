@@ -0,0 +1,156 @@
+const Portfolio = require('../server/models/Portfolio');
+const PortfolioSnapshot = require('../server/models/PortfolioSnapshot');
+const priceHistory = require('../server/services/priceHistory');
+const {
+  getDailyValuations,
+  invalidateSnapshots,
+  refreshSnapshots,
+  refreshSnapshotsForSymbol
+} = require('../server/services/portfolioValuation');
+
+jest.mock('../server/models/Portfolio', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../server/models/PortfolioSnapshot', () => ({
+  find: jest.fn(),
+  insertMany: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+jest.mock('../server/services/priceHistory', () => ({
+  getBars: jest.fn()
+}));
+
+// Chainable stand-in for a mongoose query resolving to rows
+const mockQuery = (rows) => {
+  const query = {
+    sort: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(rows)
+  };
+  return query;
+};
+
+const date = (s) => new Date(`${s}T00:00:00.000Z`);
+
+describe('Portfolio Valuation', () => {
+  const portfolio = {
+    _id: 'p1',
+    transactions: [
+      { type: 'deposit', amount: 1000, date: date('2024-01-01') },
+      { type: 'buy', symbol: 'AAPL', shares: 10, price: 100, fees: 0, date: date('2024-01-01') }
+    ]
+  };
+  const bars = [
+    { date: date('2024-01-01'), close: 100 },
+    { date: date('2024-01-02'), close: 110 },
+    { date: date('2024-01-03'), close: 120 }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PortfolioSnapshot.insertMany.mockResolvedValue([]);
+    PortfolioSnapshot.deleteMany.mockResolvedValue({ deletedCount: 2 });
+  });
+
+  describe('getDailyValuations', () => {
+    test('should value the whole ledger and store it without snapshots', async () => {
+      PortfolioSnapshot.find.mockReturnValue(mockQuery([]));
+      priceHistory.getBars.mockResolvedValue(bars);
+
+      const valuations = await getDailyValuations(portfolio, { end: date('2024-01-03') });
+
+      expect(valuations.map(v => v.value)).toEqual([1000, 1100, 1200]);
+      expect(priceHistory.getBars).toHaveBeenCalledWith('AAPL', { start: date('2024-01-01'), end: date('2024-01-03') });
+      expect(PortfolioSnapshot.insertMany.mock.calls[0][0]).toHaveLength(3);
+      expect(PortfolioSnapshot.insertMany.mock.calls[0][0][0]).toEqual(expect.objectContaining({ portfolioId: 'p1' }));
+    });
+
+    test('should only value the days after the latest snapshot', async () => {
+      const stored = {
+        date: date('2024-01-02'),
+        holdingsValue: 1100,
+        cash: 0,
+        value: 1100,
+        netFlow: 0,
+        positions: [{ symbol: 'AAPL', shares: 10, price: 110 }]
+      };
+      PortfolioSnapshot.find.mockReturnValue(mockQuery([stored]));
+      priceHistory.getBars.mockResolvedValue(bars.slice(2));
+
+      const valuations = await getDailyValuations(portfolio, { end: date('2024-01-03') });
+
+      expect(valuations.map(v => v.value)).toEqual([1100, 1200]);
+      expect(priceHistory.getBars).toHaveBeenCalledWith('AAPL', { start: date('2024-01-03'), end: date('2024-01-03') });
+      expect(PortfolioSnapshot.insertMany.mock.calls[0][0]).toHaveLength(1);
+    });
+
+    test('should not load prices when the snapshots reach the end date', async () => {
+      PortfolioSnapshot.find.mockReturnValue(mockQuery([{ date: date('2024-01-03'), value: 1200, positions: [] }]));
+
+      const valuations = await getDailyValuations(portfolio, { end: date('2024-01-03') });
+
+      expect(valuations).toHaveLength(1);
+      expect(priceHistory.getBars).not.toHaveBeenCalled();
+      expect(PortfolioSnapshot.insertMany).not.toHaveBeenCalled();
+    });
+
+    test('should ignore snapshots already stored by another read', async () => {
+      PortfolioSnapshot.find.mockReturnValue(mockQuery([]));
+      priceHistory.getBars.mockResolvedValue(bars);
+      PortfolioSnapshot.insertMany.mockRejectedValue(
+        Object.assign(new Error('E11000 duplicate key'), { writeErrors: [{ code: 11000 }] })
+      );
+
+      await expect(getDailyValuations(portfolio, { end: date('2024-01-03') })).resolves.toHaveLength(3);
+    });
+  });
+
+  describe('invalidateSnapshots', () => {
+    test('should delete snapshots from the start of a day', async () => {
+      const deleted = await invalidateSnapshots('p1', new Date('2024-01-02T15:30:00Z'));
+
+      expect(deleted).toBe(2);
+      expect(PortfolioSnapshot.deleteMany).toHaveBeenCalledWith({
+        portfolioId: 'p1',
+        date: { $gte: date('2024-01-02') }
+      });
+    });
+
+  });
+
+  describe('refreshSnapshots', () => {
+    test('should not fail the write when the rebuild fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      PortfolioSnapshot.find.mockReturnValue(mockQuery([]));
+      priceHistory.getBars.mockRejectedValue(new Error('connection lost'));
+
+      await expect(refreshSnapshots(portfolio, date('2024-01-01'))).resolves.toBeUndefined();
+      expect(PortfolioSnapshot.deleteMany).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    test('should value the days again as the change is written', async () => {
+      PortfolioSnapshot.find.mockReturnValue(mockQuery([]));
+      priceHistory.getBars.mockResolvedValue(bars);
+
+      await refreshSnapshots(portfolio, date('2024-01-01'));
+
+      expect(PortfolioSnapshot.deleteMany).toHaveBeenCalledWith({ portfolioId: 'p1', date: { $gte: date('2024-01-01') } });
+      expect(PortfolioSnapshot.insertMany).toHaveBeenCalled();
+    });
+
+    test('should replace the snapshots of portfolios that traded a symbol', async () => {
+      const other = { ...portfolio, _id: 'p2' };
+      Portfolio.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([portfolio, other]) });
+      PortfolioSnapshot.find.mockReturnValue(mockQuery([]));
+      priceHistory.getBars.mockResolvedValue(bars);
+
+      await refreshSnapshotsForSymbol('aapl');
+
+      expect(Portfolio.find.mock.calls[0][0]).toEqual({ 'transactions.symbol': 'AAPL' });
+      expect(PortfolioSnapshot.deleteMany).toHaveBeenCalledWith({ portfolioId: { $in: ['p1', 'p2'] } });
+      expect(PortfolioSnapshot.insertMany.mock.calls.map(call => call[0][0].portfolioId)).toEqual(['p1', 'p2']);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const PriceBar = require('../server/models/PriceBar');
+const priceHistory = require('../server/services/priceHistory');
+
+jest.mock('../server/models/PriceBar', () => ({
+  find: jest.fn(),
+  insertMany: jest.fn(),
+  countDocuments: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+// Chainable stand-in for a mongoose query resolving to rows
+const mockQuery = (rows) => {
+  const query = {
+    sort: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(rows)
+  };
+  return query;
+};
+
+const day = (d) => new Date(Date.UTC(2024, 0, d));
+
+describe('Price History', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getBars', () => {
+    test('should query a date range for the symbol', async () => {
+      const query = mockQuery([{ date: day(2) }]);
+      PriceBar.find.mockReturnValue(query);
+
+      await priceHistory.getBars('aapl', { start: '2024-01-01', end: '2024-01-31', limit: 10, order: 'desc' });
+
+      expect(PriceBar.find.mock.calls[0][0]).toEqual({
+        symbol: 'AAPL',
+        date: { $gte: new Date('2024-01-01'), $lte: new Date('2024-01-31') }
+      });
+      expect(query.sort).toHaveBeenCalledWith({ date: -1 });
+      expect(query.limit).toHaveBeenCalledWith(10);
+    });
+  });
+
+  describe('getLastBars', () => {
+    test('should return the most recent bars oldest first', async () => {
+      const query = mockQuery([{ date: day(3) }, { date: day(2) }]);
+      PriceBar.find.mockReturnValue(query);
+
+      const bars = await priceHistory.getLastBars('AAPL', 2, { before: day(4) });
+
+      expect(bars.map(b => b.date)).toEqual([day(2), day(3)]);
+      expect(PriceBar.find.mock.calls[0][0].date).toEqual({ $lt: day(4) });
+      expect(query.sort).toHaveBeenCalledWith({ date: -1 });
+    });
+
+    test('should group bars by symbol', async () => {
+      PriceBar.find.mockImplementation((filter) => mockQuery(filter.symbol === 'AAPL' ? [{ date: day(2) }] : []));
+
+      const bars = await priceHistory.getLastBarsBySymbol(['aapl', 'MSFT', 'AAPL'], 1);
+
+      expect([...bars.keys()]).toEqual(['AAPL', 'MSFT']);
+      expect(bars.get('MSFT')).toEqual([]);
+    });
+  });
+
+  describe('addBars', () => {
+    test('should skip stored and repeated dates', async () => {
+      PriceBar.find.mockReturnValue(mockQuery([{ date: day(2) }]));
+
+      const added = await priceHistory.addBars('aapl', [
+        { date: day(3), close: 3 },
+        { date: day(2), close: 2 },
+        { date: day(1), close: 1 },
+        { date: day(3), close: 4 }
+      ]);
+
+      expect(added.map(b => b.close)).toEqual([1, 3]);
+      expect(PriceBar.find.mock.calls[0][0]).toEqual({
+        symbol: 'AAPL',
+        date: { $gte: day(1), $lte: day(3) }
+      });
+      expect(PriceBar.insertMany).toHaveBeenCalledWith(
+        [{ date: day(1), close: 1, symbol: 'AAPL' }, { date: day(3), close: 3, symbol: 'AAPL' }],
+        { ordered: false, lean: true }
+      );
+    });
+
+    test('should not write when nothing is new', async () => {
+      PriceBar.find.mockReturnValue(mockQuery([{ date: day(2) }]));
+
+      await expect(priceHistory.addBars('AAPL', [{ date: day(2) }])).resolves.toEqual([]);
+      expect(PriceBar.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteBars', () => {
+    test('should delete every bar of the symbol', async () => {
+      PriceBar.deleteMany.mockResolvedValue({ deletedCount: 5 });
+
+      await expect(priceHistory.deleteBars('aapl')).resolves.toBe(5);
+      expect(PriceBar.deleteMany).toHaveBeenCalledWith({ symbol: 'AAPL' });
+    });
+  });
+});
@@ -0,0 +1,296 @@
+const { Readable } = require('stream');
+const Stock = require('../server/models/Stock');
+const priceHistory = require('../server/services/priceHistory');
+const { importPriceCsv } = require('../server/services/priceImport');
+const {
+  createCsvParser,
+  getMultipartBoundary,
+  createMultipartFileStream,
+  formatCsv
+} = require('../server/utils/csv');
+const { parseDate, resolveColumns, parsePriceRow } = require('../server/utils/priceImport');
+
+jest.mock('../server/models/Stock', () => ({
+  exists: jest.fn(),
+  create: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+jest.mock('../server/services/priceHistory', () => ({
+  getBarDates: jest.fn(),
+  insertBars: jest.fn()
+}));
+
+// Feed a stream one chunk at a time to exercise chunk boundaries
+const streamOf = (chunks) => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+
+const collect = async (stream) => {
+  const items = [];
+  for await (const item of stream) {
+    items.push(item);
+  }
+  return items;
+};
+
+describe('Price Import', () => {
+  describe('createCsvParser', () => {
+    test('should parse records split across chunks', async () => {
+      const records = await collect(
+        streamOf(['﻿date,close\r\n2024-01-0', '2,10.5\r\n\r\n2024-01-03,11\n']).pipe(createCsvParser())
+      );
+
+      expect(records).toEqual([['date', 'close'], ['2024-01-02', '10.5'], ['2024-01-03', '11']]);
+    });
+
+    test('should handle quoted fields', async () => {
+      const records = await collect(
+        streamOf(['a,"b, ""quoted""', '\nline",c\n"last"']).pipe(createCsvParser())
+      );
+
+      expect(records).toEqual([['a', 'b, "quoted"\nline', 'c'], ['last']]);
+    });
+
+    test('should support other delimiters', async () => {
+      const records = await collect(streamOf(['a;b\n1;2']).pipe(createCsvParser({ delimiter: ';' })));
+
+      expect(records).toEqual([['a', 'b'], ['1', '2']]);
+    });
+  });
+
+  describe('createMultipartFileStream', () => {
+    const body = [
+      '--XyZ\r\n',
+      'Content-Disposition: form-data; name="note"\r\n\r\n',
+      'ignored\r\n',
+      '--XyZ\r\n',
+      'Content-Disposition: form-data; name="file"; filename="prices.csv"\r\n',
+      'Content-Type: text/csv\r\n\r\n',
+      // The CRLF before the closing boundary belongs to the delimiter
+      'date,close\r\n2024-01-02,10\r\n',
+      '--XyZ--\r\n'
+    ].join('');
+
+    test('should read the boundary from the content type', () => {
+      expect(getMultipartBoundary('multipart/form-data; boundary=XyZ')).toBe('XyZ');
+      expect(getMultipartBoundary('multipart/form-data; boundary="a b"')).toBe('a b');
+      expect(getMultipartBoundary('text/csv')).toBeNull();
+    });
+
+    test('should extract the file field whatever the chunking', async () => {
+      for (const size of [1, 7, body.length]) {
+        const chunks = [];
+        for (let i = 0; i < body.length; i += size) {
+          chunks.push(body.slice(i, i + size));
+        }
+
+        const output = await collect(streamOf(chunks).pipe(createMultipartFileStream('XyZ')));
+
+        expect(Buffer.concat(output).toString()).toBe('date,close\r\n2024-01-02,10');
+      }
+    });
+
+    test('should fail without a file field', async () => {
+      const stream = streamOf(['--XyZ\r\nContent-Disposition: form-data; name="note"\r\n\r\nx\r\n--XyZ--'])
+        .pipe(createMultipartFileStream('XyZ'));
+
+      await expect(collect(stream)).rejects.toThrow('no "file" field');
+    });
+  });
+
+  describe('formatCsv', () => {
+    test('should quote fields that need it and format dates', () => {
+      const csv = formatCsv(
+        [{ name: 'Acme, Inc.', note: 'say "hi"', date: new Date('2024-03-01T00:00:00Z'), value: null }],
+        [{ key: 'name', header: 'Name' }, { key: 'note', header: 'Note' }, { key: 'date', header: 'Date' }, { key: 'value', header: 'Value' }]
+      );
+
+      expect(csv).toBe('Name,Note,Date,Value\r\n"Acme, Inc.","say ""hi""",2024-03-01,\r\n');
+    });
+  });
+
+  describe('parseDate', () => {
+    test('should parse each day format at midnight UTC', () => {
+      const expected = new Date('2024-03-05T00:00:00Z').getTime();
+
+      expect(parseDate('2024-03-05').getTime()).toBe(expected);
+      expect(parseDate('03/05/2024', 'MM/DD/YYYY').getTime()).toBe(expected);
+      expect(parseDate('05/03/2024', 'DD/MM/YYYY').getTime()).toBe(expected);
+      expect(parseDate('05.03.2024', 'DD.MM.YYYY').getTime()).toBe(expected);
+      expect(parseDate('20240305', 'YYYYMMDD').getTime()).toBe(expected);
+      expect(parseDate(String(expected / 1000), 'unix').getTime()).toBe(expected);
+    });
+
+    test('should reject malformed and impossible dates', () => {
+      expect(parseDate('2024-02-30')).toBeNull();
+      expect(parseDate('03/05/2024')).toBeNull();
+      expect(parseDate('')).toBeNull();
+    });
+  });
+
+  describe('resolveColumns', () => {
+    test('should recognise common header names', () => {
+      const columns = resolveColumns(['Date', 'Ticker', 'Open', 'High', 'Low', 'Close', 'Adj Close', 'Volume']);
+
+      expect(columns).toEqual({
+        date: 0, symbol: 1, open: 2, high: 3, low: 4, close: 5, adjustedClose: 6, volume: 7
+      });
+    });
+
+    test('should apply explicit mappings by name or index', () => {
+      const columns = resolveColumns(['d', 'o', 'h', 'l', 'c'], { date: 'd', open: 'o', high: '2', low: 'l', close: 'c' }, {
+        requireSymbol: false
+      });
+
+      expect(columns).toEqual({ date: 0, open: 1, high: 2, low: 3, close: 4 });
+    });
+
+    test('should report missing columns', () => {
+      expect(() => resolveColumns(['date', 'close'])).toThrow('Missing column for symbol, open, high, low');
+      expect(() => resolveColumns(['date'], { close: 'last price' })).toThrow('not in the file');
+    });
+  });
+
+  describe('parsePriceRow', () => {
+    const columns = { symbol: 0, date: 1, open: 2, high: 3, low: 4, close: 5, volume: 6 };
+
+    test('should build a bar', () => {
+      const result = parsePriceRow(['aapl', '2024-01-02', '10', '12', '9', '11', '1000'], columns);
+
+      expect(result.symbol).toBe('AAPL');
+      expect(result.bar).toEqual(expect.objectContaining({
+        open: 10, high: 12, low: 9, close: 11, adjustedClose: 11, volume: 1000
+      }));
+    });
+
+    test('should reject invalid rows with a reason', () => {
+      expect(parsePriceRow(['AAPL', 'bad', '10', '12', '9', '11', '1'], columns).error).toMatch(/Invalid date/);
+      expect(parsePriceRow(['AAPL', '2024-01-02', '', '12', '9', '11', '1'], columns).error).toBe('Missing open');
+      expect(parsePriceRow(['AAPL', '2024-01-02', '10', '12', '9', 'x', '1'], columns).error).toBe('Invalid close: x');
+      expect(parsePriceRow(['AAPL', '2024-01-02', '10', '9', '8', '11', '1'], columns).error).toMatch(/inconsistent/);
+    });
+  });
+
+  describe('importPriceCsv', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      Stock.exists.mockImplementation(async (filter) => filter.symbol === 'AAPL' ? { _id: 's1' } : null);
+      Stock.create.mockResolvedValue({});
+      Stock.updateOne.mockResolvedValue({});
+      priceHistory.getBarDates.mockResolvedValue(new Set([new Date('2024-01-02T00:00:00Z').getTime()]));
+      priceHistory.insertBars.mockResolvedValue();
+    });
+
+    const csv = [
+      'symbol,date,open,high,low,close,volume',
+      'AAPL,2024-01-02,10,12,9,11,100',
+      'AAPL,2024-01-03,11,13,10,12,100',
+      'MSFT,2024-01-03,20,22,19,21,100',
+      'MSFT,2024-01-03,20,22,19,21,100',
+      'MSFT,not-a-date,20,22,19,21,100'
+    ].join('\n');
+
+    test('should report accepted, duplicate and rejected rows', async () => {
+      const report = await importPriceCsv(streamOf([csv]), { errorsOnly: false });
+
+      expect(report).toEqual(expect.objectContaining({
+        totalRows: 5,
+        accepted: 2,
+        duplicates: 2,
+        rejected: 1,
+        createdStocks: ['MSFT']
+      }));
+      expect(report.rows.map(r => [r.row, r.status])).toEqual([
+        [2, 'duplicate'], [3, 'accepted'], [4, 'accepted'], [5, 'duplicate'], [6, 'rejected']
+      ]);
+      expect(Stock.create).toHaveBeenCalledWith({ symbol: 'MSFT', name: 'MSFT' });
+      expect(priceHistory.insertBars).toHaveBeenCalledTimes(2);
+    });
+
+    test('should write in batches', async () => {
+      const rows = ['date,open,high,low,close', '2024-01-03,1,1,1,1', '2024-01-04,1,1,1,1', '2024-01-05,1,1,1,1'];
+
+      await importPriceCsv(streamOf([rows.join('\n')]), { symbol: 'AAPL', batchSize: 2 });
+
+      expect(priceHistory.insertBars.mock.calls.map(call => call[1].length)).toEqual([2, 1]);
+    });
+
+    test('should write interleaved symbols once the batch size is pending in total', async () => {
+      Stock.exists.mockResolvedValue({ _id: 's1' });
+      priceHistory.getBarDates.mockResolvedValue(new Set());
+      const symbols = Array.from({ length: 50 }, (v, i) => `S${i}`);
+      const rows = ['symbol,date,open,high,low,close,volume'];
+      // Thirty days of each symbol, date by date: far more than the stream buffers
+      for (let day = 1; day <= 30; day++) {
+        const date = `2024-01-${String(day).padStart(2, '0')}`;
+        symbols.forEach(s => rows.push(`${s},${date},1,1,1,1,1`));
+      }
+      let streamEnded = false;
+      const input = Readable.from((function* () {
+        for (const row of rows) {
+          yield Buffer.from(`${row}\n`);
+        }
+        streamEnded = true;
+      })());
+      const writtenBeforeEnd = [];
+      priceHistory.insertBars.mockImplementation(async () => writtenBeforeEnd.push(!streamEnded));
+
+      const report = await importPriceCsv(input, { batchSize: 100 });
+
+      expect(report.accepted).toBe(1500);
+      expect(priceHistory.insertBars.mock.calls.every(call => call[1].length <= 2)).toBe(true);
+      expect(writtenBeforeEnd.filter(Boolean).length).toBeGreaterThan(writtenBeforeEnd.length / 2);
+    });
+
+    test('should catch duplicates of rows written in an earlier batch', async () => {
+      const stored = new Set();
+      priceHistory.getBarDates.mockImplementation(async () => new Set(stored));
+      priceHistory.insertBars.mockImplementation(async (symbol, bars) => bars.forEach(bar => stored.add(bar.date.getTime())));
+      const rows = ['date,open,high,low,close', '2024-01-03,1,1,1,1', '2024-01-04,1,1,1,1', '2024-01-03,1,1,1,1'];
+
+      const report = await importPriceCsv(streamOf([rows.join('\n')]), { symbol: 'AAPL', batchSize: 2 });
+
+      expect(report).toEqual(expect.objectContaining({ accepted: 2, duplicates: 1 }));
+      expect(report.rows).toEqual([expect.objectContaining({ row: 4, status: 'duplicate' })]);
+      expect(priceHistory.getBarDates).toHaveBeenCalledWith('AAPL', {
+        start: new Date('2024-01-03T00:00:00Z'),
+        end: new Date('2024-01-04T00:00:00Z')
+      });
+    });
+
+    test('should list only errors by default and cap the rows listed', async () => {
+      const report = await importPriceCsv(streamOf([csv]), { maxReportedRows: 2 });
+
+      expect(report.rows).toHaveLength(2);
+      expect(report.rows.every(r => r.status !== 'accepted')).toBe(true);
+      expect(report.omittedRows).toBe(1);
+      expect(report.duplicates + report.rejected).toBe(3);
+    });
+
+    test('should reject rows for unknown stocks unless creating them', async () => {
+      const report = await importPriceCsv(streamOf([csv]), { createMissing: false, errorsOnly: true });
+
+      expect(Stock.create).not.toHaveBeenCalled();
+      expect(report.rejected).toBe(3);
+      expect(report.rows.every(r => r.status !== 'accepted')).toBe(true);
+    });
+
+    test('should fail on a header without the required columns', async () => {
+      await expect(importPriceCsv(streamOf(['date,close\n2024-01-02,1\n'])))
+        .rejects.toThrow('Missing column for symbol, open, high, low');
+      expect(priceHistory.insertBars).not.toHaveBeenCalled();
+    });
+
+    test('should import headerless single-symbol files', async () => {
+      const report = await importPriceCsv(streamOf(['20240104;11;13;10;12\n']), {
+        symbol: 'AAPL',
+        header: false,
+        delimiter: ';',
+        dateFormat: 'YYYYMMDD',
+        columns: { date: 0, open: 1, high: 2, low: 3, close: 4 }
+      });
+
+      expect(report.accepted).toBe(1);
+      expect(report.totalRows).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { MemoryStore, createRateLimiter } = require('../server/middleware/rateLimit');
+
+// Minimal Express response double
+const mockResponse = () => {
+  const res = { headers: {} };
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Rate Limiter', () => {
+  describe('MemoryStore', () => {
+    test('should count hits within a window', async () => {
+      const store = new MemoryStore();
+
+      await store.increment('a', 60000);
+      const result = await store.increment('a', 60000);
+
+      expect(result.count).toBe(2);
+      expect(result.resetTime.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should start a new window after expiry', async () => {
+      const store = new MemoryStore();
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await store.increment('a', 1000);
+
+      Date.now.mockReturnValue(now + 1001);
+      const result = await store.increment('a', 1000);
+
+      expect(result.count).toBe(1);
+      Date.now.mockRestore();
+    });
+
+    test('should reset a key', async () => {
+      const store = new MemoryStore();
+
+      await store.increment('a', 60000);
+      await store.resetKey('a');
+
+      expect((await store.increment('a', 60000)).count).toBe(1);
+    });
+  });
+
+  describe('createRateLimiter', () => {
+    test('should allow requests up to the limit', async () => {
+      const limiter = createRateLimiter({ max: 2, window: '1m' });
+      const next = jest.fn();
+      const res = mockResponse();
+
+      await limiter({ ip: '1.1.1.1' }, res, next);
+      await limiter({ ip: '1.1.1.1' }, res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(res.headers['RateLimit-Remaining']).toBe('0');
+    });
+
+    test('should respond 429 once the limit is exceeded', async () => {
+      const limiter = createRateLimiter({ max: 1, window: '1m' });
+      const next = jest.fn();
+
+      await limiter({ ip: '1.1.1.1' }, mockResponse(), next);
+      const res = mockResponse();
+      await limiter({ ip: '1.1.1.1' }, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.headers['Retry-After']).toBeDefined();
+    });
+
+    test('should track clients separately', async () => {
+      const limiter = createRateLimiter({ max: 1, window: '1m' });
+      const next = jest.fn();
+
+      await limiter({ ip: '1.1.1.1' }, mockResponse(), next);
+      await limiter({ ip: '2.2.2.2' }, mockResponse(), next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('should use a custom store', async () => {
+      const store = {
+        increment: jest.fn().mockResolvedValue({ count: 1, resetTime: new Date(Date.now() + 1000) })
+      };
+      const limiter = createRateLimiter({ store, prefix: 'login' });
+
+      await limiter({ ip: '1.1.1.1' }, mockResponse(), jest.fn());
+
+      expect(store.increment).toHaveBeenCalledWith('login:1.1.1.1', 15 * 60 * 1000);
+    });
+  });
+});
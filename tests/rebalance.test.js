@@ -0,0 +1,107 @@
+const { validateTargetWeights, proposeRebalance } = require('../server/utils/rebalance');
+
+describe('Rebalancing', () => {
+  const day = new Date('2024-03-01T00:00:00Z');
+  const prices = new Map([
+    ['AAPL', { price: 300, date: day }],
+    ['MSFT', { price: 50, date: day }],
+    ['XOM', { price: 100, date: day }]
+  ]);
+  // 3000 in AAPL, 1000 in MSFT and 1000 in cash
+  const portfolio = {
+    holdings: [{ symbol: 'AAPL', shares: 10 }, { symbol: 'MSFT', shares: 20 }],
+    cash: 1000
+  };
+  const symbolTargets = [{ symbol: 'AAPL', weight: 0.4 }, { symbol: 'MSFT', weight: 0.4 }];
+
+  const tradesOf = (proposal) => proposal.trades.map(t => [t.type, t.symbol, t.shares]);
+
+  describe('validateTargetWeights', () => {
+    test('should reject malformed target sets', () => {
+      expect(validateTargetWeights(symbolTargets)).toBeNull();
+      expect(validateTargetWeights([{ weight: 0.5 }])).toMatch(/either a symbol or a sector/);
+      expect(validateTargetWeights([{ symbol: 'AAPL', weight: 0.5 }, { sector: 'Energy', weight: 0.1 }]))
+        .toMatch(/all per symbol or all per sector/);
+      expect(validateTargetWeights([{ symbol: 'AAPL', weight: 0.5 }, { symbol: 'AAPL', weight: 0.1 }]))
+        .toBe('Duplicate target for AAPL');
+      expect(validateTargetWeights([{ symbol: 'AAPL', weight: 0.7 }, { symbol: 'MSFT', weight: 0.4 }]))
+        .toMatch(/must not exceed 1/);
+    });
+  });
+
+  describe('proposeRebalance', () => {
+    test('should trade whole shares back to the targets, sells first', () => {
+      const proposal = proposeRebalance(portfolio, symbolTargets, prices);
+
+      expect(tradesOf(proposal)).toEqual([['sell', 'AAPL', 3], ['buy', 'MSFT', 20]]);
+      expect(proposal.positions[0]).toEqual(expect.objectContaining({
+        weight: 0.6, targetWeight: 0.4, drift: expect.closeTo(0.2), sharesAfter: 7
+      }));
+      expect(proposal.summary.cashAfter).toBe(900);
+      expect(proposal.summary.turnover).toBeCloseTo(0.19);
+    });
+
+    test('should leave positions within their band', () => {
+      expect(proposeRebalance(portfolio, symbolTargets, prices, { band: 0.25 }).trades).toEqual([]);
+
+      const proposal = proposeRebalance(portfolio, symbolTargets, prices, { relativeBand: 0.6 });
+      expect(proposal.trades).toEqual([]);
+      expect(proposal.positions.map(p => p.reason)).toEqual(['Within band', 'Within band']);
+    });
+
+    test('should skip trades below the minimum size', () => {
+      const proposal = proposeRebalance(portfolio, symbolTargets, prices, { minTradeValue: 950 });
+
+      expect(tradesOf(proposal)).toEqual([['buy', 'MSFT', 20]]);
+      expect(proposal.positions[0].reason).toBe('Below minimum trade');
+    });
+
+    test('should keep the cash reserve out of the targets', () => {
+      const proposal = proposeRebalance(portfolio, symbolTargets, prices, { cashReserve: 0.3 });
+
+      expect(proposal.cashReserve).toBe(1500);
+      expect(tradesOf(proposal)).toEqual([['sell', 'AAPL', 5], ['buy', 'MSFT', 8]]);
+      expect(proposal.summary.cashAfter).toBe(2100);
+    });
+
+    test('should scale buys down to the cash available after fees', () => {
+      const targets = [{ symbol: 'AAPL', weight: 0.5 }, { symbol: 'MSFT', weight: 0.5 }];
+
+      const proposal = proposeRebalance(portfolio, targets, prices, { feePerTrade: 10 });
+
+      expect(tradesOf(proposal)).toEqual([['sell', 'AAPL', 1], ['buy', 'MSFT', 25]]);
+      expect(proposal.summary.estimatedFees).toBe(20);
+      expect(proposal.summary.cashAfter).toBe(30);
+      expect(proposal.warnings[0]).toMatch(/Buys scaled/);
+    });
+
+    test('should sell holdings without a target in full', () => {
+      const holdings = [...portfolio.holdings, { symbol: 'XOM', shares: 2.5 }];
+
+      const proposal = proposeRebalance({ holdings, cash: 1000 }, symbolTargets, prices);
+
+      expect(tradesOf(proposal)).toContainEqual(['sell', 'XOM', 2.5]);
+    });
+
+    test('should spread sector targets over the holdings in each sector', () => {
+      const holdings = [...portfolio.holdings, { symbol: 'XOM', shares: 10 }];
+      const targets = [
+        { sector: 'Technology', weight: 0.5 },
+        { sector: 'Energy', weight: 0.4 },
+        { sector: 'Health Care', weight: 0.1 }
+      ];
+      const sectorBySymbol = new Map([['AAPL', 'Technology'], ['MSFT', 'Technology'], ['XOM', 'Energy']]);
+
+      const proposal = proposeRebalance({ holdings, cash: 0 }, targets, prices, { sectorBySymbol, wholeShares: false });
+
+      expect(tradesOf(proposal)).toEqual([['sell', 'AAPL', 3.75], ['sell', 'MSFT', 7.5], ['buy', 'XOM', 10]]);
+      expect(proposal.warnings).toEqual(['No holdings in sector Health Care; its target weight stays in cash']);
+    });
+
+    test('should fail without targets or prices', () => {
+      expect(() => proposeRebalance(portfolio, [], prices)).toThrow('Portfolio has no target weights');
+      expect(() => proposeRebalance(portfolio, [{ symbol: 'TSLA', weight: 0.1 }], prices))
+        .toThrow(expect.objectContaining({ message: 'No price for TSLA', status: 400 }));
+    });
+  });
+});
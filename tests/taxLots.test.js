@@ -0,0 +1,237 @@
+const {
+  orderLots,
+  selectLots,
+  getHoldingTerm,
+  realizeLots,
+  buildRealizedGainsReport,
+  buildTaxReport
+} = require('../server/utils/taxLots');
+
+describe('Tax Lots', () => {
+  const date = (s) => new Date(`${s}T00:00:00Z`);
+
+  const lots = [
+    { _id: 'a', shares: 10, costPerShare: 100, fees: 0, acquiredAt: date('2022-01-10') },
+    { _id: 'b', shares: 10, costPerShare: 150, fees: 10, acquiredAt: date('2023-03-01') },
+    { _id: 'c', shares: 10, costPerShare: 120, fees: 0, acquiredAt: date('2023-06-01') }
+  ];
+
+  describe('orderLots', () => {
+    test('should order lots by relief method', () => {
+      expect(orderLots(lots, 'FIFO').map(l => l._id)).toEqual(['a', 'b', 'c']);
+      expect(orderLots(lots, 'LIFO').map(l => l._id)).toEqual(['c', 'b', 'a']);
+      expect(orderLots(lots, 'HIFO').map(l => l._id)).toEqual(['b', 'c', 'a']);
+    });
+  });
+
+  describe('selectLots', () => {
+    test('should split a sell across lots', () => {
+      const relief = selectLots(lots, 15, { method: 'LIFO' });
+
+      expect(relief.map(r => [r.lot._id, r.shares])).toEqual([['c', 10], ['b', 5]]);
+    });
+
+    test('should use the named lots for specific relief', () => {
+      const relief = selectLots(lots, 6, {
+        method: 'SPECIFIC',
+        selections: [{ lotId: 'c', shares: 4 }, { lotId: 'a', shares: 2 }]
+      });
+
+      expect(relief.map(r => [r.lot._id, r.shares])).toEqual([['c', 4], ['a', 2]]);
+    });
+
+    test('should reject invalid sells', () => {
+      expect(() => selectLots(lots, 31)).toThrow('Cannot sell 31 shares; only 30 held');
+      expect(() => selectLots(lots, 5, { method: 'SPECIFIC', selections: [{ lotId: 'a', shares: 4 }] }))
+        .toThrow(/Selected lots hold 4 shares/);
+      expect(() => selectLots(lots, 5, { method: 'SPECIFIC', selections: [{ lotId: 'z', shares: 5 }] }))
+        .toThrow('Lot z is not open');
+      expect(() => selectLots(lots, 11, { method: 'SPECIFIC', selections: [{ lotId: 'a', shares: 11 }] }))
+        .toThrow('Lot a holds only 10 shares');
+    });
+  });
+
+  describe('getHoldingTerm', () => {
+    test('should be long-term only after more than a year', () => {
+      expect(getHoldingTerm(date('2023-03-01'), date('2024-03-01'))).toBe('short');
+      expect(getHoldingTerm(date('2023-03-01'), date('2024-03-02'))).toBe('long');
+    });
+  });
+
+  describe('realizeLots', () => {
+    test('should net sell fees from proceeds and include buy fees in basis', () => {
+      const sell = { shares: 10, price: 200, fees: 20, date: date('2024-02-01') };
+      const realized = realizeLots([{ lot: lots[0], shares: 5 }, { lot: lots[1], shares: 5 }], sell);
+
+      expect(realized[0]).toMatchObject({ lotId: 'a', proceeds: 990, costBasis: 500, gain: 490, term: 'long' });
+      expect(realized[1]).toMatchObject({ lotId: 'b', proceeds: 990, costBasis: 755, gain: 235, term: 'short' });
+    });
+  });
+
+  describe('buildRealizedGainsReport', () => {
+    test('should total the sells of the year by term', () => {
+      const transactions = [
+        { _id: 't1', type: 'buy', symbol: 'AAPL', date: date('2023-01-01') },
+        {
+          _id: 't2',
+          type: 'sell',
+          symbol: 'AAPL',
+          date: date('2024-05-01'),
+          realizedLots: [
+            { lotId: 'a', shares: 5, proceeds: 600, costBasis: 500, gain: 100, term: 'long' },
+            { lotId: 'b', shares: 5, proceeds: 600, costBasis: 750, gain: -150, term: 'short' }
+          ]
+        },
+        {
+          _id: 't3',
+          type: 'sell',
+          symbol: 'AAPL',
+          date: date('2025-01-02'),
+          realizedLots: [{ lotId: 'c', shares: 1, proceeds: 130, costBasis: 120, gain: 10, term: 'short' }]
+        }
+      ];
+
+      const report = buildRealizedGainsReport(transactions, 2024);
+
+      expect(report.lots).toHaveLength(2);
+      expect(report.lots[0]).toMatchObject({ transactionId: 't2', symbol: 'AAPL', lotId: 'a' });
+      expect(report.totals.longTerm.gain).toBe(100);
+      expect(report.totals.shortTerm.gain).toBe(-150);
+      expect(report.totals.total).toEqual({ proceeds: 1200, costBasis: 1250, gain: -50 });
+    });
+  });
+
+  describe('buildTaxReport', () => {
+    const buyTx = (id, d, shares) => ({ _id: id, type: 'buy', symbol: 'XYZ', date: date(d), shares });
+    const sellTx = (id, d, realizedLots) => ({ _id: id, type: 'sell', symbol: 'XYZ', date: date(d), realizedLots });
+    const realized = (buyId, acquired, shares, proceeds, costBasis) => ({
+      buyTransactionId: buyId,
+      acquiredAt: date(acquired),
+      shares,
+      proceeds,
+      costBasis,
+      gain: proceeds - costBasis,
+      term: 'short'
+    });
+
+    test('should report sales without replacements unchanged', () => {
+      const portfolios = [{
+        _id: 'p1',
+        name: 'Core',
+        transactions: [buyTx('b1', '2024-01-02', 10), sellTx('s1', '2024-06-03', [realized('b1', '2024-01-02', 10, 800, 1000)])]
+      }];
+
+      const report = buildTaxReport(portfolios, 2024);
+
+      expect(report.trades[0]).toMatchObject({ portfolioName: 'Core', washSaleDisallowed: 0, gain: -200 });
+      expect(report.adjustments).toEqual([]);
+    });
+
+    test('should disallow a loss replaced in another portfolio and carry it into the replacement', () => {
+      const portfolios = [
+        {
+          _id: 'p1',
+          name: 'Taxable',
+          transactions: [buyTx('b1', '2024-01-02', 10), sellTx('s1', '2024-06-03', [realized('b1', '2024-01-02', 10, 800, 1000)])]
+        },
+        {
+          _id: 'p2',
+          name: 'Trading',
+          transactions: [
+            buyTx('b2', '2024-06-20', 4),
+            sellTx('s2', '2024-09-02', [realized('b2', '2024-06-20', 4, 400, 340)])
+          ]
+        }
+      ];
+
+      const report = buildTaxReport(portfolios, 2024);
+      const [loss, replacementSale] = report.trades;
+
+      expect(loss.washSaleDisallowed).toBeCloseTo(80);
+      expect(loss.gain).toBeCloseTo(-120);
+      expect(report.adjustments).toEqual([
+        expect.objectContaining({ portfolioId: 'p2', buyTransactionId: 'b2', shares: 4, basisAdjustment: 80 })
+      ]);
+      expect(replacementSale.costBasis).toBeCloseTo(420);
+      expect(replacementSale.gain).toBeCloseTo(-20);
+      expect(report.totals.total.washSaleDisallowed).toBeCloseTo(80);
+    });
+
+    test('should ignore purchases outside the window and the lots being sold', () => {
+      const portfolios = [{
+        _id: 'p1',
+        name: 'Core',
+        transactions: [
+          buyTx('b1', '2024-05-20', 10),
+          buyTx('b2', '2024-08-01', 10),
+          sellTx('s1', '2024-06-03', [realized('b1', '2024-05-20', 10, 800, 1000)])
+        ]
+      }];
+
+      const report = buildTaxReport(portfolios, 2024);
+
+      expect(report.trades[0].washSaleDisallowed).toBe(0);
+    });
+
+    test('should match replacement shares bought before a split in post-split shares', () => {
+      const portfolios = [{
+        _id: 'p1',
+        name: 'Core',
+        transactions: [
+          buyTx('b1', '2024-01-02', 10),
+          buyTx('b2', '2024-05-20', 10),
+          { _id: 'x1', type: 'split', symbol: 'XYZ', date: date('2024-05-24'), ratio: 2 },
+          sellTx('s1', '2024-06-03', [realized('b1', '2024-01-02', 20, 800, 1000)])
+        ]
+      }];
+
+      const report = buildTaxReport(portfolios, 2024);
+
+      expect(report.trades[0].washSaleDisallowed).toBeCloseTo(200);
+      expect(report.adjustments).toEqual([
+        expect.objectContaining({ buyTransactionId: 'b2', shares: 10, basisAdjustment: 200 })
+      ]);
+    });
+
+    test('should add the disallowed loss to replacement shares sold before the loss sale', () => {
+      const portfolios = [{
+        _id: 'p1',
+        name: 'Core',
+        transactions: [
+          buyTx('b1', '2024-01-02', 10),
+          buyTx('b2', '2024-05-20', 5),
+          sellTx('s2', '2024-05-28', [realized('b2', '2024-05-20', 5, 500, 450)]),
+          sellTx('s1', '2024-06-03', [realized('b1', '2024-01-02', 10, 800, 1000)])
+        ]
+      }];
+
+      const report = buildTaxReport(portfolios, 2024);
+      const [replacementSale, loss] = report.trades;
+
+      expect(loss.washSaleDisallowed).toBeCloseTo(100);
+      expect(loss.gain).toBeCloseTo(-100);
+      expect(replacementSale.costBasis).toBeCloseTo(550);
+      expect(replacementSale.gain).toBeCloseTo(-50);
+      expect(report.totals.total.gain).toBeCloseTo(-150);
+    });
+
+    test('should carry the holding period of the shares sold', () => {
+      const portfolios = [{
+        _id: 'p1',
+        name: 'Core',
+        transactions: [
+          buyTx('b1', '2023-01-03', 10),
+          sellTx('s1', '2023-11-01', [realized('b1', '2023-01-03', 10, 800, 1000)]),
+          buyTx('b2', '2023-11-15', 10),
+          sellTx('s2', '2024-03-01', [realized('b2', '2023-11-15', 10, 1100, 900)])
+        ]
+      }];
+
+      const report = buildTaxReport(portfolios, 2024);
+
+      expect(report.trades).toHaveLength(1);
+      expect(report.trades[0].costBasis).toBeCloseTo(1100);
+      expect(report.trades[0].term).toBe('long');
+    });
+  });
+});
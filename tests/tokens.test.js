@@ -0,0 +1,40 @@
+const tokens = require('../server/utils/tokens');
+
+describe('Token Utilities', () => {
+  describe('generateRandomToken', () => {
+    test('should generate hex tokens of the requested size', () => {
+      const token = tokens.generateRandomToken(16);
+
+      expect(token).toMatch(/^[0-9a-f]{32}$/);
+    });
+
+    test('should not repeat tokens', () => {
+      expect(tokens.generateRandomToken()).not.toBe(tokens.generateRandomToken());
+    });
+  });
+
+  describe('hashToken', () => {
+    test('should hash deterministically', () => {
+      expect(tokens.hashToken('abc')).toBe(tokens.hashToken('abc'));
+      expect(tokens.hashToken('abc')).not.toBe(tokens.hashToken('abd'));
+      expect(tokens.hashToken('abc')).toHaveLength(64);
+    });
+  });
+
+  describe('parseDuration', () => {
+    test('should parse unit suffixes', () => {
+      expect(tokens.parseDuration('15m')).toBe(15 * 60 * 1000);
+      expect(tokens.parseDuration('12h')).toBe(12 * 60 * 60 * 1000);
+      expect(tokens.parseDuration('30d')).toBe(30 * 24 * 60 * 60 * 1000);
+      expect(tokens.parseDuration('45')).toBe(45 * 1000);
+    });
+
+    test('should treat numbers as seconds', () => {
+      expect(tokens.parseDuration(60)).toBe(60 * 1000);
+    });
+
+    test('should reject invalid durations', () => {
+      expect(() => tokens.parseDuration('soon')).toThrow('Invalid duration');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const totp = require('../server/utils/totp');
+
+describe('TOTP Utilities', () => {
+  // RFC 6238 Appendix B test secret ("12345678901234567890")
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('base32', () => {
+    test('should round-trip bytes', () => {
+      const bytes = Buffer.from('hello world');
+      expect(totp.base32Decode(totp.base32Encode(bytes)).equals(bytes)).toBe(true);
+    });
+
+    test('should match the RFC 4648 test vector', () => {
+      expect(totp.base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(totp.base32Decode('mzxw6ytboi======').toString()).toBe('foobar');
+    });
+
+    test('should reject invalid characters', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateTOTP', () => {
+    test('should match RFC 6238 test vectors', () => {
+      expect(totp.generateTOTP(rfcSecret, 59 * 1000, 8)).toBe('94287082');
+      expect(totp.generateTOTP(rfcSecret, 1111111109 * 1000, 8)).toBe('07081804');
+      expect(totp.generateTOTP(rfcSecret, 1234567890 * 1000, 8)).toBe('89005924');
+    });
+
+    test('should produce 6 digit codes by default', () => {
+      expect(totp.generateTOTP(rfcSecret, 59 * 1000)).toBe('287082');
+    });
+  });
+
+  describe('verifyTOTP', () => {
+    const time = 1700000000 * 1000;
+
+    test('should accept the current code and return its step', () => {
+      const code = totp.generateTOTP(rfcSecret, time);
+      expect(totp.verifyTOTP(rfcSecret, code, { time })).toBe(totp.getTimeStep(time));
+    });
+
+    test('should accept codes within the drift window', () => {
+      const code = totp.generateTOTP(rfcSecret, time - 30 * 1000);
+      expect(totp.verifyTOTP(rfcSecret, code, { time })).toBe(totp.getTimeStep(time) - 1);
+    });
+
+    test('should reject codes outside the window', () => {
+      const code = totp.generateTOTP(rfcSecret, time - 90 * 1000);
+      expect(totp.verifyTOTP(rfcSecret, code, { time })).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      expect(totp.verifyTOTP(rfcSecret, 'abcdef', { time })).toBeNull();
+      expect(totp.verifyTOTP(rfcSecret, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    test('should include the secret, issuer and label', () => {
+      const uri = totp.buildOtpauthUri({ secret: 'ABC', accountName: 'a@example.com' });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/MEAN-QUANT%3Aa%40example\.com\?/);
+      expect(uri).toContain('secret=ABC');
+      expect(uri).toContain('issuer=MEAN-QUANT');
+    });
+  });
+
+  describe('generateRecoveryCodes', () => {
+    test('should generate unique formatted codes', () => {
+      const codes = totp.generateRecoveryCodes(10);
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/));
+    });
+
+    test('should normalize codes as entered', () => {
+      expect(totp.normalizeRecoveryCode(' AB12-cd34 ')).toBe('ab12cd34');
+    });
+  });
+});
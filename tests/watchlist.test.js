@@ -0,0 +1,60 @@
+const Watchlist = require('../server/models/Watchlist');
+
+describe('Watchlist Model', () => {
+  const build = (symbols = []) => {
+    const watchlist = new Watchlist({ userId: '000000000000000000000001', name: 'Tech' });
+    symbols.forEach(symbol => watchlist.addItem(symbol));
+    return watchlist;
+  };
+
+  describe('addItem', () => {
+    test('should uppercase and append symbols', () => {
+      const watchlist = build(['aapl', 'msft']);
+
+      expect(watchlist.symbols).toEqual(['AAPL', 'MSFT']);
+    });
+
+    test('should update details instead of duplicating', () => {
+      const watchlist = build(['AAPL']);
+
+      watchlist.addItem('aapl', { notes: 'Earnings soon', targetPrice: 200 });
+
+      expect(watchlist.items).toHaveLength(1);
+      expect(watchlist.items[0].notes).toBe('Earnings soon');
+      expect(watchlist.items[0].targetPrice).toBe(200);
+    });
+  });
+
+  describe('removeItem', () => {
+    test('should remove a symbol', () => {
+      const watchlist = build(['AAPL', 'MSFT']);
+
+      expect(watchlist.removeItem('aapl')).toBe(true);
+      expect(watchlist.symbols).toEqual(['MSFT']);
+    });
+
+    test('should report missing symbols', () => {
+      expect(build(['AAPL']).removeItem('TSLA')).toBe(false);
+    });
+  });
+
+  describe('reorder', () => {
+    test('should reorder items and keep their details', () => {
+      const watchlist = build(['AAPL', 'MSFT', 'GOOGL']);
+      watchlist.addItem('MSFT', { notes: 'Cloud' });
+
+      watchlist.reorder(['googl', 'MSFT', 'AAPL']);
+
+      expect(watchlist.symbols).toEqual(['GOOGL', 'MSFT', 'AAPL']);
+      expect(watchlist.items[1].notes).toBe('Cloud');
+    });
+
+    test('should reject orders that do not match the items', () => {
+      const watchlist = build(['AAPL', 'MSFT']);
+
+      expect(() => watchlist.reorder(['AAPL'])).toThrow('exactly once');
+      expect(() => watchlist.reorder(['AAPL', 'AAPL'])).toThrow('exactly once');
+      expect(() => watchlist.reorder(['AAPL', 'TSLA'])).toThrow('exactly once');
+    });
+  });
+});